@@ -1,4 +1,5 @@
 import { AUDIO_CONFIG } from './config.js';
+import { defaultRandom } from './random.js';
 
 // Audio context for sound effects (lazy initialized)
 let audioContext = null;
@@ -73,8 +74,9 @@ async function loadSounds() {
 /**
  * Play a slap/smack sound with randomized modulation for variety
  * @param {number} intensity - Volume intensity (0-1)
+ * @param {Function} random - Random number source in [0, 1) (seeded for replays)
  */
-function playSmackSound(intensity = 1.0) {
+function playSmackSound(intensity = 1.0, random = defaultRandom.next) {
     // Lazy load sounds on first interaction
     if (!isLoaded && !isLoading) {
         loadSounds();
@@ -86,7 +88,7 @@ function playSmackSound(intensity = 1.0) {
     const now = ctx.currentTime;
     
     // Randomly select one of the loaded sounds
-    const randomSound = slapSounds[Math.floor(Math.random() * slapSounds.length)];
+    const randomSound = slapSounds[Math.floor(random() * slapSounds.length)];
     
     // Create buffer source
     const source = audioContext.createBufferSource();
@@ -94,7 +96,7 @@ function playSmackSound(intensity = 1.0) {
     
     // Add pitch/speed variation for variety
     const pitchVariation = AUDIO_CONFIG.pitchVariationMin + 
-        Math.random() * (AUDIO_CONFIG.pitchVariationMax - AUDIO_CONFIG.pitchVariationMin);
+        random() * (AUDIO_CONFIG.pitchVariationMax - AUDIO_CONFIG.pitchVariationMin);
     source.playbackRate.value = pitchVariation;
     
     // Create gain node for volume control
@@ -106,13 +108,13 @@ function playSmackSound(intensity = 1.0) {
     highShelf.type = 'highshelf';
     highShelf.frequency.value = AUDIO_CONFIG.highShelfFrequency;
     highShelf.gain.value = AUDIO_CONFIG.highShelfGainMin + 
-        Math.random() * (AUDIO_CONFIG.highShelfGainMax - AUDIO_CONFIG.highShelfGainMin);
+        random() * (AUDIO_CONFIG.highShelfGainMax - AUDIO_CONFIG.highShelfGainMin);
     
     // Add a slight low-pass variation for tonal variety
     const lowpass = audioContext.createBiquadFilter();
     lowpass.type = 'lowpass';
     lowpass.frequency.value = AUDIO_CONFIG.lowpassFrequencyMin + 
-        Math.random() * (AUDIO_CONFIG.lowpassFrequencyMax - AUDIO_CONFIG.lowpassFrequencyMin);
+        random() * (AUDIO_CONFIG.lowpassFrequencyMax - AUDIO_CONFIG.lowpassFrequencyMin);
     lowpass.Q.value = AUDIO_CONFIG.lowpassQ;
     
     // Connect the audio graph
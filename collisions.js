@@ -0,0 +1,182 @@
+import { Box3, Vector3 } from 'three';
+import { MULTI_PEACH_CONFIG } from './config.js';
+
+/**
+ * Peach-on-Peach Collisions
+ * Every peach of a multi-peach scene is a sphere. Overlapping peaches are pushed
+ * apart and trade momentum along the line between their centers (equal masses),
+ * and both soft bodies get a jiggle impulse where they touched - a smacked peach
+ * sends its neighbours wobbling.
+ *
+ * Works on each peach's rigid wobble (peachState.velocity / physicsOffset), which
+ * its own fixed-step physics integrates and springs back to the layout position.
+ * Overlaps are measured at the latest fixed step and pushed out in full, so how
+ * far peaches get apart doesn't depend on the frame rate.
+ * Peaches that are exploding or respawning don't collide, and neither does a
+ * peach being recorded or replayed: a recording only holds that peach's input,
+ * so bumps from its neighbours could never be played back.
+ */
+
+export class PeachCollisions {
+    /**
+     * @param {Array<PeachInteraction>} interactions - The peaches
+     */
+    constructor(interactions) {
+        if (!interactions) {
+            throw new Error('PeachCollisions: Missing peaches');
+        }
+        
+        this.interactions = interactions;
+        this.enabled = MULTI_PEACH_CONFIG.COLLISIONS;
+        this.radii = new Map(); // Interaction -> collision radius at scale 1 (measured once its model is in)
+        
+        // Reusable objects to avoid garbage collection
+        this.normal = new Vector3();
+        this.centerA = new Vector3();
+        this.centerB = new Vector3();
+        this.direction = new Vector3();
+        this.contactPoint = new Vector3();
+        this.relativeVelocity = new Vector3();
+        this.box = new Box3();
+        this.size = new Vector3();
+    }
+    
+    /**
+     * Whether a peach takes part in collisions right now
+     * @param {PeachInteraction} interaction - The peach
+     * @returns {boolean} True if it has a model, isn't exploding or respawning, and
+     *   isn't being recorded or replayed
+     */
+    isCollidable(interaction) {
+        const peachState = interaction.peachState;
+        if (interaction.getMeshArray().length === 0) return false;
+        if (interaction.recorder || !interaction.liveInputEnabled) return false;
+        if (peachState.isRespawning) return false;
+        if (peachState.particleExplosion && peachState.particleExplosion.isActive()) return false;
+        return true;
+    }
+    
+    /**
+     * Collision radius of a peach at its current layout scale
+     * @param {PeachInteraction} interaction - The peach (must have its model)
+     * @returns {number} Radius in world units
+     */
+    getRadius(interaction) {
+        const peachState = interaction.peachState;
+        
+        if (!this.radii.has(interaction)) {
+            const peachGroup = interaction.peachGroup;
+            this.box.setFromObject(peachGroup).getSize(this.size);
+            
+            const halfWidth = Math.max(this.size.x, this.size.y, this.size.z) / 2;
+            this.radii.set(interaction, halfWidth / peachGroup.scale.x * MULTI_PEACH_CONFIG.COLLISION_RADIUS);
+        }
+        
+        return this.radii.get(interaction) * peachState.defaultScale;
+    }
+    
+    /**
+     * Where a peach's rigid wobble has it at its latest fixed step
+     * @param {PeachInteraction} interaction - The peach
+     * @param {THREE.Vector3} target - Receives the center (world space)
+     * @returns {THREE.Vector3} target
+     */
+    getCenter(interaction, target) {
+        // The rendered position, with the interpolated offset swapped for the stepped one
+        return target.copy(interaction.peachGroup.position)
+            .sub(interaction.renderOffset)
+            .add(interaction.peachState.physicsOffset);
+    }
+    
+    /**
+     * Move a peach out of an overlap. The previous step's offset moves with the
+     * current one so the interpolation between them doesn't pop, and the group
+     * follows right away (it's rendered before the next update).
+     * @param {PeachInteraction} interaction - The peach
+     * @param {THREE.Vector3} normal - Push direction (normalized)
+     * @param {number} distance - How far to push
+     */
+    push(interaction, normal, distance) {
+        const peachState = interaction.peachState;
+        
+        peachState.physicsOffset.addScaledVector(normal, distance);
+        peachState.previousPhysicsOffset.addScaledVector(normal, distance);
+        interaction.renderOffset.addScaledVector(normal, distance);
+        interaction.peachGroup.position.addScaledVector(normal, distance);
+        peachState.isWobbling = true;
+    }
+    
+    /**
+     * Resolve every overlapping pair (call once per frame, after the peaches updated)
+     */
+    update() {
+        if (!this.enabled) return;
+        
+        const interactions = this.interactions;
+        for (let i = 0; i < interactions.length; i++) {
+            if (!this.isCollidable(interactions[i])) continue;
+            
+            for (let j = i + 1; j < interactions.length; j++) {
+                if (!this.isCollidable(interactions[j])) continue;
+                
+                this.resolve(interactions[i], interactions[j]);
+            }
+        }
+    }
+    
+    /**
+     * Separate two peaches and exchange the impulse if they overlap
+     * @param {PeachInteraction} a - First peach
+     * @param {PeachInteraction} b - Second peach
+     */
+    resolve(a, b) {
+        const stateA = a.peachState;
+        const stateB = b.peachState;
+        const radiusA = this.getRadius(a);
+        const radiusB = this.getRadius(b);
+        
+        // Normal points from a to b
+        const normal = this.normal.subVectors(this.getCenter(b, this.centerB), this.getCenter(a, this.centerA));
+        const distance = normal.length();
+        const overlap = radiusA + radiusB - distance;
+        if (overlap <= 0) return;
+        
+        if (distance > 1e-6) {
+            normal.divideScalar(distance);
+        } else {
+            normal.set(1, 0, 0); // Dead center - pick a side
+        }
+        
+        // Push both halfway out of each other
+        this.push(a, normal, -overlap / 2);
+        this.push(b, normal, overlap / 2);
+        
+        // Already separating (e.g. still overlapping from last frame's hit)
+        const approachSpeed = this.relativeVelocity.subVectors(stateA.velocity, stateB.velocity).dot(normal);
+        if (approachSpeed <= 0) return;
+        
+        // Equal masses: each takes half the exchanged momentum
+        const impulse = (1 + MULTI_PEACH_CONFIG.RESTITUTION) * approachSpeed / 2;
+        stateA.velocity.addScaledVector(normal, -impulse);
+        stateB.velocity.addScaledVector(normal, impulse);
+        
+        // Jiggle both where they touched, pushed in along the normal
+        const force = Math.min(approachSpeed * MULTI_PEACH_CONFIG.JIGGLE_FORCE, MULTI_PEACH_CONFIG.MAX_JIGGLE_FORCE);
+        this.jiggle(a, this.contactPoint.copy(a.peachGroup.position).addScaledVector(normal, radiusA), this.direction.copy(normal).negate(), force);
+        this.jiggle(b, this.contactPoint.copy(b.peachGroup.position).addScaledVector(normal, -radiusB), this.direction.copy(normal), force);
+    }
+    
+    jiggle(interaction, point, direction, force) {
+        // The group moved this frame and hasn't been rendered yet
+        interaction.peachGroup.updateMatrixWorld(true);
+        
+        interaction.peachState.softBodies.forEach(softBody => {
+            softBody.applyImpulse(point, direction, force);
+        });
+    }
+    
+    dispose() {
+        this.radii.clear();
+        this.interactions = [];
+    }
+}
@@ -57,11 +57,38 @@ export const PHYSICS_CONFIG = {
     // Soft body physics
     VERTEX_POSITION_TOLERANCE: 0.0001,
     PROXIMITY_THRESHOLD: 0.3,
-    PROXIMITY_SAMPLING_STEP_DIVISOR: 100,
+    // Nearest neighbors kept per vertex on non-indexed meshes (0 = every vertex within PROXIMITY_THRESHOLD).
+    // A cap (e.g. 6) speeds up setup and every step on dense meshes, but impacts then spread over fewer neighbors, which changes the jiggle
+    PROXIMITY_MAX_NEIGHBORS: 0,
     SETTLE_THRESHOLD: 0.01,
     MAX_VELOCITY_CAP: 0.5,
     MAX_VELOCITY_CAP_SINGLE: 0.25,
     NORMAL_RECALC_INTERVAL: 3,
+    
+    // Volume preservation (pressure) - pushes vertices out along normals when the mesh is squashed
+    VOLUME_PRESERVATION: false,
+    VOLUME_PRESSURE_STIFFNESS: 3.0, // Pressure force per unit of lost volume (relative to surface area)
+    
+    // Edge constraints (position-based dynamics) - keep mesh edges at their rest lengths
+    EDGE_CONSTRAINTS: false,
+    STRETCH_STIFFNESS: 0.5, // 0-1, how strongly triangle edges resist stretching/compressing
+    BEND_STIFFNESS: 0.15, // 0-1, how strongly neighboring triangles resist folding against each other
+    CONSTRAINT_ITERATIONS: 2, // Solver passes per physics step (more = stiffer, slower)
+    
+    // Grab constraints (press-and-hold drag / pinch) on the soft body
+    GRAB_RADIUS: 0.45, // Radius of the patch of skin that follows a grab
+    GRAB_STIFFNESS: 0.35, // 0-1, how quickly grabbed vertices follow the pointer each step
+    GRAB_MAX_STRETCH: 0.35, // Furthest a grab can pull the skin from rest
+    
+    // Run the soft body simulation in a Web Worker (falls back to the main thread if unavailable)
+    SOFT_BODY_WORKER: true,
+    
+    // Deform on the GPU (displacement texture + vertex shader normals) instead of writing positions
+    GPU_DEFORMATION: false,
+    
+    // Fixed timestep simulation
+    FIXED_TIMESTEP: 1 / 60, // Simulation step in seconds (independent of display refresh rate)
+    MAX_SUBSTEPS: 8, // Max steps per frame before accumulated time is dropped
 };
 
 // ===== INTERACTION CONFIGURATION =====
@@ -74,6 +101,11 @@ export const INTERACTION_CONFIG = {
     RAGE_BASE_INCREASE: 4,
     RAGE_VELOCITY_MULTIPLIER: 3,
     RESPAWN_DURATION: 0.9,
+    RESPAWN_STYLE: 'zoom', // 'zoom' (flies in from far back) or 'reassemble' (the explosion pieces fly back together)
+    // Swept hit detection (fast swipes are tested along their whole segment)
+    SWEEP_SAMPLE_SPACING_PX: 12, // Screen distance between raycasts along a swipe segment
+    SWEEP_MAX_SAMPLES: 24, // Cap on raycasts per pointer event
+    SWEEP_REFINE_STEPS: 4, // Bisection steps to pin down the entry point
     // Impact marks
     IMPACT_MARK_RADIUS: 0.32, // Size of impact marks
     IMPACT_MARK_BASE_DURATION: 3.5, // Base duration in seconds
@@ -81,13 +113,108 @@ export const INTERACTION_CONFIG = {
     IMPACT_MARK_INTENSITY_SCALE: 0.6, // Scale intensity for subtlety
     IMPACT_MARK_STRENGTH: 0.4, // Overall visual strength
     MAX_IMPACT_MARKS: 8, // Maximum number of simultaneous marks
+    // Grab and pinch
+    PINCH_SQUEEZE_STRENGTH: 0.6, // How far a pinch pulls the two grabbed points together (relative to finger travel)
+};
+
+// ===== KEYBOARD & GAMEPAD INPUT CONFIGURATION =====
+export const INPUT_CONFIG = {
+    RETICLE_SPEED: 700, // Aim reticle speed in pixels per second (arrow keys / left stick)
+    CHARGE_TIME: 0.8, // Seconds of holding a swing key to reach full strength
+    MIN_SMACK_STRENGTH: 0.6, // Strength of a tapped swing (same 0-2 scale as pointer swipes)
+    MAX_SMACK_STRENGTH: 2.0, // Strength of a fully charged swing
+    QUICK_SMACK_STRENGTH: 1.0, // Gamepad A button
+    GAMEPAD_DEADZONE: 0.2, // Stick deflection ignored as drift
+    TRIGGER_THRESHOLD: 0.1, // Trigger pressure that starts a charge
+};
+
+// ===== QUALITY CONFIGURATION =====
+// Presets for the `quality` option / attribute (performance monitor toggles + resolution)
+export const QUALITY_CONFIG = {
+    low: {
+        MAX_PIXEL_RATIO: 1, // Cap on devicePixelRatio
+        BACKGROUND_SHADER: false, // Static gradient instead of the animated shader
+        RING_LIGHTS: false,
+        PARTICLES: true,
+        IMPACT_MARKS: false
+    },
+    medium: {
+        MAX_PIXEL_RATIO: 1.5,
+        BACKGROUND_SHADER: true,
+        RING_LIGHTS: true,
+        PARTICLES: true,
+        IMPACT_MARKS: true
+    },
+    high: {
+        MAX_PIXEL_RATIO: 3,
+        BACKGROUND_SHADER: true,
+        RING_LIGHTS: true,
+        PARTICLES: true,
+        IMPACT_MARKS: true
+    }
+};
+
+// ===== RANDOM CONFIGURATION =====
+export const RANDOM_CONFIG = {
+    SEED: null, // Seed used on every load (null = a new random seed each time); the URL parameter wins
+    URL_PARAM: 'seed', // ?seed=<number or any text> reproduces a run (e.g. from a bug report)
+};
+
+// ===== MULTI-PEACH CONFIGURATION =====
+export const MULTI_PEACH_CONFIG = {
+    COUNT: 1, // Peaches in the scene (the first one drives the rage meter, stats, challenges and recordings)
+    LAYOUT: 'row', // 'row', 'grid', 'circle', or an array of [x, y, z] positions
+    SPACING: 2.2, // Distance between neighbouring peaches (world units)
+    PEACH_SCALE: 0.6, // Size of each peach when there's more than one
+    COLLISIONS: true, // Peaches bump into each other
+    COLLISION_RADIUS: 0.9, // Collision sphere radius as a fraction of the peach's half width
+    RESTITUTION: 0.7, // Bounciness of peach-on-peach hits (0 = dead stop, 1 = perfectly elastic)
+    JIGGLE_FORCE: 0.1, // Soft body impulse per unit of impact speed
+    MAX_JIGGLE_FORCE: 0.36, // Cap on the bump jiggle (as hard as a full-strength smack)
+};
+
+// ===== GAME MODE CONFIGURATION =====
+export const GAME_MODE_CONFIG = {
+    COUNTDOWN_SECONDS: 3, // "3, 2, 1" before every round
+    // Speed Run: blow the peach up as fast as possible
+    SPEED_RUN_TIME_LIMIT: 60, // Seconds before the run counts as failed
+    // Sweet Spot: keep the rage meter inside a band
+    RAGE_BAND_DURATION: 30, // Round length in seconds
+    RAGE_BAND_MIN: 0.4, // Bottom of the band (fraction of the explosion threshold)
+    RAGE_BAND_MAX: 0.7, // Top of the band
+    RAGE_BAND_POINTS_PER_SECOND: 100, // Score for every second spent inside the band
+    // Combo: alternate left and right smacks
+    COMBO_DURATION: 30, // Round length in seconds
+    COMBO_WINDOW: 1.5, // Seconds before an unanswered combo drops
+    COMBO_MIN_SIDEWAYS: 0.35, // How sideways a smack must be to count as left or right (0-1)
+    COMBO_BASE_POINTS: 10, // Points per smack, times the combo multiplier
+    COMBO_MAX_MULTIPLIER: 10, // Multiplier cap
+};
+
+// ===== STATS CONFIGURATION =====
+export const STATS_CONFIG = {
+    STORAGE_KEY: 'peachy-keen-stats', // localStorage key for lifetime records
+    SCHEMA_VERSION: 1, // Bump (and add a migration in stats.js) when the saved shape changes
+    SMACKS_PER_MINUTE_WINDOW: 60, // Seconds of smacks counted for the live smacks-per-minute
+    DISPLAY_UPDATE_INTERVAL: 0.5, // Seconds between overlay refreshes (and saves of new smacks/explosions)
 };
 
 // ===== PARTICLE CONFIGURATION =====
 export const PARTICLE_CONFIG = {
     SPHERE_SEGMENTS: 8,
     RADIUS: 0.05,
-    MAX_PARTICLES: 300,
+    MAX_PARTICLES: 3000, // Instance buffer size (one draw call, allocated once per peach)
+    STYLE: 'particles', // 'particles' (instanced spheres) or 'fracture' (the skin breaks into chunks)
+    CHUNK_COUNT: 24, // Skin chunks per mesh for the fracture style
+    REASSEMBLE_ARC_HEIGHT: 0.6, // Pieces loop up this high on their way back (RESPAWN_STYLE 'reassemble')
+    REASSEMBLE_FADE_IN: 0.3, // Fraction of the way back spent fading the pieces in
+    FLOOR: 'none', // 'none', 'plane' (flat at FLOOR_HEIGHT) or 'viewport' (the bottom edge of the view)
+    FLOOR_HEIGHT: -2.5,
+    RESTITUTION: 0.35, // Bounciness off the floor (0 = thud, 1 = no energy lost)
+    REST_SPEED: 0.5, // Bounces slower than this stop dead
+    FRICTION: 4.0, // How quickly pieces on the floor stop sliding (per second)
+    DEBRIS_LINGER: 0, // Seconds the pieces stay after the peach respawns (0 = they fade out mid-air)
+    DEBRIS_FADE_DURATION: 2.0, // Slow fade for lingering debris
     EXPLOSION_FORCE: 8.0,
     FALL_DURATION: 1.8,
     FADE_START_TIME: 1.0,
@@ -101,14 +228,45 @@ export const PARTICLE_CONFIG = {
     EMISSIVE_PULSE_FREQUENCY: 10,
 };
 
+// ===== JUICE SPLATTER CONFIGURATION =====
+export const JUICE_CONFIG = {
+    ENABLED: true,
+    COLOR: 0xffa860, // Peach juice
+    GLASS_DISTANCE: 1.0, // How far in front of the camera the invisible glass sits
+    MAX_DROPLETS: 400,
+    MAX_DECALS: 150, // The oldest splat is recycled when the glass is full
+    EXPLOSION_DROPLETS: 70,
+    EXPLOSION_SPEED: 14.0,
+    BURST_RADIUS: 1.0, // Explosion droplets start this far out from the peach's center (times its scale)
+    SMACK_SPRAY_THRESHOLD: 1.4, // Smack strength (0-2) that starts spraying juice
+    SMACK_DROPLETS: 10,
+    SMACK_SPEED: 10.0,
+    SMACK_DROPLET_SIZE: 0.5, // Spray droplets are smaller than explosion ones
+    SPREAD: 0.15, // Random spread around the direction of the camera (0 = dead on)
+    DROPLET_RADIUS: 0.04,
+    DROPLET_LIFETIME: 1.5, // Seconds before a droplet that missed the glass disappears
+    GRAVITY_STRENGTH: 4.0, // Gentle, or nothing thrown from the peach would reach the glass
+    SPLAT_SIZE: 0.09, // Splat diameter on the glass for a full-size droplet
+    DRIP_CHANCE: 0.6, // Chance a splat runs down the glass
+    DRIP_SPEED: 0.12, // Starting run speed (glass units per second, times the droplet size)
+    DRIP_SLOWDOWN: 0.5, // Fraction of the run speed left after a second
+    DRIP_WIDTH: 0.3, // Width of the trail relative to the splat
+    MAX_DRIP_LENGTH: 0.35,
+    WIPE_DURATION: 0.5, // Seconds the splats take to fade after the peach respawns
+    TEXTURE_SIZE: 64,
+};
+
+// Where public assets are served from (Vite fills import.meta.env; plain Node - the test harness - doesn't)
+const ASSET_BASE_URL = import.meta.env ? import.meta.env.BASE_URL : '/';
+
 // ===== AUDIO CONFIGURATION =====
 export const AUDIO_CONFIG = {
     slapSounds: [
-        `${import.meta.env.BASE_URL}assets/ass2.m4a`,
-        `${import.meta.env.BASE_URL}assets/ass3.m4a`,
-        `${import.meta.env.BASE_URL}assets/ass5.m4a`
+        `${ASSET_BASE_URL}assets/ass2.m4a`,
+        `${ASSET_BASE_URL}assets/ass3.m4a`,
+        `${ASSET_BASE_URL}assets/ass5.m4a`
     ],
-    explosionSound: `${import.meta.env.BASE_URL}assets/uh.m4a`,
+    explosionSound: `${ASSET_BASE_URL}assets/uh.m4a`,
     pitchVariationMin: 0.85,
     pitchVariationMax: 1.15,
     highShelfFrequency: 2000,
@@ -0,0 +1,110 @@
+/**
+ * Peach Event Bus
+ * Typed publish/subscribe hub for everything that happens to a peach, so other
+ * modules and embedding pages can react without reaching into interaction.js.
+ * Every PeachInteraction owns one (exposed as `events` on the PeachyKeen instance).
+ *
+ * Events and their payloads:
+ * @typedef {Object} SmackEvent
+ * @property {THREE.Vector3} point - Impact point (world space)
+ * @property {THREE.Vector3} direction - Normalized hit direction (world space)
+ * @property {number} strength - Hit strength (0-2)
+ * @property {string} source - 'pointer', 'keyboard', 'gamepad' or 'api'
+ *
+ * @typedef {Object} RageChangedEvent - sent on smacks, explosions and resets; the
+ *   gradual decay is silent until it reaches 0 (poll peachState.rageLevel for the meter)
+ * @property {number} rageLevel - New rage level (0-100)
+ * @property {number} previousRageLevel - Rage level before the change
+ *
+ * @typedef {Object} ExplodeEvent
+ * @property {number} rageLevel - Rage level that triggered the explosion
+ *
+ * @typedef {Object} RespawnedEvent - (empty) respawn animation finished
+ *
+ * @typedef {Object} OilToggledEvent
+ * @property {boolean} isOiled - Whether the peach is now oiled
+ *
+ * @typedef {Object} SettledEvent - (empty) wobble and jiggle have come to rest
+ *
+ * @typedef {Object} GameStartedEvent - a game mode round started (after its countdown)
+ * @property {string} mode - 'speedRun', 'rageBand' or 'combo'
+ *
+ * @typedef {Object} GameEndedEvent
+ * @property {string} mode - Mode that ended
+ * @property {number} score - Final score (seconds for speedRun, points otherwise)
+ * @property {boolean} success - False if the round failed (speedRun time limit)
+ * @property {boolean} isBest - New best score this session
+ */
+
+export const PEACH_EVENT_TYPES = ['smack', 'rageChanged', 'explode', 'respawned', 'oilToggled', 'settled', 'gameStarted', 'gameEnded'];
+
+export class PeachEventEmitter {
+    constructor() {
+        this.listeners = new Map();
+        PEACH_EVENT_TYPES.forEach(type => this.listeners.set(type, new Set()));
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of PEACH_EVENT_TYPES
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        this.getListeners(type).add(listener);
+        return () => this.off(type, listener);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - One of PEACH_EVENT_TYPES
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, listener) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        return this.on(type, wrapper);
+    }
+    
+    off(type, listener) {
+        this.getListeners(type).delete(listener);
+    }
+    
+    /**
+     * Notify every listener of an event; a throwing listener doesn't stop the others
+     * @param {string} type - One of PEACH_EVENT_TYPES
+     * @param {Object} payload - Event payload (see typedefs above)
+     */
+    emit(type, payload = {}) {
+        for (const listener of Array.from(this.getListeners(type))) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Remove every listener (all events, or just one)
+     * @param {string} [type] - Event to clear
+     */
+    clear(type) {
+        if (type) {
+            this.getListeners(type).clear();
+        } else {
+            this.listeners.forEach(listeners => listeners.clear());
+        }
+    }
+    
+    getListeners(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(`PeachEventEmitter: Unknown event "${type}"`);
+        }
+        return listeners;
+    }
+}
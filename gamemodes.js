@@ -0,0 +1,542 @@
+import { GAME_MODE_CONFIG } from './config.js';
+
+/**
+ * Game Modes
+ * Timed challenges on top of the rage meter. Free play stays the default; a
+ * mode runs as menu -> start screen -> countdown -> round -> end screen, and
+ * smacking is locked everywhere except during the round itself.
+ *
+ * Every mode scores itself from the peach's events and the rage level:
+ *   speedRun  blow the peach up as fast as possible (lower time is better)
+ *   rageBand  keep the meter inside a band for the whole round
+ *   combo     alternate left and right smacks for a growing multiplier
+ *
+ * Time is the sum of update() deltas, like the physics, so pausing the loop
+ * pauses the round too.
+ */
+
+class SpeedRunMode {
+    constructor(interaction) {
+        this.interaction = interaction;
+        this.reset();
+    }
+    
+    reset() {
+        this.elapsed = 0;
+        this.exploded = false;
+    }
+    
+    update(delta) {
+        this.elapsed = Math.min(this.elapsed + delta, GAME_MODE_CONFIG.SPEED_RUN_TIME_LIMIT);
+    }
+    
+    onSmack() {}
+    
+    onExplode() {
+        this.exploded = true;
+    }
+    
+    isFinished() {
+        return this.exploded || this.elapsed >= GAME_MODE_CONFIG.SPEED_RUN_TIME_LIMIT;
+    }
+    
+    isSuccess() {
+        return this.exploded;
+    }
+    
+    getScore() {
+        return this.elapsed;
+    }
+    
+    getHud() {
+        return `⏱️ ${this.elapsed.toFixed(1)}s / ${GAME_MODE_CONFIG.SPEED_RUN_TIME_LIMIT}s`;
+    }
+    
+    getSummary() {
+        return this.exploded ? 'Exploded!' : "Time's up - the peach survived";
+    }
+}
+
+class RageBandMode {
+    constructor(interaction) {
+        this.interaction = interaction;
+        this.reset();
+    }
+    
+    reset() {
+        this.remaining = GAME_MODE_CONFIG.RAGE_BAND_DURATION;
+        this.timeInBand = 0;
+        this.inBand = false;
+    }
+    
+    update(delta) {
+        const step = Math.min(delta, this.remaining);
+        const { rageLevel, explosionThreshold } = this.interaction.peachState;
+        const fraction = rageLevel / explosionThreshold;
+        
+        this.inBand = fraction >= GAME_MODE_CONFIG.RAGE_BAND_MIN && fraction <= GAME_MODE_CONFIG.RAGE_BAND_MAX;
+        if (this.inBand) {
+            this.timeInBand += step;
+        }
+        this.remaining -= step;
+    }
+    
+    onSmack() {}
+    
+    // Blowing up is its own penalty: the meter drops to zero and the peach has to respawn
+    onExplode() {}
+    
+    isFinished() {
+        return this.remaining <= 0;
+    }
+    
+    isSuccess() {
+        return true;
+    }
+    
+    getScore() {
+        return Math.round(this.timeInBand * GAME_MODE_CONFIG.RAGE_BAND_POINTS_PER_SECOND);
+    }
+    
+    getHud() {
+        return `⏱️ ${Math.ceil(this.remaining)}s · ${this.inBand ? '🎯' : '❌'} ${this.timeInBand.toFixed(1)}s in the band · ${this.getScore()} pts`;
+    }
+    
+    getSummary() {
+        return `${this.timeInBand.toFixed(1)}s of ${GAME_MODE_CONFIG.RAGE_BAND_DURATION}s in the sweet spot`;
+    }
+}
+
+class ComboMode {
+    constructor(interaction) {
+        this.interaction = interaction;
+        this.reset();
+    }
+    
+    reset() {
+        this.remaining = GAME_MODE_CONFIG.COMBO_DURATION;
+        this.score = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.lastSide = 0; // -1 left, 1 right, 0 no combo running
+        this.timeSinceSmack = 0;
+    }
+    
+    update(delta) {
+        this.remaining = Math.max(0, this.remaining - delta);
+        this.timeSinceSmack += delta;
+        
+        if (this.timeSinceSmack > GAME_MODE_CONFIG.COMBO_WINDOW) {
+            this.breakCombo();
+        }
+    }
+    
+    onSmack({ direction }) {
+        // Straight up/down/into-the-screen smacks don't count as either side
+        if (Math.abs(direction.x) < GAME_MODE_CONFIG.COMBO_MIN_SIDEWAYS) {
+            this.breakCombo();
+            return;
+        }
+        
+        const side = Math.sign(direction.x);
+        this.combo = (this.lastSide !== 0 && side !== this.lastSide) ? this.combo + 1 : 1;
+        this.lastSide = side;
+        this.timeSinceSmack = 0;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        
+        this.score += GAME_MODE_CONFIG.COMBO_BASE_POINTS * this.getMultiplier();
+    }
+    
+    onExplode() {}
+    
+    breakCombo() {
+        this.combo = 0;
+        this.lastSide = 0;
+    }
+    
+    getMultiplier() {
+        return Math.min(this.combo, GAME_MODE_CONFIG.COMBO_MAX_MULTIPLIER);
+    }
+    
+    isFinished() {
+        return this.remaining <= 0;
+    }
+    
+    isSuccess() {
+        return true;
+    }
+    
+    getScore() {
+        return this.score;
+    }
+    
+    getHud() {
+        return `⏱️ ${Math.ceil(this.remaining)}s · 🔥 x${this.getMultiplier()} · ${this.score} pts`;
+    }
+    
+    getSummary() {
+        return `Longest combo: ${this.bestCombo}`;
+    }
+}
+
+// Available modes (keys are the ids used by the API and events)
+export const GAME_MODES = {
+    speedRun: {
+        ModeClass: SpeedRunMode,
+        title: '⚡ Speed Run',
+        description: `Blow the peach up as fast as you can. You have ${GAME_MODE_CONFIG.SPEED_RUN_TIME_LIMIT} seconds.`,
+        lowerIsBetter: true,
+        formatScore: (score) => `${score.toFixed(2)}s`
+    },
+    rageBand: {
+        ModeClass: RageBandMode,
+        title: '🎯 Sweet Spot',
+        description: `Keep the PEACH-O-METER inside the marked band for ${GAME_MODE_CONFIG.RAGE_BAND_DURATION} seconds. Too soft and it drains, too hard and it blows.`,
+        lowerIsBetter: false,
+        formatScore: (score) => `${score} pts`
+    },
+    combo: {
+        ModeClass: ComboMode,
+        title: '🔥 Combo',
+        description: `Alternate left and right smacks to build a multiplier (up to x${GAME_MODE_CONFIG.COMBO_MAX_MULTIPLIER}). Pause for ${GAME_MODE_CONFIG.COMBO_WINDOW}s or repeat a side and it resets.`,
+        lowerIsBetter: false,
+        formatScore: (score) => `${score} pts`
+    }
+};
+
+export class GameModeManager {
+    /**
+     * @param {PeachInteraction} interaction - The peach to play with
+     * @param {HTMLElement} root - Element holding the game UI (optional, e.g. headless)
+     */
+    constructor(interaction, root = null) {
+        if (!interaction) {
+            throw new Error('GameModeManager: Missing interaction');
+        }
+        
+        this.interaction = interaction;
+        this.events = interaction.events;
+        
+        this.modeId = null; // null = free play
+        this.mode = null;
+        this.phase = 'free'; // 'free', 'menu', 'intro', 'countdown', 'playing' or 'finished'
+        this.countdown = 0;
+        this.lastResult = null;
+        this.bestScores = {}; // Best score per mode this session
+        this.hudText = '';
+        this.paused = false; // Frozen while a replay drives the peach
+        
+        this.onScreenClick = this.onScreenClick.bind(this);
+        this.onModeButtonClick = this.onModeButtonClick.bind(this);
+        
+        this.screen = null;
+        this.hud = null;
+        this.modeButton = null;
+        this.rageBand = null;
+        if (root) {
+            this.initDom(root);
+        }
+        
+        this.unsubscribers = [
+            this.events.on('smack', (event) => {
+                if (this.phase === 'playing' && !this.paused) this.mode.onSmack(event);
+            }),
+            this.events.on('explode', (event) => {
+                if (this.phase === 'playing' && !this.paused) this.mode.onExplode(event);
+            })
+        ];
+    }
+    
+    initDom(root) {
+        this.screen = root.querySelector('.game-screen');
+        this.hud = root.querySelector('.game-hud');
+        this.modeButton = root.querySelector('.mode-button');
+        this.rageBand = root.querySelector('.rage-meter-band');
+        
+        if (this.screen) {
+            this.screen.addEventListener('click', this.onScreenClick);
+        }
+        if (this.modeButton) {
+            this.modeButton.addEventListener('click', this.onModeButtonClick);
+            this.modeButton.classList.add('interactive-element');
+        }
+        if (this.rageBand) {
+            this.rageBand.style.setProperty('--band-min', GAME_MODE_CONFIG.RAGE_BAND_MIN);
+            this.rageBand.style.setProperty('--band-max', GAME_MODE_CONFIG.RAGE_BAND_MAX);
+        }
+    }
+    
+    onModeButtonClick() {
+        if (this.phase === 'free') {
+            this.showMenu();
+        } else {
+            this.exitToFreePlay();
+        }
+    }
+    
+    onScreenClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        
+        event.stopPropagation();
+        
+        switch (button.dataset.action) {
+            case 'select':
+                this.selectMode(button.dataset.mode);
+                break;
+            case 'start':
+                this.startMode(this.modeId);
+                break;
+            case 'menu':
+                this.showMenu();
+                break;
+            case 'free':
+                this.exitToFreePlay();
+                break;
+        }
+    }
+    
+    /**
+     * Show the list of modes
+     */
+    showMenu() {
+        this.modeId = null;
+        this.mode = null;
+        this.setPhase('menu');
+    }
+    
+    /**
+     * Show a mode's start screen
+     * @param {string} modeId - Key of GAME_MODES
+     * @returns {boolean} False if the mode doesn't exist
+     */
+    selectMode(modeId) {
+        if (!this.setMode(modeId)) return false;
+        
+        this.setPhase('intro');
+        return true;
+    }
+    
+    /**
+     * Start a round right away (countdown first)
+     * @param {string} modeId - Key of GAME_MODES
+     * @returns {boolean} False if the mode doesn't exist
+     */
+    startMode(modeId) {
+        if (!this.setMode(modeId)) return false;
+        
+        this.countdown = GAME_MODE_CONFIG.COUNTDOWN_SECONDS;
+        this.setPhase('countdown');
+        return true;
+    }
+    
+    setMode(modeId) {
+        const definition = GAME_MODES[modeId];
+        if (!definition) {
+            console.error(`setMode: Unknown game mode "${modeId}", expected one of: ${Object.keys(GAME_MODES).join(', ')}`);
+            return false;
+        }
+        
+        this.modeId = modeId;
+        this.mode = new definition.ModeClass(this.interaction);
+        return true;
+    }
+    
+    /**
+     * Leave any mode (even mid-round) and go back to free play
+     */
+    exitToFreePlay() {
+        this.modeId = null;
+        this.mode = null;
+        this.setPhase('free');
+    }
+    
+    /**
+     * Freeze (or resume) the countdown and the running round; a replay's smacks
+     * shouldn't score
+     * @param {boolean} paused - True to freeze
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+    
+    /**
+     * Advance the countdown and the running round (call once per frame)
+     * @param {number} delta - Time delta since last frame
+     */
+    update(delta) {
+        if (this.paused) return;
+        
+        if (this.phase === 'countdown') {
+            const shownBefore = Math.ceil(this.countdown);
+            this.countdown -= delta;
+            
+            if (this.countdown <= 0) {
+                this.beginRound();
+            } else if (Math.ceil(this.countdown) !== shownBefore) {
+                this.render();
+            }
+        } else if (this.phase === 'playing') {
+            this.mode.update(delta);
+            
+            if (this.mode.isFinished()) {
+                this.finishRound();
+            } else {
+                this.updateHud();
+            }
+        }
+    }
+    
+    beginRound() {
+        // Everyone starts from an empty meter
+        this.interaction.setRageLevel(0);
+        this.mode.reset();
+        
+        this.setPhase('playing');
+        this.events.emit('gameStarted', { mode: this.modeId });
+    }
+    
+    finishRound() {
+        const definition = GAME_MODES[this.modeId];
+        const score = this.mode.getScore();
+        const success = this.mode.isSuccess();
+        
+        const best = this.bestScores[this.modeId];
+        const isBest = success && (best === undefined ||
+            (definition.lowerIsBetter ? score < best : score > best));
+        if (isBest) {
+            this.bestScores[this.modeId] = score;
+        }
+        
+        this.lastResult = { mode: this.modeId, score, success, isBest, summary: this.mode.getSummary() };
+        this.setPhase('finished');
+        this.events.emit('gameEnded', { mode: this.modeId, score, success, isBest });
+    }
+    
+    /**
+     * @returns {Object} { mode, phase, score, lastResult, bestScores } (mode is null in free play)
+     */
+    getState() {
+        return {
+            mode: this.modeId,
+            phase: this.phase,
+            score: this.mode ? this.mode.getScore() : null,
+            lastResult: this.lastResult ? { ...this.lastResult } : null,
+            bestScores: { ...this.bestScores }
+        };
+    }
+    
+    setPhase(phase) {
+        this.phase = phase;
+        
+        // Only free play and the round itself take smacks
+        this.interaction.smackingLocked = phase !== 'free' && phase !== 'playing';
+        
+        this.render();
+    }
+    
+    /**
+     * Show the screen, HUD and mode button for the current phase
+     */
+    render() {
+        if (this.screen) {
+            const html = this.getScreenHtml();
+            this.screen.innerHTML = html;
+            this.screen.classList.toggle('visible', html !== '');
+            this.screen.querySelectorAll('button').forEach(button => button.classList.add('interactive-element'));
+        }
+        
+        if (this.hud) {
+            this.hud.classList.toggle('visible', this.phase === 'playing');
+            this.hudText = '';
+            this.updateHud();
+        }
+        
+        if (this.modeButton) {
+            this.modeButton.textContent = this.phase === 'free' ? '🎮 Challenges' : '🍑 Free Play';
+        }
+        
+        if (this.rageBand) {
+            this.rageBand.classList.toggle('visible', this.modeId === 'rageBand');
+        }
+    }
+    
+    updateHud() {
+        if (!this.hud || this.phase !== 'playing') return;
+        
+        // Only touch the DOM when the text changes
+        const text = this.mode.getHud();
+        if (text !== this.hudText) {
+            this.hudText = text;
+            this.hud.textContent = text;
+        }
+    }
+    
+    getScreenHtml() {
+        const definition = this.modeId ? GAME_MODES[this.modeId] : null;
+        
+        switch (this.phase) {
+            case 'menu':
+                return `
+                    <div class="game-panel">
+                        <h2>🎮 Challenges</h2>
+                        ${Object.entries(GAME_MODES).map(([id, mode]) => `
+                            <button data-action="select" data-mode="${id}">${mode.title}</button>
+                        `).join('')}
+                        <button class="secondary" data-action="free">🍑 Free Play</button>
+                    </div>
+                `;
+            
+            case 'intro':
+                return `
+                    <div class="game-panel">
+                        <h2>${definition.title}</h2>
+                        <p>${definition.description}</p>
+                        ${this.getBestHtml(definition)}
+                        <button data-action="start">▶️ Start</button>
+                        <button class="secondary" data-action="menu">↩️ Back</button>
+                    </div>
+                `;
+            
+            case 'countdown':
+                return `<div class="game-countdown">${Math.ceil(this.countdown)}</div>`;
+            
+            case 'finished': {
+                const result = this.lastResult;
+                return `
+                    <div class="game-panel">
+                        <h2>${result.success ? '🏁 Finished!' : '⌛ Time\'s up!'}</h2>
+                        <div class="game-score">${result.success ? definition.formatScore(result.score) : '--'}</div>
+                        <p>${result.summary}</p>
+                        ${result.isBest ? '<p class="game-best">🏆 New best!</p>' : this.getBestHtml(definition)}
+                        <button data-action="start">🔁 Play Again</button>
+                        <button class="secondary" data-action="menu">🎮 Other Challenges</button>
+                        <button class="secondary" data-action="free">🍑 Free Play</button>
+                    </div>
+                `;
+            }
+            
+            default:
+                return '';
+        }
+    }
+    
+    getBestHtml(definition) {
+        const best = this.bestScores[this.modeId];
+        return best === undefined ? '' : `<p class="game-best">Best: ${definition.formatScore(best)}</p>`;
+    }
+    
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        
+        if (this.screen) {
+            this.screen.removeEventListener('click', this.onScreenClick);
+        }
+        if (this.modeButton) {
+            this.modeButton.removeEventListener('click', this.onModeButtonClick);
+        }
+        
+        this.interaction.smackingLocked = false;
+    }
+}
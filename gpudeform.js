@@ -0,0 +1,182 @@
+import { DataTexture, RGBAFormat, FloatType, NearestFilter, BufferAttribute } from 'three';
+
+/**
+ * GPU Soft Body Deformation
+ * Alternative to writing positions and recomputing normals on the CPU: the soft body
+ * displacement is stored in a float DataTexture and added to `position` in the vertex
+ * shader of the mesh's MeshStandardMaterial (patched via onBeforeCompile).
+ * The geometry's position buffer keeps the rest shape, so raycasts and impact marks
+ * (vertex colors) work in rest space exactly as before.
+ *
+ * Normals are approximated in-shader: each vertex knows two neighbors from one of its
+ * triangles, rebuilds that triangle's face normal at rest and deformed, and tilts its
+ * smooth normal by the difference.
+ */
+
+export class GpuDeformer {
+    constructor(mesh) {
+        if (!mesh || !mesh.geometry || !mesh.geometry.attributes.position) {
+            throw new Error('GpuDeformer: Invalid mesh provided');
+        }
+        
+        this.mesh = mesh;
+        this.geometry = mesh.geometry;
+        
+        const positions = this.geometry.attributes.position;
+        this.vertexCount = positions.count;
+        
+        // Square-ish texture with one RGBA texel per vertex
+        this.textureWidth = Math.ceil(Math.sqrt(this.vertexCount));
+        const textureHeight = Math.ceil(this.vertexCount / this.textureWidth);
+        const texelCount = this.textureWidth * textureHeight;
+        
+        // Rest positions (uploaded once) and live displacement (uploaded when it changes)
+        this.restData = new Float32Array(texelCount * 4);
+        for (let i = 0; i < this.vertexCount; i++) {
+            this.restData[i * 4] = positions.getX(i);
+            this.restData[i * 4 + 1] = positions.getY(i);
+            this.restData[i * 4 + 2] = positions.getZ(i);
+        }
+        this.displacementData = new Float32Array(texelCount * 4);
+        
+        this.restTexture = this.createTexture(this.restData, textureHeight);
+        this.displacementTexture = this.createTexture(this.displacementData, textureHeight);
+        
+        this.buildNeighborAttribute();
+        this.patchMaterial();
+    }
+    
+    createTexture(data, height) {
+        const texture = new DataTexture(data, this.textureWidth, height, RGBAFormat, FloatType);
+        texture.magFilter = NearestFilter;
+        texture.minFilter = NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    /**
+     * Store two triangle neighbors per vertex (in winding order) for in-shader normals
+     */
+    buildNeighborAttribute() {
+        const count = this.vertexCount;
+        const indices = this.geometry.index;
+        const neighbors = new Float32Array(count * 2);
+        const assigned = new Uint8Array(count);
+        const triangleCount = Math.floor((indices ? indices.count : count) / 3);
+        
+        for (let t = 0; t < triangleCount; t++) {
+            const a = indices ? indices.getX(t * 3) : t * 3;
+            const b = indices ? indices.getX(t * 3 + 1) : t * 3 + 1;
+            const c = indices ? indices.getX(t * 3 + 2) : t * 3 + 2;
+            
+            // a -> (b, c), b -> (c, a), c -> (a, b) keeps the face orientation
+            for (const [v, n1, n2] of [[a, b, c], [b, c, a], [c, a, b]]) {
+                if (assigned[v]) continue;
+                assigned[v] = 1;
+                neighbors[v * 2] = n1;
+                neighbors[v * 2 + 1] = n2;
+            }
+        }
+        
+        this.geometry.setAttribute('softBodyNeighbors', new BufferAttribute(neighbors, 2));
+    }
+    
+    /**
+     * Patch the mesh material so the vertex shader applies the displacement texture
+     */
+    patchMaterial() {
+        // Own the material: the displacement uniforms are per mesh
+        this.originalMaterial = this.mesh.material;
+        this.material = this.originalMaterial.clone();
+        this.mesh.material = this.material;
+        const material = this.material;
+        const previousOnBeforeCompile = material.onBeforeCompile;
+        
+        material.onBeforeCompile = (shader, renderer) => {
+            if (previousOnBeforeCompile) previousOnBeforeCompile(shader, renderer);
+            
+            shader.uniforms.softBodyDisplacement = { value: this.displacementTexture };
+            shader.uniforms.softBodyRestPositions = { value: this.restTexture };
+            shader.uniforms.softBodyTextureWidth = { value: this.textureWidth };
+            
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+uniform sampler2D softBodyDisplacement;
+uniform sampler2D softBodyRestPositions;
+uniform int softBodyTextureWidth;
+attribute vec2 softBodyNeighbors;
+
+vec3 softBodyFetch(sampler2D map, int index) {
+    return texelFetch(map, ivec2(index % softBodyTextureWidth, index / softBodyTextureWidth), 0).xyz;
+}`)
+                .replace('#include <beginnormal_vertex>', `#include <beginnormal_vertex>
+{
+    int softBodyA = int(softBodyNeighbors.x);
+    int softBodyB = int(softBodyNeighbors.y);
+    vec3 restP = softBodyFetch(softBodyRestPositions, gl_VertexID);
+    vec3 restA = softBodyFetch(softBodyRestPositions, softBodyA);
+    vec3 restB = softBodyFetch(softBodyRestPositions, softBodyB);
+    vec3 deformedP = restP + softBodyFetch(softBodyDisplacement, gl_VertexID);
+    vec3 deformedA = restA + softBodyFetch(softBodyDisplacement, softBodyA);
+    vec3 deformedB = restB + softBodyFetch(softBodyDisplacement, softBodyB);
+    
+    vec3 restFace = cross(restA - restP, restB - restP);
+    vec3 deformedFace = cross(deformedA - deformedP, deformedB - deformedP);
+    if (dot(restFace, restFace) > 0.0 && dot(deformedFace, deformedFace) > 0.0) {
+        // Match the face winding to the smooth normal, then tilt by the face's rotation
+        float faceSign = dot(restFace, objectNormal) < 0.0 ? -1.0 : 1.0;
+        objectNormal = normalize(objectNormal + (normalize(deformedFace) - normalize(restFace)) * faceSign);
+    }
+}`)
+                .replace('#include <begin_vertex>', `#include <begin_vertex>
+transformed += softBodyFetch(softBodyDisplacement, gl_VertexID);`);
+        };
+        
+        const previousCacheKey = material.customProgramCacheKey.bind(material);
+        material.customProgramCacheKey = () => previousCacheKey() + '-softbody-gpu';
+        material.needsUpdate = true;
+    }
+    
+    /**
+     * Set the displacement from simulated positions blended between two steps
+     * @param {Float32Array} previous - Flat positions at the previous step
+     * @param {Float32Array} current - Flat positions at the current step
+     * @param {number} alpha - Blend factor (0 = previous, 1 = current)
+     */
+    setFromPositions(previous, current, alpha) {
+        const rest = this.restData;
+        const data = this.displacementData;
+        
+        for (let i = 0; i < this.vertexCount; i++) {
+            const i3 = i * 3;
+            const i4 = i * 4;
+            data[i4] = previous[i3] + (current[i3] - previous[i3]) * alpha - rest[i4];
+            data[i4 + 1] = previous[i3 + 1] + (current[i3 + 1] - previous[i3 + 1]) * alpha - rest[i4 + 1];
+            data[i4 + 2] = previous[i3 + 2] + (current[i3 + 2] - previous[i3 + 2]) * alpha - rest[i4 + 2];
+        }
+        
+        this.displacementTexture.needsUpdate = true;
+    }
+    
+    /**
+     * Clear all displacement (mesh renders at rest)
+     */
+    reset() {
+        this.displacementData.fill(0);
+        this.displacementTexture.needsUpdate = true;
+    }
+    
+    dispose() {
+        // Give the mesh its own material back, keeping changes made to ours meanwhile (e.g. oil)
+        if (this.mesh.material === this.material) {
+            this.originalMaterial.copy(this.material);
+            this.originalMaterial.needsUpdate = true;
+            this.mesh.material = this.originalMaterial;
+        }
+        this.material.dispose();
+        
+        this.restTexture.dispose();
+        this.displacementTexture.dispose();
+        this.geometry.deleteAttribute('softBodyNeighbors');
+    }
+}
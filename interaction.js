@@ -1,336 +1,942 @@
-import { Vector3, Euler, Raycaster, Vector2 } from 'three';
+import { Vector3, Euler, Raycaster, Vector2, Plane } from 'three';
 import { playSmackSound, playExplosionSound } from './audio.js';
-import { SoftBodyPhysics } from './softbody.js';
+import { createSoftBody } from './softbody-proxy.js';
 import { ParticleExplosion } from './particles.js';
-import { toggleOilEffect, updateImpactMarkShaders } from './peach.js';
+import { setOilEffect, updateImpactMarkShaders } from './peach.js';
+import { FixedTimestep } from './timestep.js';
+import { SmackInputController } from './smackinput.js';
+import { PeachEventEmitter } from './events.js';
+import { SeededRandom, getInitialSeed } from './random.js';
 import { PHYSICS_CONFIG, INTERACTION_CONFIG } from './config.js';
 
-// Physics and interaction state
-export const peachState = {
-    velocity: new Vector3(0, 0, 0),
-    angularVelocity: new Vector3(0, 0, 0),
-    physicsOffset: new Vector3(0, 0, 0), // Offset from default position due to physics
-    physicsRotation: new Euler(0, 0, 0), // Rotation offset due to physics
-    defaultPosition: new Vector3(0, 0, 0),
-    defaultRotation: new Euler(0, 0, 0),
-    isWobbling: false,
-    softBodies: [], // Array of soft body physics instances for each mesh
-    rageLevel: 0, // Builds up with each hit (0-100)
-    rageDecayRate: INTERACTION_CONFIG.RAGE_DECAY_RATE,
-    explosionThreshold: INTERACTION_CONFIG.RAGE_EXPLOSION_THRESHOLD,
-    particleExplosion: null, // Reference to particle explosion system
-    isRespawning: false, // Is the peach currently respawning?
-    respawnTimer: 0, // Timer for respawn animation
-    respawnDuration: INTERACTION_CONFIG.RESPAWN_DURATION,
-    idleAnimationTime: 0, // Separate time counter for idle animation (always running)
-    impactMarks: [] // Array of impact marks { position: Vector3, age: number, maxAge: number }
-};
-
-// Mouse tracking state
-const mouseState = {
-    position: { x: 0, y: 0 },
-    lastPosition: { x: 0, y: 0 },
-    velocity: { x: 0, y: 0 },
-    lastSmackTime: 0,
-    smackCooldown: INTERACTION_CONFIG.SMACK_COOLDOWN_MS,
-    velocityHistory: [],
-    maxHistorySize: INTERACTION_CONFIG.VELOCITY_HISTORY_SIZE,
-    isHoveringPeach: false // Track if cursor is currently over the peach
-};
-
-// Raycaster for mouse interaction
-const raycaster = new Raycaster();
-const mouse = new Vector2();
-
-let peachMesh = null;
-let peachGroup = null;
-let camera = null;
-let handCursor = null;
-let performanceMonitor = null;
+// Scratch objects shared by every instance (only used within a single call)
+const sweepNdc = new Vector2();         // Swept hit detection
+const inputAimPoint = new Vector3();    // Keyboard/gamepad aiming
+const inputAimNdc = new Vector2();
+const grabPlane = new Plane();          // Grab dragging
+const grabCameraDirection = new Vector3();
+const eventPosition = { x: 0, y: 0 };   // Pointer event position in root pixels
 
 /**
- * Initialize the interaction system
- * @param {THREE.Group} peachGroupRef - The peach group
- * @param {THREE.Camera} cameraRef - The camera
- * @param {THREE.Scene} sceneRef - The scene
- * @param {PerformanceMonitor} perfMonitor - Optional performance monitor to notify of mode changes
+ * Peach Interaction
+ * Physics state, pointer/keyboard/gamepad input, smacks, rage and the explosion
+ * cycle for one peach. DOM lookups and listeners are scoped to the root element
+ * passed in (and removed again by dispose()); without a root the peach can still
+ * be driven from code through smackAt() and update().
  */
-export function initInteraction(peachGroupRef, cameraRef, sceneRef, perfMonitor = null) {
-    if (!peachGroupRef || !cameraRef) {
-        console.error('initInteraction: Missing required parameters');
-        return;
+export class PeachInteraction {
+    /**
+     * @param {THREE.Group} peachGroup - The peach group
+     * @param {THREE.Camera} camera - The camera
+     * @param {THREE.Scene} scene - The scene (for the particle explosion)
+     * @param {HTMLElement} root - Element holding the canvas and UI (optional)
+     * @param {PerformanceMonitor} perfMonitor - Optional performance monitor for feature toggles
+     * @param {boolean} drivesUi - Whether this peach owns the rage meter, oil button and keyboard /
+     *   gamepad aim (only the first peach of a multi-peach scene does; the others take pointer input)
+     */
+    constructor(peachGroup, camera, scene, root = null, perfMonitor = null, drivesUi = true) {
+        if (!peachGroup || !camera) {
+            throw new Error('PeachInteraction: Missing required parameters');
+        }
+        
+        this.peachGroup = peachGroup;
+        this.camera = camera;
+        this.scene = scene;
+        this.root = root;
+        this.performanceMonitor = perfMonitor;
+        this.drivesUi = drivesUi;
+        this.peachMesh = null;
+        this.isOiled = false;
+        this.muted = false; // Skip smack and explosion sounds
+        this.smackingLocked = false; // Ignore smacks and grabs (game mode menus and countdowns)
+        this.features = {}; // Feature switches when there's no performance monitor (headless)
+        
+        // Seeded randomness for the physics and particles, plus a separate stream for sound
+        // variation so runs with and without sound roll the same physics numbers
+        this.random = new SeededRandom();
+        this.soundRandom = new SeededRandom();
+        this.setRandomSeed(getInitialSeed());
+        
+        // Recording and replay (recorder.js)
+        this.recorder = null; // InputRecorder capturing this peach's input
+        this.liveInputEnabled = true; // Off while a replay drives the peach
+        this.timeSource = null; // Replaces Date.now() for smack cooldowns during a replay
+        this.softBodyWorker = PHYSICS_CONFIG.SOFT_BODY_WORKER; // Soft bodies may run in a worker
+        this.pendingSoftBodyWorker = null; // Mode to switch to once the skin is at rest
+        this.events = new PeachEventEmitter();
+        
+        // Physics and interaction state
+        this.peachState = {
+            velocity: new Vector3(0, 0, 0),
+            angularVelocity: new Vector3(0, 0, 0),
+            physicsOffset: new Vector3(0, 0, 0), // Offset from default position due to physics
+            physicsRotation: new Euler(0, 0, 0), // Rotation offset due to physics
+            previousPhysicsOffset: new Vector3(0, 0, 0), // Physics offset at the previous fixed step (for interpolation)
+            previousPhysicsRotation: new Euler(0, 0, 0), // Physics rotation at the previous fixed step (for interpolation)
+            defaultPosition: new Vector3(0, 0, 0),
+            defaultRotation: new Euler(0, 0, 0),
+            defaultScale: 1, // Peaches are smaller in multi-peach layouts
+            isWobbling: false,
+            softBodies: [], // Array of soft body physics instances for each mesh
+            rageLevel: 0, // Builds up with each hit (0-100)
+            rageDecayRate: INTERACTION_CONFIG.RAGE_DECAY_RATE,
+            explosionThreshold: INTERACTION_CONFIG.RAGE_EXPLOSION_THRESHOLD,
+            particleExplosion: null, // Reference to particle explosion system
+            isRespawning: false, // Is the peach currently respawning?
+            respawnTimer: 0, // Timer for respawn animation
+            respawnDuration: INTERACTION_CONFIG.RESPAWN_DURATION,
+            respawnStyle: INTERACTION_CONFIG.RESPAWN_STYLE, // 'zoom' or 'reassemble'
+            isReassembling: false, // Is the respawn flying the explosion pieces back together?
+            idleAnimationTime: 0, // Separate time counter for idle animation (always running)
+            impactMarks: [] // Array of impact marks { position: Vector3, age: number, maxAge: number }
+        };
+        
+        // Pointer tracking state, one entry per active pointerId (mouse, pen or finger)
+        this.pointerStates = new Map();
+        
+        // Two-finger pinch: screen distance between the fingers when the second one grabbed
+        this.pinchState = {
+            startDistance: 0
+        };
+        
+        // Size of the root element in pixels (for normalized device coordinates)
+        this.viewport = { width: 1, height: 1 };
+        
+        // Fixed-step clock shared by the rigid wobble and soft body simulation
+        this.physicsClock = new FixedTimestep();
+        
+        // Interpolated physics offset/rotation used for rendering (reused every frame)
+        this.renderOffset = new Vector3();
+        this.renderRotation = new Euler();
+        
+        // Raycaster for pointer interaction
+        this.raycaster = new Raycaster();
+        
+        this.wasMoving = false; // Peach was wobbling or jiggling last frame (for the 'settled' event)
+        this.smackInput = null;
+        
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerEnter = this.onPointerEnter.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onMouseOver = this.onMouseOver.bind(this);
+        this.onMouseOut = this.onMouseOut.bind(this);
+        this.onOilButtonClick = this.onOilButtonClick.bind(this);
+        this.onWindowBlur = this.onWindowBlur.bind(this);
+        
+        if (root) {
+            this.initDom(root);
+        }
     }
     
-    peachGroup = peachGroupRef;
-    camera = cameraRef;
-    handCursor = document.getElementById('hand-cursor');
-    performanceMonitor = perfMonitor;
-    
-    if (!handCursor) {
-        console.warn('Hand cursor element not found');
+    /**
+     * Find the UI elements inside the root and start listening for input
+     * @param {HTMLElement} root - Element holding the canvas and UI
+     */
+    initDom(root) {
+        this.handCursor = root.querySelector('.hand-cursor');
+        
+        if (!this.handCursor) {
+            console.warn('Hand cursor element not found');
+        }
+        
+        // Pointer events (mouse, pen and every finger, each tracked by pointerId)
+        root.addEventListener('pointermove', this.onPointerMove);
+        root.addEventListener('pointerdown', this.onPointerDown);
+        root.addEventListener('pointerup', this.onPointerUp);
+        root.addEventListener('pointercancel', this.onPointerUp);
+        root.addEventListener('pointerenter', this.onPointerEnter);
+        root.addEventListener('pointerleave', this.onPointerLeave);
+        window.addEventListener('blur', this.onWindowBlur);
+        
+        // Universal cursor handling using event delegation
+        if (this.handCursor) {
+            root.addEventListener('mouseover', this.onMouseOver);
+            root.addEventListener('mouseout', this.onMouseOut);
+        }
+        
+        // One rage meter, oil button and aim reticle per scene
+        if (!this.drivesUi) return;
+        
+        this.oilButton = root.querySelector('.oil-button');
+        this.rageMeter = root.querySelector('.rage-meter-fill');
+        this.rageContainer = root.querySelector('.rage-meter-container');
+        
+        // Keyboard and gamepad smacks (aim reticle, charge-and-release)
+        this.smackInput = new SmackInputController(root, (request) => this.onInputSmack(request));
+        
+        // Oil button event
+        if (this.oilButton) {
+            this.oilButton.addEventListener('click', this.onOilButtonClick);
+            
+            // Add interactive class for cursor handling
+            this.oilButton.classList.add('interactive-element');
+        }
     }
     
-    // Initialize particle explosion system (will be set up once mesh is loaded)
-    if (sceneRef) {
-        peachState.sceneRef = sceneRef;
+    onOilButtonClick() {
+        if (!this.liveInputEnabled) return;
+        this.setOiled(!this.isOiled);
     }
     
-    // Mouse events
-    window.addEventListener('mousemove', onMouseMove);
-    
-    // Touch events for mobile devices
-    window.addEventListener('touchstart', onTouchStart, { passive: true });
-    window.addEventListener('touchmove', onTouchMove, { passive: true });
-    window.addEventListener('touchend', onTouchEnd, { passive: true });
+    // Switching away mid-drag never delivers the pointerup
+    onWindowBlur() {
+        if (!this.liveInputEnabled) return;
+        if (this.recorder) this.recorder.recordReleaseAll();
+        this.releaseAllGrabs();
+    }
     
-    // Oil button event
-    const oilButton = document.getElementById('oil-button');
-    if (oilButton) {
-        oilButton.addEventListener('click', () => {
-            const isOiled = toggleOilEffect();
-            
-            // Update performance monitor to match mode
-            if (performanceMonitor) {
-                performanceMonitor.setLightingMode(isOiled);
-            }
-            
-            if (isOiled) {
-                oilButton.textContent = '💧 Oiled Up!';
-                oilButton.classList.add('oiled');
-            } else {
-                oilButton.textContent = '💧 Oil Up';
-                oilButton.classList.remove('oiled');
-            }
-        });
+    /**
+     * Oil the peach up (or wipe it off)
+     * @param {boolean} isOiled - Whether the peach should be oiled
+     */
+    setOiled(isOiled) {
+        if (isOiled === this.isOiled) return;
         
-        // Add interactive class for cursor handling
-        oilButton.classList.add('interactive-element');
+        this.isOiled = isOiled;
+        if (this.recorder) this.recorder.recordOil(isOiled);
+        setOilEffect(this.getMeshArray(), isOiled);
+        this.events.emit('oilToggled', { isOiled });
+        
+        // Update performance monitor to match mode
+        if (this.performanceMonitor) {
+            this.performanceMonitor.setLightingMode(isOiled);
+        }
+        
+        if (!this.oilButton) return;
+        
+        if (isOiled) {
+            this.oilButton.textContent = '💧 Oiled Up!';
+            this.oilButton.classList.add('oiled');
+        } else {
+            this.oilButton.textContent = '💧 Oil Up';
+            this.oilButton.classList.remove('oiled');
+        }
     }
     
-    // Universal cursor handler using event delegation
-    setupCursorHandling(handCursor);
-}
-
-/**
- * Setup universal cursor handling using event delegation
- * @param {HTMLElement} handCursor - The hand cursor element
- */
-function setupCursorHandling(handCursor) {
-    if (!handCursor) return;
-    
-    // Use event delegation on document body
-    document.body.addEventListener('mouseover', (e) => {
+    onMouseOver(e) {
         // Check if the target or any parent has the interactive class
         const interactiveElement = e.target.closest('.interactive-element');
         if (interactiveElement) {
-            handCursor.textContent = '👆';
+            this.handCursor.textContent = '👆';
         }
-    });
+    }
     
-    document.body.addEventListener('mouseout', (e) => {
+    onMouseOut(e) {
         // Check if we're leaving an interactive element
         const interactiveElement = e.target.closest('.interactive-element');
         if (interactiveElement && !interactiveElement.contains(e.relatedTarget)) {
-            handCursor.textContent = '🤚';
+            this.handCursor.textContent = '🤚';
         }
-    });
-}
-
-/**
- * Set the peach mesh for raycasting and initialize soft body physics
- * @param {Array|THREE.Mesh} meshes - The peach mesh(es)
- */
-export function setPeachMesh(meshes) {
-    if (!meshes) {
-        console.error('setPeachMesh: No meshes provided');
-        return;
     }
     
-    peachMesh = meshes;
+    // The hand cursor only follows the mouse while it is over this peach's root
+    onPointerEnter(event) {
+        if (this.handCursor && event.pointerType === 'mouse') {
+            this.handCursor.style.visibility = 'visible';
+        }
+    }
     
-    // Initialize soft body physics for each mesh
-    peachState.softBodies = [];
-    const meshArray = Array.isArray(meshes) ? meshes : [meshes];
+    onPointerLeave(event) {
+        if (this.handCursor && event.pointerType === 'mouse') {
+            this.handCursor.style.visibility = 'hidden';
+        }
+    }
     
-    meshArray.forEach(mesh => {
-        if (mesh.geometry && mesh.geometry.attributes.position) {
-            // Make sure geometry is not shared/indexed in a way that prevents modification
-            if (!mesh.geometry.attributes.position.array) {
-                console.warn('⚠️ Mesh geometry cannot be modified, skipping soft body physics');
-                return;
+    /**
+     * Set the peach mesh for raycasting and initialize soft body physics
+     * @param {Array|THREE.Mesh} meshes - The peach mesh(es)
+     */
+    setPeachMesh(meshes) {
+        if (!meshes) {
+            console.error('setPeachMesh: No meshes provided');
+            return;
+        }
+        
+        const peachState = this.peachState;
+        this.peachMesh = meshes;
+        
+        // Initialize soft body physics for each mesh
+        const meshArray = this.getMeshArray();
+        peachState.softBodies = this.createSoftBodies(meshArray);
+        
+        // A peach loaded while oiled up starts out shiny
+        if (this.isOiled) {
+            setOilEffect(meshArray, true);
+        }
+        
+        // Initialize particle explosion system with respawn callback
+        if (this.scene && !peachState.particleExplosion) {
+            peachState.particleExplosion = new ParticleExplosion(meshArray, this.scene, () => this.respawn(meshArray), this.random.next, this.camera);
+        }
+    }
+    
+    /**
+     * Create the soft body simulation for every deformable mesh
+     * @param {Array<THREE.Mesh>} meshArray - The peach meshes
+     * @param {boolean} useWorker - Allow worker simulation (see createSoftBody)
+     * @returns {Array} Soft body instances
+     */
+    createSoftBodies(meshArray, useWorker = PHYSICS_CONFIG.SOFT_BODY_WORKER) {
+        const softBodies = [];
+        
+        meshArray.forEach(mesh => {
+            if (mesh.geometry && mesh.geometry.attributes.position) {
+                // Make sure geometry is not shared/indexed in a way that prevents modification
+                if (!mesh.geometry.attributes.position.array) {
+                    console.warn('⚠️ Mesh geometry cannot be modified, skipping soft body physics');
+                    return;
+                }
+                
+                softBodies.push(createSoftBody(mesh, useWorker));
             }
+        });
+        
+        return softBodies;
+    }
+    
+    /**
+     * Swap in fresh soft bodies, created from the rest shape
+     * @param {boolean} useWorker - Allow worker simulation (see createSoftBody)
+     */
+    replaceSoftBodies(useWorker) {
+        const peachState = this.peachState;
+        
+        peachState.softBodies.forEach(softBody => {
+            softBody.resetToOriginalImmediate();
+            softBody.dispose();
+        });
+        peachState.softBodies = this.createSoftBodies(this.getMeshArray(), useWorker);
+        this.softBodyWorker = useWorker;
+        this.pendingSoftBodyWorker = null;
+    }
+    
+    /**
+     * Go back to the default soft body mode after recording/replay turned the worker off.
+     * The swap waits until the skin is at rest and let go, so it doesn't snap back mid-jiggle.
+     */
+    restoreSoftBodyMode() {
+        const useWorker = PHYSICS_CONFIG.SOFT_BODY_WORKER;
+        this.pendingSoftBodyWorker = useWorker !== this.softBodyWorker ? useWorker : null;
+    }
+    
+    /**
+     * Put the peach back to a known starting point: at rest in its default pose,
+     * no rage, no explosion, no pointers. Recordings start (and replays restart) here.
+     * @param {boolean} useWorker - Allow worker soft bodies afterwards (off for recording/replay)
+     */
+    resetSimulation(useWorker = PHYSICS_CONFIG.SOFT_BODY_WORKER) {
+        const peachState = this.peachState;
+        const meshArray = this.getMeshArray();
+        
+        this.releaseAllGrabs();
+        this.pointerStates.clear();
+        
+        if (peachState.particleExplosion) {
+            peachState.particleExplosion.cancel();
+        }
+        meshArray.forEach(mesh => {
+            mesh.visible = true;
+        });
+        
+        this.replaceSoftBodies(useWorker);
+        
+        peachState.velocity.set(0, 0, 0);
+        peachState.angularVelocity.set(0, 0, 0);
+        peachState.physicsOffset.set(0, 0, 0);
+        peachState.physicsRotation.set(0, 0, 0);
+        peachState.previousPhysicsOffset.set(0, 0, 0);
+        peachState.previousPhysicsRotation.set(0, 0, 0);
+        peachState.isWobbling = false;
+        peachState.isRespawning = false;
+        peachState.isReassembling = false;
+        peachState.respawnTimer = 0;
+        peachState.idleAnimationTime = 0;
+        peachState.impactMarks = [];
+        updateImpactMarkShaders(meshArray, []);
+        this.physicsClock.reset();
+        this.wasMoving = false;
+        this.setRageLevel(0);
+        
+        this.peachGroup.position.copy(peachState.defaultPosition);
+        this.peachGroup.rotation.copy(peachState.defaultRotation);
+        this.peachGroup.scale.setScalar(peachState.defaultScale);
+    }
+    
+    /**
+     * Move the peach's resting place (multi-peach layouts)
+     * @param {Object} position - Where the peach rests ({ x, y, z })
+     * @param {number} scale - Size of the peach (1 = full size)
+     */
+    setDefaultPosition(position, scale = 1) {
+        const peachState = this.peachState;
+        peachState.defaultPosition.set(position.x, position.y, position.z);
+        peachState.defaultScale = scale;
+        
+        if (!peachState.isRespawning) {
+            this.peachGroup.position.copy(peachState.defaultPosition).add(peachState.physicsOffset);
+            this.peachGroup.scale.setScalar(scale);
+        }
+    }
+    
+    /**
+     * Restart the random sequences (same seed, same smack spin, explosion and sounds)
+     * @param {number} seed - 32-bit seed
+     */
+    setRandomSeed(seed) {
+        this.random.setSeed(seed);
+        this.soundRandom.setSeed(seed ^ 0x5BD1E995);
+        
+        // Shown in the performance panel, for bug reports
+        if (this.performanceMonitor) {
+            this.performanceMonitor.setSeed(this.random.seed);
+        }
+    }
+    
+    /**
+     * @returns {number} Seed of the current random sequence
+     */
+    getRandomSeed() {
+        return this.random.seed;
+    }
+    
+    /**
+     * Whether a feature is on (the performance monitor's switches, or local ones headless)
+     * @param {string} feature - Feature name (see PerformanceMonitor.features)
+     * @returns {boolean} True if enabled
+     */
+    isFeatureEnabled(feature) {
+        if (this.performanceMonitor) {
+            return this.performanceMonitor.isFeatureEnabled(feature);
+        }
+        if (feature in this.features) {
+            return this.features[feature];
+        }
+        return feature === 'volumePreservation' ? PHYSICS_CONFIG.VOLUME_PRESERVATION : true;
+    }
+    
+    /**
+     * @param {string} feature - Feature name (see PerformanceMonitor.features)
+     * @param {boolean} enabled - Whether the feature should be on
+     */
+    setFeatureEnabled(feature, enabled) {
+        if (this.performanceMonitor) {
+            this.performanceMonitor.setFeatureEnabled(feature, enabled);
+        } else {
+            this.features[feature] = enabled;
+        }
+    }
+    
+    /**
+     * Wall clock for smack cooldowns (replays substitute the recorded timestamps)
+     * @returns {number} Milliseconds
+     */
+    now() {
+        return this.timeSource ? this.timeSource() : Date.now();
+    }
+    
+    /**
+     * Bring a fresh peach back after the explosion (zooms in from far away, or
+     * reassembles from the explosion pieces with RESPAWN_STYLE 'reassemble')
+     * @param {Array<THREE.Mesh>} meshArray - The peach meshes
+     */
+    respawn(meshArray) {
+        const peachState = this.peachState;
+        
+        // Start respawn animation
+        peachState.isRespawning = true;
+        peachState.respawnTimer = 0;
+        
+        // Reset soft body physics
+        peachState.softBodies.forEach(softBody => {
+            softBody.resetToOriginalImmediate();
+        });
+        
+        // Reset physics state
+        peachState.velocity.set(0, 0, 0);
+        peachState.angularVelocity.set(0, 0, 0);
+        peachState.physicsOffset.set(0, 0, 0);
+        peachState.physicsRotation.set(0, 0, 0);
+        peachState.previousPhysicsOffset.set(0, 0, 0);
+        peachState.previousPhysicsRotation.set(0, 0, 0);
+        peachState.isWobbling = false;
+        this.physicsClock.reset();
+        // Don't reset idleAnimationTime here - let it continue running
+        
+        // Clear impact marks on respawn
+        peachState.impactMarks = [];
+        
+        // The pieces fly back to the resting peach, which stays hidden until they arrive
+        if (peachState.respawnStyle === 'reassemble' && this.isFeatureEnabled('particles')) {
+            this.peachGroup.position.copy(peachState.defaultPosition);
+            this.peachGroup.rotation.copy(peachState.defaultRotation);
+            this.peachGroup.scale.setScalar(peachState.defaultScale);
+            peachState.isReassembling = peachState.particleExplosion.reassemble(peachState.respawnDuration);
+            if (peachState.isReassembling) return;
+        }
+        
+        // Show meshes again
+        meshArray.forEach(mesh => {
+            mesh.visible = true;
+        });
+        
+        // Set initial state for animation (far away and small)
+        this.peachGroup.position.set(0, 0, -10); // Start far back
+        this.peachGroup.rotation.set(0, 0, 0); // Start at 0 rotation
+        this.peachGroup.scale.setScalar(0.01 * peachState.defaultScale); // Start tiny
+    }
+    
+    /**
+     * The peach meshes as an array (GLTF gives several, the procedural peach one)
+     * @returns {Array<THREE.Mesh>} Peach meshes (empty until the model is loaded)
+     */
+    getMeshArray() {
+        if (!this.peachMesh) return [];
+        return Array.isArray(this.peachMesh) ? this.peachMesh : [this.peachMesh];
+    }
+    
+    /**
+     * Get (or start tracking) the state for a pointer
+     * @param {number} pointerId - Pointer id
+     * @param {string} pointerType - 'mouse', 'pen' or 'touch'
+     * @param {number} x - Current X in pixels from the root's left edge
+     * @param {number} y - Current Y in pixels from the root's top edge
+     * @returns {Object} Pointer state
+     */
+    getPointerState(pointerId, pointerType, x, y) {
+        let pointer = this.pointerStates.get(pointerId);
+        
+        if (!pointer) {
+            pointer = {
+                pointerType,
+                position: { x: 0, y: 0 },
+                lastPosition: { x: 0, y: 0 },
+                velocity: { x: 0, y: 0 },
+                ndc: new Vector2(), // Normalized device coordinates for raycasting
+                lastSmackTime: 0,
+                velocityHistory: [],
+                isHoveringPeach: false, // Track if this pointer is currently over the peach
+                grab: null // Press-and-hold grab held by this pointer
+            };
             
-            const softBody = new SoftBodyPhysics(mesh);
-            peachState.softBodies.push(softBody);
-        }
-    });
-    
-    // Initialize particle explosion system with respawn callback
-    if (peachState.sceneRef && !peachState.particleExplosion) {
-        peachState.particleExplosion = new ParticleExplosion(meshArray, peachState.sceneRef, () => {
-            // Callback when explosion is complete - spawn fresh peach
-            // Show meshes again
-            meshArray.forEach(mesh => {
-                mesh.visible = true;
-            });
-            
-            // Start respawn animation
-            peachState.isRespawning = true;
-            peachState.respawnTimer = 0;
-            
-            // Reset soft body physics
-            peachState.softBodies.forEach(softBody => {
-                softBody.resetToOriginalImmediate();
-            });
-            
-            // Reset physics state
-            peachState.velocity.set(0, 0, 0);
-            peachState.angularVelocity.set(0, 0, 0);
-            peachState.physicsOffset.set(0, 0, 0);
-            peachState.physicsRotation.set(0, 0, 0);
-            peachState.isWobbling = false;
-            // Don't reset idleAnimationTime here - let it continue running
-            
-            // Clear impact marks on respawn
-            peachState.impactMarks = [];
-            
-            // Set initial state for animation (far away and small)
-            if (peachGroup) {
-                peachGroup.position.set(0, 0, -10); // Start far back
-                peachGroup.rotation.set(0, 0, 0); // Start at 0 rotation
-                peachGroup.scale.set(0.01, 0.01, 0.01); // Start tiny
+            // Start with no movement, so the first event doesn't count as a swipe
+            pointer.position.x = pointer.lastPosition.x = x;
+            pointer.position.y = pointer.lastPosition.y = y;
+            this.pointerStates.set(pointerId, pointer);
+        }
+        
+        return pointer;
+    }
+    
+    /**
+     * Convert an event's client position to pixels from the root's top-left corner
+     * @param {PointerEvent} event - Pointer event
+     * @param {Object} target - Receives { x, y }
+     * @returns {Object} target
+     */
+    toRootPosition(event, target) {
+        const rect = this.root.getBoundingClientRect();
+        this.viewport.width = rect.width || 1;
+        this.viewport.height = rect.height || 1;
+        
+        target.x = event.clientX - rect.left;
+        target.y = event.clientY - rect.top;
+        return target;
+    }
+    
+    // Track pointer movement for velocity calculation
+    onPointerMove(event) {
+        if (!this.liveInputEnabled) return;
+        
+        // Update hand cursor position (only for mouse, not touch)
+        if (this.handCursor && event.pointerType === 'mouse') {
+            this.handCursor.style.left = event.clientX + 'px';
+            this.handCursor.style.top = event.clientY + 'px';
+            this.handCursor.style.visibility = 'visible';
+        }
+        
+        const { x, y } = this.toRootPosition(event, eventPosition);
+        if (this.recorder) this.recorder.recordPointerMove(event.pointerId, event.pointerType, x, y);
+        this.pointerMove(event.pointerId, event.pointerType, x, y);
+    }
+    
+    /**
+     * Move a pointer: drag its grab, or smack if it swiped onto the peach
+     * (live pointer events and replays both end up here)
+     * @param {number} pointerId - Pointer id
+     * @param {string} pointerType - 'mouse', 'pen' or 'touch'
+     * @param {number} x - X in pixels from the root's left edge
+     * @param {number} y - Y in pixels from the root's top edge
+     */
+    pointerMove(pointerId, pointerType, x, y) {
+        const pointer = this.getPointerState(pointerId, pointerType, x, y);
+        this.updatePointerPosition(pointer, x, y);
+        
+        // Drag the held skin, otherwise check for hover and smack
+        if (pointer.grab) {
+            const pinch = this.getPinchPointers();
+            if (pinch) {
+                this.updatePinch(pinch[0], pinch[1]);
+            } else {
+                this.dragGrab(pointer.grab, pointer.ndc);
             }
-        });
+        } else {
+            this.checkHoverSmack(pointer);
+        }
     }
-}
-
-// Track mouse movement for velocity calculation
-function onMouseMove(event) {
-    updatePointerPosition(event.clientX, event.clientY);
     
-    // Update hand cursor position (only for mouse, not touch)
-    if (handCursor) {
-        handCursor.style.left = event.clientX + 'px';
-        handCursor.style.top = event.clientY + 'px';
+    // Press on the peach to grab the skin under the pointer
+    onPointerDown(event) {
+        if (!this.liveInputEnabled) return;
+        
+        if (event.pointerType !== 'mouse' && this.handCursor) {
+            // Hide hand cursor on touch devices
+            this.handCursor.style.display = 'none';
+        }
+        
+        const { x, y } = this.toRootPosition(event, eventPosition);
+        if (this.recorder) this.recorder.recordPointerDown(event.pointerId, event.pointerType, event.button, x, y);
+        if (!this.pointerDown(event.pointerId, event.pointerType, event.button, x, y)) return;
+        
+        // Keep receiving this pointer's moves while it drags outside the root
+        if (this.root.setPointerCapture) {
+            try {
+                this.root.setPointerCapture(event.pointerId);
+            } catch (error) {
+                // The pointer is already gone - its pointerup releases the grab
+            }
+        }
+        
+        if (this.handCursor && event.pointerType === 'mouse') {
+            this.handCursor.textContent = '✊';
+        }
     }
     
-    // Check for hover and smack
-    checkHoverSmack();
-}
-
-// Touch event handlers for mobile devices
-function onTouchStart(event) {
-    if (event.touches.length > 0) {
-        const touch = event.touches[0];
-        updatePointerPosition(touch.clientX, touch.clientY);
+    /**
+     * Press a pointer: grab the skin under it (live pointer events and replays)
+     * @param {number} pointerId - Pointer id
+     * @param {string} pointerType - 'mouse', 'pen' or 'touch'
+     * @param {number} button - Pressed button (only the main mouse button grabs)
+     * @param {number} x - X in pixels from the root's left edge
+     * @param {number} y - Y in pixels from the root's top edge
+     * @returns {boolean} True if the pointer grabbed the peach
+     */
+    pointerDown(pointerId, pointerType, button, x, y) {
+        const pointer = this.getPointerState(pointerId, pointerType, x, y);
+        this.updatePointerPosition(pointer, x, y);
         
-        // Hide hand cursor on touch devices
-        if (handCursor) {
-            handCursor.style.display = 'none';
+        if (pointerType === 'mouse' && button !== 0) return false;
+        if (pointer.grab) return false;
+        
+        const hit = this.intersectPeach(pointer.ndc);
+        if (!hit) return false;
+        
+        pointer.grab = this.startGrab(hit.point);
+        pointer.isHoveringPeach = true; // Releasing over the peach shouldn't count as a fresh entry
+        
+        // A second finger on the peach turns the two drags into a pinch
+        const pinch = this.getPinchPointers();
+        if (pinch) {
+            this.pinchState.startDistance = Math.max(1, this.getPointerDistance(pinch[0], pinch[1]));
         }
+        return true;
     }
-}
-
-function onTouchMove(event) {
-    if (event.touches.length > 0) {
-        const touch = event.touches[0];
-        updatePointerPosition(touch.clientX, touch.clientY);
-        checkHoverSmack();
+    
+    onPointerUp(event) {
+        if (!this.liveInputEnabled) return;
+        
+        if (this.recorder) this.recorder.recordPointerUp(event.pointerId, event.pointerType);
+        if (this.pointerUp(event.pointerId, event.pointerType) && this.handCursor && event.pointerType === 'mouse') {
+            this.handCursor.textContent = '🤚';
+        }
     }
-}
-
-function onTouchEnd(event) {
-    // Reset hover state when touch ends
-    mouseState.isHoveringPeach = false;
-}
-
-// Unified function to update pointer position (works for both mouse and touch)
-function updatePointerPosition(clientX, clientY) {
-    // Store last position
-    mouseState.lastPosition.x = mouseState.position.x;
-    mouseState.lastPosition.y = mouseState.position.y;
-    
-    // Update current position
-    mouseState.position.x = clientX;
-    mouseState.position.y = clientY;
-    
-    // Calculate velocity (pixels per frame)
-    mouseState.velocity.x = mouseState.position.x - mouseState.lastPosition.x;
-    mouseState.velocity.y = mouseState.position.y - mouseState.lastPosition.y;
-    
-    // Store velocity in history for smoothing
-    mouseState.velocityHistory.push({
-        x: mouseState.velocity.x,
-        y: mouseState.velocity.y,
-        time: Date.now()
-    });
-    
-    // Keep only recent history
-    if (mouseState.velocityHistory.length > mouseState.maxHistorySize) {
-        mouseState.velocityHistory.shift();
-    }
-    
-    // Update normalized coordinates for raycasting
-    mouse.x = (clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
-}
-
-function checkHoverSmack() {
-    // Only process if the model is loaded
-    if (!peachMesh || !peachGroup || !camera) return;
     
-    // Can't slap during explosion or respawn!
-    if (peachState.isRespawning) return;
-    if (peachState.particleExplosion && peachState.particleExplosion.isActive()) return;
+    /**
+     * Lift a pointer: letting go snaps the skin back (live pointer events and replays)
+     * @param {number} pointerId - Pointer id
+     * @param {string} pointerType - 'mouse', 'pen' or 'touch'
+     * @returns {boolean} True if the pointer was holding a grab
+     */
+    pointerUp(pointerId, pointerType) {
+        const pointer = this.pointerStates.get(pointerId);
+        if (!pointer) return false;
+        
+        const wasGrabbing = pointer.grab !== null;
+        if (wasGrabbing) {
+            this.releaseGrab(pointer.grab);
+            pointer.grab = null;
+        }
+        
+        // A lifted finger or pen is gone for good; the mouse keeps hovering
+        if (pointerType !== 'mouse') {
+            this.pointerStates.delete(pointerId);
+        }
+        return wasGrabbing;
+    }
     
-    raycaster.setFromCamera(mouse, camera);
+    /**
+     * Raycast the peach from a screen position
+     * @param {Vector2} ndc - Pointer position in normalized device coordinates
+     * @returns {Object|null} Closest intersection, or null if the peach can't be touched there
+     */
+    intersectPeach(ndc) {
+        if (!this.peachMesh || !this.canBeSmacked()) return null;
+        
+        this.raycaster.setFromCamera(ndc, this.camera);
+        
+        const intersects = this.raycaster.intersectObjects(this.getMeshArray(), true);
+        return intersects.length > 0 ? intersects[0] : null;
+    }
     
-    // Handle both array of meshes (GLTF) and single mesh (procedural)
-    const meshesToCheck = Array.isArray(peachMesh) ? peachMesh : [peachMesh];
-    const intersects = raycaster.intersectObjects(meshesToCheck, true);
+    /**
+     * Whether the peach is there to be hit (not mid-explosion, respawning or locked)
+     * @returns {boolean} True if smacks and grabs can land
+     */
+    canBeSmacked() {
+        const peachState = this.peachState;
+        if (this.smackingLocked) return false;
+        if (peachState.isRespawning) return false;
+        if (peachState.particleExplosion && peachState.particleExplosion.isActive()) return false;
+        return true;
+    }
     
-    const isCurrentlyHovering = intersects.length > 0;
+    /**
+     * Grab the skin of every soft body at a surface point
+     * @param {Vector3} point - Grabbed point on the surface (world space)
+     * @returns {Object} Grab { ids, anchor, target }
+     */
+    startGrab(point) {
+        return {
+            ids: this.peachState.softBodies.map(softBody => softBody.grab(point)),
+            anchor: point.clone(),
+            target: point.clone()
+        };
+    }
     
-    // Only allow smacking when cursor ENTERS the peach (transition from not hovering to hovering)
-    if (isCurrentlyHovering) {
-        // Check if this is a fresh entry (cursor was not hovering before)
-        if (mouseState.isHoveringPeach) {
-            // Still hovering from before - don't smack
+    /**
+     * Move a grab's target under the pointer, keeping it at the grabbed point's depth
+     * @param {Object} grab - Grab from startGrab()
+     * @param {Vector2} ndc - Pointer position in normalized device coordinates
+     */
+    dragGrab(grab, ndc) {
+        this.raycaster.setFromCamera(ndc, this.camera);
+        
+        this.camera.getWorldDirection(grabCameraDirection);
+        grabPlane.setFromNormalAndCoplanarPoint(grabCameraDirection, grab.anchor);
+        this.raycaster.ray.intersectPlane(grabPlane, grab.target);
+    }
+    
+    /**
+     * The two fingers pinching the peach, if exactly two fingers are holding it
+     * @returns {Array<Object>|null} [pointerA, pointerB] or null
+     */
+    getPinchPointers() {
+        let pinch = null;
+        
+        for (const pointer of this.pointerStates.values()) {
+            if (!pointer.grab || pointer.pointerType !== 'touch') continue;
+            if (!pinch) {
+                pinch = [pointer];
+            } else if (pinch.length === 1) {
+                pinch.push(pointer);
+            } else {
+                return null;
+            }
+        }
+        
+        return pinch && pinch.length === 2 ? pinch : null;
+    }
+    
+    /**
+     * Squeeze (or stretch) the two pinched points towards each other as the fingers close
+     * @param {Object} pointerA - First pinching finger
+     * @param {Object} pointerB - Second pinching finger
+     */
+    updatePinch(pointerA, pointerB) {
+        const grabA = pointerA.grab;
+        const grabB = pointerB.grab;
+        const ratio = this.getPointerDistance(pointerA, pointerB) / this.pinchState.startDistance;
+        const squeeze = Math.max(-0.5, Math.min(1, (1 - ratio) * INTERACTION_CONFIG.PINCH_SQUEEZE_STRENGTH));
+        
+        // At full squeeze both points meet in the middle
+        grabA.target.lerpVectors(grabA.anchor, grabB.anchor, squeeze * 0.5);
+        grabB.target.lerpVectors(grabB.anchor, grabA.anchor, squeeze * 0.5);
+    }
+    
+    /**
+     * Screen distance between two pointers
+     * @param {Object} pointerA - First pointer state
+     * @param {Object} pointerB - Second pointer state
+     * @returns {number} Distance in pixels
+     */
+    getPointerDistance(pointerA, pointerB) {
+        const dx = pointerB.position.x - pointerA.position.x;
+        const dy = pointerB.position.y - pointerA.position.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    /**
+     * Let go of a grab on every soft body (the skin snaps back with a jiggle)
+     * @param {Object} grab - Grab from startGrab()
+     */
+    releaseGrab(grab) {
+        this.peachState.softBodies.forEach((softBody, index) => {
+            softBody.releaseGrab(grab.ids[index]);
+        });
+    }
+    
+    releaseAllGrabs() {
+        for (const pointer of this.pointerStates.values()) {
+            if (!pointer.grab) continue;
+            
+            this.releaseGrab(pointer.grab);
+            pointer.grab = null;
+            
+            if (this.handCursor && pointer.pointerType === 'mouse') {
+                this.handCursor.textContent = '🤚';
+            }
+        }
+    }
+    
+    /**
+     * @returns {boolean} True while any pointer is holding the skin
+     */
+    isHoldingSkin() {
+        for (const pointer of this.pointerStates.values()) {
+            if (pointer.grab) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Push the held grab targets to the soft bodies (every frame, since the peach
+     * keeps bobbing under a still pointer)
+     */
+    updateGrabTargets() {
+        for (const pointer of this.pointerStates.values()) {
+            if (!pointer.grab) continue;
+            
+            const grab = pointer.grab;
+            this.peachState.softBodies.forEach((softBody, index) => {
+                softBody.moveGrab(grab.ids[index], grab.target);
+            });
+        }
+    }
+    
+    /**
+     * Update a pointer's position, velocity history and raycast coordinates
+     * @param {Object} pointer - Pointer state
+     * @param {number} x - X in pixels from the root's left edge
+     * @param {number} y - Y in pixels from the root's top edge
+     */
+    updatePointerPosition(pointer, x, y) {
+        // Store last position
+        pointer.lastPosition.x = pointer.position.x;
+        pointer.lastPosition.y = pointer.position.y;
+        
+        // Update current position
+        pointer.position.x = x;
+        pointer.position.y = y;
+        
+        // Calculate velocity (pixels per event)
+        pointer.velocity.x = pointer.position.x - pointer.lastPosition.x;
+        pointer.velocity.y = pointer.position.y - pointer.lastPosition.y;
+        
+        // Store velocity in history for smoothing
+        pointer.velocityHistory.push({
+            x: pointer.velocity.x,
+            y: pointer.velocity.y,
+            time: this.now()
+        });
+        
+        // Keep only recent history
+        if (pointer.velocityHistory.length > INTERACTION_CONFIG.VELOCITY_HISTORY_SIZE) {
+            pointer.velocityHistory.shift();
+        }
+        
+        // Update normalized coordinates for raycasting
+        this.toNdc(x, y, pointer.ndc);
+    }
+    
+    /**
+     * Convert a root-relative pixel position to normalized device coordinates
+     * @param {number} x - X in pixels from the root's left edge
+     * @param {number} y - Y in pixels from the root's top edge
+     * @param {Vector2} target - Receives the coordinates
+     * @returns {Vector2} target
+     */
+    toNdc(x, y, target) {
+        return target.set(
+            (x / this.viewport.width) * 2 - 1,
+            -(y / this.viewport.height) * 2 + 1
+        );
+    }
+    
+    /**
+     * Smack the peach if a pointer just swiped onto it fast enough
+     * @param {Object} pointer - Pointer state
+     */
+    checkHoverSmack(pointer) {
+        // Only process if the model is loaded
+        if (!this.peachMesh) return;
+        
+        // Can't slap during explosion or respawn!
+        if (!this.canBeSmacked()) return;
+        
+        this.raycaster.setFromCamera(pointer.ndc, this.camera);
+        
+        // Handle both array of meshes (GLTF) and single mesh (procedural)
+        const meshesToCheck = this.getMeshArray();
+        const intersects = this.raycaster.intersectObjects(meshesToCheck, true);
+        
+        const isCurrentlyHovering = intersects.length > 0;
+        
+        // Only allow smacking when cursor ENTERS the peach (transition from not hovering to hovering)
+        if (pointer.isHoveringPeach) {
+            // Still hovering from before - don't smack (or reset once it leaves)
+            pointer.isHoveringPeach = isCurrentlyHovering;
             return;
         }
         
+        // Sweep the movement since the last event, so a fast swipe that jumped
+        // over the peach between events still connects at its true entry point
+        const entry = this.sweepPointerSegment(pointer, meshesToCheck);
+        if (!entry) return;
+        
         // This is a new entry! Check velocity and cooldown
-        const currentTime = Date.now();
-        if (currentTime - mouseState.lastSmackTime < mouseState.smackCooldown) {
+        const currentTime = this.now();
+        if (currentTime - pointer.lastSmackTime < INTERACTION_CONFIG.SMACK_COOLDOWN_MS) {
             // Update hover state but don't smack yet
-            mouseState.isHoveringPeach = true;
+            pointer.isHoveringPeach = isCurrentlyHovering;
             return;
         }
         // Calculate average velocity from history for smoother, more accurate direction
         let avgVelocityX = 0;
         let avgVelocityY = 0;
         
-        if (mouseState.velocityHistory.length > 0) {
-            for (const vel of mouseState.velocityHistory) {
+        if (pointer.velocityHistory.length > 0) {
+            for (const vel of pointer.velocityHistory) {
                 avgVelocityX += vel.x;
                 avgVelocityY += vel.y;
             }
-            avgVelocityX /= mouseState.velocityHistory.length;
-            avgVelocityY /= mouseState.velocityHistory.length;
+            avgVelocityX /= pointer.velocityHistory.length;
+            avgVelocityY /= pointer.velocityHistory.length;
         }
         
         // Calculate velocity magnitude from averaged values
         const velocityMagnitude = Math.sqrt(
-            avgVelocityX * avgVelocityX + 
+            avgVelocityX * avgVelocityX +
             avgVelocityY * avgVelocityY
         );
         
         // Only smack if moving fast enough (minimum threshold)
         if (velocityMagnitude < INTERACTION_CONFIG.MIN_VELOCITY_THRESHOLD) return;
         
-        mouseState.lastSmackTime = currentTime;
+        pointer.lastSmackTime = currentTime;
         
         // Add smack animation to cursor
+        const handCursor = this.handCursor;
         if (handCursor) {
             handCursor.classList.remove('smacking');
             void handCursor.offsetWidth; // Trigger reflow
@@ -338,320 +944,652 @@ function checkHoverSmack() {
             setTimeout(() => handCursor.classList.remove('smacking'), 200);
         }
         
-        // Convert 2D screen velocity to 3D world direction
+        // The swing direction is the segment that crossed into the peach (falling back
+        // to the averaged history if the pointer didn't move)
+        const velocityDir = new Vector2(pointer.velocity.x, pointer.velocity.y);
+        if (velocityDir.lengthSq() === 0) {
+            velocityDir.set(avgVelocityX, avgVelocityY);
+        }
+        
+        // Scale force based on velocity (faster movement = harder hit)
+        const velocityScale = Math.min(velocityMagnitude / 20, 2.0); // Cap at 2x for controlled but responsive movement
+        
+        // Mark whether we're still hovering (a swipe can pass clean through)
+        pointer.isHoveringPeach = isCurrentlyHovering;
+        
+        this.performSmack(entry.point, this.screenToWorldDirection(velocityDir), velocityScale, 'pointer');
+    }
+    
+    /**
+     * Smack requested by the keyboard or a gamepad: hit the peach under the reticle,
+     * or its middle if the reticle is off the peach
+     * @param {Object} request - { ndc, screenDirection, strength, source }
+     */
+    onInputSmack(request) {
+        if (!this.liveInputEnabled) return;
+        
+        if (this.recorder) this.recorder.recordInputSmack(request);
+        this.inputSmack(request);
+    }
+    
+    /**
+     * Land a keyboard / gamepad smack (live input and replays)
+     * @param {Object} request - { ndc, screenDirection, strength, source }
+     */
+    inputSmack(request) {
+        let hit = this.intersectPeach(request.ndc);
+        
+        if (!hit) {
+            this.peachGroup.getWorldPosition(inputAimPoint).project(this.camera);
+            inputAimNdc.set(inputAimPoint.x, inputAimPoint.y);
+            hit = this.intersectPeach(inputAimNdc);
+        }
+        if (!hit) return;
+        
+        this.performSmack(hit.point, this.screenToWorldDirection(request.screenDirection), request.strength, request.source);
+    }
+    
+    /**
+     * Smack the peach from code (scripted hits, tests, embedding pages)
+     * @param {Vector3|Object} point - Impact point in world space ({ x, y, z })
+     * @param {Vector3|Object} direction - Hit direction in world space ({ x, y, z }, normalized here)
+     * @param {number} strength - Hit strength, same 0-2 scale as a swipe (default 1)
+     * @returns {boolean} True if the smack landed (not during an explosion or respawn)
+     */
+    smackAt(point, direction, strength = 1.0) {
+        if (!point || !direction) {
+            console.error('smackAt: Missing point or direction');
+            return false;
+        }
+        if (!this.liveInputEnabled) return false;
+        
+        if (this.recorder) this.recorder.recordApiSmack(point, direction, strength);
+        return this.smackAtPoint(point, direction, strength);
+    }
+    
+    /**
+     * Scripted smack without recording (smackAt and replays)
+     * @param {Object} point - Impact point in world space ({ x, y, z })
+     * @param {Object} direction - Hit direction in world space ({ x, y, z })
+     * @param {number} strength - Hit strength (0-2)
+     * @returns {boolean} True if the smack landed
+     */
+    smackAtPoint(point, direction, strength) {
+        // Can't slap during explosion or respawn!
+        if (!this.canBeSmacked()) return false;
+        
+        const worldDirection = new Vector3(direction.x, direction.y, direction.z);
+        if (worldDirection.lengthSq() === 0) {
+            console.error('smackAt: Direction must be non-zero');
+            return false;
+        }
+        
+        this.performSmack(
+            new Vector3(point.x, point.y, point.z),
+            worldDirection.normalize(),
+            Math.max(0, Math.min(strength, 2.0)),
+            'api'
+        );
+        return true;
+    }
+    
+    /**
+     * Map a screen-space swing direction to a world hit direction
+     * @param {Object} screenDirection - { x, y } in screen space (y points down)
+     * @returns {Vector3} Normalized world direction
+     */
+    screenToWorldDirection(screenDirection) {
         // Normalize the velocity to get direction
-        const velocityDir = new Vector2(avgVelocityX, avgVelocityY).normalize();
+        const velocityDir = new Vector2(screenDirection.x, screenDirection.y).normalize();
         
         // Map screen space to world space direction
         // X: right is positive (keep as is)
         // Y: down is positive in screen space, but up is positive in 3D (invert)
         // Z: push towards camera for satisfying movement
-        const direction = new Vector3(
+        return new Vector3(
             velocityDir.x,      // Horizontal movement matches screen
             -velocityDir.y,     // Vertical inverted (screen Y is flipped)
             0.4                 // Always push a bit toward camera for nice effect
         ).normalize();
-        
-        // Scale force based on velocity (faster movement = harder hit)
-        const velocityScale = Math.min(velocityMagnitude / 20, 2.0); // Cap at 2x for controlled but responsive movement
+    }
+    
+    /**
+     * Hit the peach: wobble, jiggle, impact mark, sound and rage
+     * @param {Vector3} point - Impact point on the surface (world space)
+     * @param {Vector3} direction - Normalized hit direction (world space)
+     * @param {number} velocityScale - Hit strength (0-2)
+     * @param {string} source - What produced the hit ('pointer', 'keyboard', 'gamepad', 'api')
+     */
+    performSmack(point, direction, velocityScale, source) {
+        const peachState = this.peachState;
         const force = 1.7 * velocityScale; // Moderate base force
-        peachState.velocity.add(direction.multiplyScalar(force));
+        peachState.velocity.addScaledVector(direction, force);
         
         // Add angular velocity based on impact force (moderate rotation)
         peachState.angularVelocity.set(
-            (Math.random() - 0.5) * 4 * velocityScale,
-            (Math.random() - 0.5) * 4 * velocityScale,
-            (Math.random() - 0.5) * 4 * velocityScale
+            (this.random.next() - 0.5) * 4 * velocityScale,
+            (this.random.next() - 0.5) * 4 * velocityScale,
+            (this.random.next() - 0.5) * 4 * velocityScale
         );
         
         peachState.isWobbling = true;
         // Keep idle animation running in the background
         
         // Apply soft body impulse for jiggle effect at the intersection point
-        // (Note: This doesn't check perfMonitor since we don't have access here,
-        // but the actual physics update will be skipped if disabled)
-        const intersectPoint = intersects[0].point;
+        // (the physics update skips the soft bodies if they are disabled)
         const jiggleForce = 0.18 * velocityScale; // Force for vertex deformation
         peachState.softBodies.forEach(softBody => {
-            softBody.applyImpulse(intersectPoint, direction.clone(), jiggleForce);
+            softBody.applyImpulse(point, direction, jiggleForce);
         });
         
         // Add impact mark for visual feedback (red skin that fades over time)
-        addImpactMark(intersectPoint.clone(), velocityScale);
+        this.addImpactMark(point.clone(), velocityScale);
         
-        // Sound intensity based on velocity
-        const intensity = Math.min(0.4 + velocityMagnitude / 30, 1.0);
-        playSmackSound(intensity);
+        // Sound intensity based on velocity (velocityScale is swipe speed / 20)
+        const intensity = Math.min(0.4 + velocityScale / 1.5, 1.0);
+        if (!this.muted) {
+            playSmackSound(intensity, this.soundRandom.next);
+        }
         
-        // Mark that we're now hovering (after a successful smack)
-        mouseState.isHoveringPeach = true;
+        this.events.emit('smack', { point: point.clone(), direction: direction.clone(), strength: velocityScale, source });
         
         // Increase rage level based on hit intensity
         const rageIncrease = INTERACTION_CONFIG.RAGE_BASE_INCREASE + (velocityScale * INTERACTION_CONFIG.RAGE_VELOCITY_MULTIPLIER);
-        peachState.rageLevel = Math.min(peachState.explosionThreshold, peachState.rageLevel + rageIncrease);
-        
-        // Update rage meter UI
-        updateRageMeter();
+        this.setRageLevel(Math.min(peachState.explosionThreshold, peachState.rageLevel + rageIncrease));
         
         // Trigger explosion if rage threshold is reached
         if (peachState.rageLevel >= peachState.explosionThreshold && peachState.particleExplosion) {
             if (!peachState.particleExplosion.isActive()) {
-                peachState.particleExplosion.explode();
-                playExplosionSound(1.0);
-                peachState.rageLevel = 0; // Reset rage after explosion
-                updateRageMeter();
+                this.triggerExplosion();
             }
         }
-    } else {
-        // Cursor is not hovering - reset hover state
-        mouseState.isHoveringPeach = false;
     }
-}
-
-/**
- * Add an impact mark at a world position that fades over time
- * @param {Vector3} worldPosition - The world position of the impact
- * @param {number} intensity - The intensity of the impact (0-2)
- */
-function addImpactMark(worldPosition, intensity = 1.0) {
-    if (!peachGroup || !peachMesh) return;
-    
-    // Check if impact marks are enabled via performance monitor
-    if (performanceMonitor && !performanceMonitor.isFeatureEnabled('impactMarks')) {
-        return;
-    }
-    
-    // Convert to local space ONCE at impact time, so it's "baked" onto the surface
-    // This way it follows the mesh through all rotations and transformations
-    const meshArray = Array.isArray(peachMesh) ? peachMesh : [peachMesh];
-    const localPositions = [];
-    
-    // Store local position for each mesh (in case we have multiple meshes in GLTF)
-    meshArray.forEach(mesh => {
-        const localPos = worldPosition.clone();
-        mesh.worldToLocal(localPos);
-        localPositions.push({
-            mesh: mesh,
-            position: localPos
-        });
-    });
-    
-    // Duration based on intensity - more realistic fade times
-    const duration = INTERACTION_CONFIG.IMPACT_MARK_BASE_DURATION + 
-                    (intensity * (INTERACTION_CONFIG.IMPACT_MARK_MAX_DURATION - INTERACTION_CONFIG.IMPACT_MARK_BASE_DURATION));
     
-    peachState.impactMarks.push({
-        localPositions: localPositions, // Store per-mesh local positions
-        age: 0,
-        maxAge: duration,
-        intensity: Math.min(intensity * INTERACTION_CONFIG.IMPACT_MARK_INTENSITY_SCALE, 1.2) // Reduced intensity for subtlety
-    });
+    /**
+     * Blow the peach up and reset the rage
+     */
+    triggerExplosion() {
+        const rageLevel = this.peachState.rageLevel;
+        
+        this.releaseAllGrabs();
+        this.peachState.particleExplosion.explode();
+        if (!this.muted) {
+            playExplosionSound(1.0);
+        }
+        this.events.emit('explode', { rageLevel });
+        
+        this.setRageLevel(0); // Reset rage after explosion
+    }
     
-    // Limit total number of impact marks for performance
-    if (peachState.impactMarks.length > INTERACTION_CONFIG.MAX_IMPACT_MARKS) {
-        peachState.impactMarks.shift(); // Remove oldest
+    /**
+     * Set the rage level, refresh the meter and notify listeners
+     * @param {number} rageLevel - New rage level (0-100)
+     */
+    setRageLevel(rageLevel) {
+        const previousRageLevel = this.peachState.rageLevel;
+        this.peachState.rageLevel = rageLevel;
+        this.updateRageMeter();
+        
+        if (rageLevel !== previousRageLevel) {
+            this.events.emit('rageChanged', { rageLevel, previousRageLevel });
+        }
     }
-}
-
-/**
- * Update impact marks (age them and remove expired ones)
- * @param {number} delta - Time delta since last frame
- */
-function updateImpactMarks(delta) {
-    // Age all impact marks
-    for (let i = peachState.impactMarks.length - 1; i >= 0; i--) {
-        const mark = peachState.impactMarks[i];
-        mark.age += delta;
+    
+    /**
+     * Drain rage over time. Only running dry is announced: a 'rageChanged' every
+     * frame would flood listeners (and the element's DOM events).
+     * @param {number} delta - Time since the last frame in seconds
+     */
+    decayRage(delta) {
+        const peachState = this.peachState;
+        const previousRageLevel = peachState.rageLevel;
+        peachState.rageLevel = Math.max(0, previousRageLevel - peachState.rageDecayRate * delta);
+        this.updateRageMeter();
         
-        // Remove expired marks
-        if (mark.age >= mark.maxAge) {
-            peachState.impactMarks.splice(i, 1);
+        if (peachState.rageLevel === 0) {
+            this.events.emit('rageChanged', { rageLevel: 0, previousRageLevel });
         }
     }
-}
-
-/**
- * Update the rage meter UI
- */
-function updateRageMeter() {
-    const rageMeter = document.getElementById('rage-meter-fill');
-    const rageContainer = document.getElementById('rage-meter-container');
     
-    if (!rageMeter || !rageContainer) return;
+    /**
+     * Change the rage level that blows the peach up
+     * @param {number} threshold - Rage level that triggers the explosion (> 0)
+     */
+    setExplosionThreshold(threshold) {
+        if (!(threshold > 0)) {
+            console.error('setExplosionThreshold: Threshold must be positive');
+            return;
+        }
+        
+        this.peachState.explosionThreshold = threshold;
+        this.setRageLevel(Math.min(this.peachState.rageLevel, threshold)); // Also rescales the meter
+    }
     
-    try {
-        rageMeter.style.width = `${peachState.rageLevel}%`;
+    /**
+     * Find where a pointer's last movement first entered the peach.
+     * Samples the screen-space segment from lastPosition to position, then bisects
+     * between the last miss and the first hit to pin down the entry point.
+     * @param {Object} pointer - Pointer state
+     * @param {Array<THREE.Mesh>} meshes - Peach meshes to test
+     * @returns {Object|null} Intersection at the entry point, or null if the segment missed
+     */
+    sweepPointerSegment(pointer, meshes) {
+        const startX = pointer.lastPosition.x;
+        const startY = pointer.lastPosition.y;
+        const dx = pointer.position.x - startX;
+        const dy = pointer.position.y - startY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const samples = Math.min(
+            INTERACTION_CONFIG.SWEEP_MAX_SAMPLES,
+            Math.max(1, Math.ceil(length / INTERACTION_CONFIG.SWEEP_SAMPLE_SPACING_PX))
+        );
         
-        // Change color based on rage level
-        if (peachState.rageLevel < 33) {
-            rageMeter.style.background = 'linear-gradient(90deg, #4CAF50, #8BC34A)';
-        } else if (peachState.rageLevel < 66) {
-            rageMeter.style.background = 'linear-gradient(90deg, #FF9800, #FFC107)';
-        } else {
-            rageMeter.style.background = 'linear-gradient(90deg, #F44336, #FF5722)';
-            // Add pulsing effect when high rage
-            rageMeter.style.animation = 'rage-pulse 0.5s infinite';
+        const raycastAt = (t) => {
+            this.toNdc(startX + dx * t, startY + dy * t, sweepNdc);
+            this.raycaster.setFromCamera(sweepNdc, this.camera);
+            const intersects = this.raycaster.intersectObjects(meshes, true);
+            return intersects.length > 0 ? intersects[0] : null;
+        };
+        
+        // Walk the segment until the first sample on the peach
+        let missT = 0;
+        let hit = raycastAt(0);
+        if (hit) return hit; // Already over the peach at the previous event
+        
+        let hitT = 0;
+        for (let k = 1; k <= samples && !hit; k++) {
+            hitT = k / samples;
+            hit = raycastAt(hitT);
+            if (!hit) missT = hitT;
         }
+        if (!hit) return null;
         
-        // Show container when rage > 0
-        if (peachState.rageLevel > 0) {
-            rageContainer.style.opacity = '1';
-        } else {
-            rageContainer.style.opacity = '0';
+        // Narrow down the edge between the last miss and the first hit
+        for (let i = 0; i < INTERACTION_CONFIG.SWEEP_REFINE_STEPS; i++) {
+            const midT = (missT + hitT) * 0.5;
+            const midHit = raycastAt(midT);
+            if (midHit) {
+                hit = midHit;
+                hitT = midT;
+            } else {
+                missT = midT;
+            }
         }
-    } catch (error) {
-        console.error('Error updating rage meter:', error);
+        
+        return hit;
     }
-}
-
-/**
- * Update peach physics and animation
- * @param {number} delta - Time delta since last frame
- * @param {number} idleTime - Total idle animation time
- * @param {PerformanceMonitor} perfMonitor - Optional performance monitor for feature toggling
- */
-export function updatePeachPhysics(delta, idleTime, perfMonitor = null) {
-    if (!peachGroup) return;
     
-    // Validate delta to prevent physics explosions
-    if (!delta || delta <= 0 || delta > 1) return;
+    /**
+     * Add an impact mark at a world position that fades over time
+     * @param {Vector3} worldPosition - The world position of the impact
+     * @param {number} intensity - The intensity of the impact (0-2)
+     */
+    addImpactMark(worldPosition, intensity = 1.0) {
+        if (!this.peachMesh) return;
+        
+        // Check if impact marks are enabled via performance monitor
+        if (!this.isFeatureEnabled('impactMarks')) {
+            return;
+        }
+        
+        // Convert to local space ONCE at impact time, so it's "baked" onto the surface
+        // This way it follows the mesh through all rotations and transformations
+        const localPositions = [];
+        
+        // Store local position for each mesh (in case we have multiple meshes in GLTF)
+        this.getMeshArray().forEach(mesh => {
+            const localPos = worldPosition.clone();
+            mesh.worldToLocal(localPos);
+            localPositions.push({
+                mesh: mesh,
+                position: localPos
+            });
+        });
+        
+        // Duration based on intensity - more realistic fade times
+        const duration = INTERACTION_CONFIG.IMPACT_MARK_BASE_DURATION +
+                        (intensity * (INTERACTION_CONFIG.IMPACT_MARK_MAX_DURATION - INTERACTION_CONFIG.IMPACT_MARK_BASE_DURATION));
+        
+        const impactMarks = this.peachState.impactMarks;
+        impactMarks.push({
+            localPositions: localPositions, // Store per-mesh local positions
+            age: 0,
+            maxAge: duration,
+            intensity: Math.min(intensity * INTERACTION_CONFIG.IMPACT_MARK_INTENSITY_SCALE, 1.2) // Reduced intensity for subtlety
+        });
+        
+        // Limit total number of impact marks for performance
+        if (impactMarks.length > INTERACTION_CONFIG.MAX_IMPACT_MARKS) {
+            impactMarks.shift(); // Remove oldest
+        }
+    }
     
-    // Always update idle animation time (runs continuously as base layer)
-    peachState.idleAnimationTime += delta;
+    /**
+     * Update impact marks (age them and remove expired ones)
+     * @param {number} delta - Time delta since last frame
+     */
+    updateImpactMarks(delta) {
+        const impactMarks = this.peachState.impactMarks;
+        
+        // Age all impact marks
+        for (let i = impactMarks.length - 1; i >= 0; i--) {
+            const mark = impactMarks[i];
+            mark.age += delta;
+            
+            // Remove expired marks
+            if (mark.age >= mark.maxAge) {
+                impactMarks.splice(i, 1);
+            }
+        }
+    }
     
-    // Update particle explosion if active (check if particles are enabled)
-    const particlesEnabled = !perfMonitor || perfMonitor.isFeatureEnabled('particles');
-    if (peachState.particleExplosion) {
-        if (particlesEnabled) {
-            peachState.particleExplosion.update(delta);
+    /**
+     * Update the rage meter UI
+     */
+    updateRageMeter() {
+        const rageMeter = this.rageMeter;
+        const rageContainer = this.rageContainer;
+        const rageLevel = this.peachState.rageLevel;
+        
+        if (!rageMeter || !rageContainer) return;
+        
+        // The meter is full at the explosion threshold
+        const ragePercent = Math.min(100, (rageLevel / this.peachState.explosionThreshold) * 100);
+        
+        try {
+            rageMeter.style.width = `${ragePercent}%`;
             
-            // Skip normal physics during explosion
-            if (peachState.particleExplosion.isActive()) {
-                return;
+            // Change color based on rage level
+            if (ragePercent < 33) {
+                rageMeter.style.background = 'linear-gradient(90deg, #4CAF50, #8BC34A)';
+            } else if (ragePercent < 66) {
+                rageMeter.style.background = 'linear-gradient(90deg, #FF9800, #FFC107)';
+            } else {
+                rageMeter.style.background = 'linear-gradient(90deg, #F44336, #FF5722)';
+                // Add pulsing effect when high rage
+                rageMeter.style.animation = 'rage-pulse 0.5s infinite';
             }
-        } else {
-            // If particles are disabled during an active explosion, force-finish it immediately
-            if (peachState.particleExplosion.isActive()) {
-                peachState.particleExplosion.forceFinishExplosion();
+            
+            // Show container when rage > 0
+            if (rageLevel > 0) {
+                rageContainer.style.opacity = '1';
+            } else {
+                rageContainer.style.opacity = '0';
             }
+        } catch (error) {
+            console.error('Error updating rage meter:', error);
         }
     }
     
-    // Handle respawn animation
-    if (peachState.isRespawning) {
-        peachState.respawnTimer += delta;
+    /**
+     * Update peach physics and animation (call once per frame)
+     * @param {number} delta - Time delta since last frame
+     */
+    update(delta) {
+        const peachState = this.peachState;
+        const peachGroup = this.peachGroup;
         
-        // Calculate progress (0 to 1)
-        let progress = Math.min(1.0, peachState.respawnTimer / peachState.respawnDuration);
+        // Validate delta to prevent physics explosions
+        if (!delta || delta <= 0 || delta > 1) return;
         
-        // Ease out cubic for smooth deceleration
-        progress = 1 - Math.pow(1 - progress, 3);
+        // Always update idle animation time (runs continuously as base layer)
+        peachState.idleAnimationTime += delta;
         
-        // Animate position (from far back to center)
-        const startZ = -10;
-        const endZ = peachState.defaultPosition.z;
-        peachGroup.position.z = startZ + (endZ - startZ) * progress;
-        peachGroup.position.x = peachState.defaultPosition.x;
-        peachGroup.position.y = peachState.defaultPosition.y;
+        // Move the aim reticle, charge swings and poll gamepads
+        if (this.smackInput) {
+            this.smackInput.update(delta);
+        }
         
-        // Animate scale (from tiny to normal size)
-        const scale = 0.01 + (1.0 - 0.01) * progress;
-        peachGroup.scale.set(scale, scale, scale);
+        // Logged after the gamepad poll: a smack it fired replays just before this frame
+        if (this.recorder) this.recorder.recordFrame(delta);
         
-        // Spin slows down and ends at rotation 0 (matching idle animation start)
-        const remainingSpin = (1 - progress);
-        peachGroup.rotation.x = peachState.defaultRotation.x;
-        peachGroup.rotation.y = remainingSpin * Math.PI * 2;
-        peachGroup.rotation.z = peachState.defaultRotation.z;
+        // Update particle explosion if active (check if particles are enabled)
+        const particlesEnabled = this.isFeatureEnabled('particles');
+        if (peachState.particleExplosion) {
+            if (particlesEnabled) {
+                peachState.particleExplosion.update(delta);
+                
+                // Skip normal physics during explosion
+                if (peachState.particleExplosion.isActive()) {
+                    return;
+                }
+            } else {
+                // If particles are disabled during an active explosion, force-finish it immediately
+                if (peachState.particleExplosion.isActive()) {
+                    peachState.particleExplosion.forceFinishExplosion();
+                } else if (peachState.particleExplosion.isLingering) {
+                    peachState.particleExplosion.cancel();
+                }
+            }
+        }
         
-        // Check if animation is complete
-        if (progress >= 1.0) {
-            peachState.isRespawning = false;
-            peachGroup.scale.set(1, 1, 1); // Ensure exact final scale
-            // Reset idle animation so it starts from 0 (facing forward)
-            peachState.idleAnimationTime = 0;
+        // Handle respawn animation
+        if (peachState.isRespawning) {
+            peachState.respawnTimer += delta;
+            
+            // Calculate progress (0 to 1)
+            let progress = Math.min(1.0, peachState.respawnTimer / peachState.respawnDuration);
+            
+            // The pieces are flying back (in the particle update above); reveal the peach once they're in place
+            if (peachState.isReassembling) {
+                if (progress >= 1.0 || !particlesEnabled) {
+                    peachState.particleExplosion.cancel();
+                    peachState.isReassembling = false;
+                    peachState.isRespawning = false;
+                    this.getMeshArray().forEach(mesh => {
+                        mesh.visible = true;
+                    });
+                    peachState.idleAnimationTime = 0;
+                    this.events.emit('respawned');
+                }
+                return;
+            }
+            
+            // Ease out cubic for smooth deceleration
+            progress = 1 - Math.pow(1 - progress, 3);
+            
+            // Animate position (from far back to center)
+            const startZ = -10;
+            const endZ = peachState.defaultPosition.z;
+            peachGroup.position.z = startZ + (endZ - startZ) * progress;
+            peachGroup.position.x = peachState.defaultPosition.x;
+            peachGroup.position.y = peachState.defaultPosition.y;
+            
+            // Animate scale (from tiny to normal size)
+            const scale = (0.01 + (1.0 - 0.01) * progress) * peachState.defaultScale;
+            peachGroup.scale.set(scale, scale, scale);
+            
+            // Spin slows down and ends at rotation 0 (matching idle animation start)
+            const remainingSpin = (1 - progress);
+            peachGroup.rotation.x = peachState.defaultRotation.x;
+            peachGroup.rotation.y = remainingSpin * Math.PI * 2;
+            peachGroup.rotation.z = peachState.defaultRotation.z;
+            
+            // Check if animation is complete
+            if (progress >= 1.0) {
+                peachState.isRespawning = false;
+                peachGroup.scale.setScalar(peachState.defaultScale); // Ensure exact final scale
+                // Reset idle animation so it starts from 0 (facing forward)
+                peachState.idleAnimationTime = 0;
+                this.events.emit('respawned');
+            }
+            
+            return; // Skip normal physics during respawn
         }
         
-        return; // Skip normal physics during respawn
-    }
-    
-    // Decay rage level over time
-    if (peachState.rageLevel > 0) {
-        peachState.rageLevel = Math.max(0, peachState.rageLevel - peachState.rageDecayRate * delta);
-        updateRageMeter();
-    }
-    
-    // Update impact marks (age them and remove expired ones) - only if enabled
-    const impactMarksEnabled = !perfMonitor || perfMonitor.isFeatureEnabled('impactMarks');
-    if (impactMarksEnabled) {
-        updateImpactMarks(delta);
+        // Decay rage level over time
+        if (peachState.rageLevel > 0) {
+            this.decayRage(delta);
+        }
         
-        // Update shader uniforms with current impact marks
-        updateImpactMarkShaders(peachState.impactMarks);
-    } else {
-        // Clear impact marks if disabled
-        if (peachState.impactMarks.length > 0) {
-            peachState.impactMarks = [];
-            updateImpactMarkShaders([]); // Clear visual marks
+        // Update impact marks (age them and remove expired ones) - only if enabled
+        const impactMarksEnabled = this.isFeatureEnabled('impactMarks');
+        if (impactMarksEnabled) {
+            this.updateImpactMarks(delta);
+            
+            // Update shader uniforms with current impact marks
+            updateImpactMarkShaders(this.getMeshArray(), peachState.impactMarks);
+        } else {
+            // Clear impact marks if disabled
+            if (peachState.impactMarks.length > 0) {
+                peachState.impactMarks = [];
+                updateImpactMarkShaders(this.getMeshArray(), []); // Clear visual marks
+            }
         }
-    }
-    
-    // Update soft body physics (jiggle) - only if enabled
-    const physicsEnabled = !perfMonitor || perfMonitor.isFeatureEnabled('softBodyPhysics');
-    if (physicsEnabled) {
+        
+        // Advance the simulation in fixed steps so the jiggle is identical at any refresh rate
+        const physicsEnabled = this.isFeatureEnabled('softBodyPhysics');
+        const volumePreservation = this.isFeatureEnabled('volumePreservation');
         peachState.softBodies.forEach(softBody => {
-            softBody.update(delta);
+            softBody.volumePreservation = volumePreservation;
         });
+        
+        // Keep held skin under the pointer before stepping
+        this.updateGrabTargets();
+        
+        const physicsClock = this.physicsClock;
+        const steps = physicsClock.advance(delta);
+        for (let i = 0; i < steps; i++) {
+            this.stepPeachPhysics(physicsClock.stepSize, physicsEnabled);
+        }
+        
+        // Blend the last two steps for smooth rendering between them
+        const alpha = physicsClock.alpha;
+        if (physicsEnabled) {
+            peachState.softBodies.forEach(softBody => {
+                softBody.interpolate(alpha);
+            });
+        }
+        
+        // Let listeners know once the wobble and the jiggle have both died down
+        const isMoving = peachState.isWobbling ||
+            (physicsEnabled && peachState.softBodies.some(softBody => softBody.isActive));
+        if (this.wasMoving && !isMoving) {
+            this.events.emit('settled');
+        }
+        this.wasMoving = isMoving;
+        
+        if (this.pendingSoftBodyWorker !== null && !this.isHoldingSkin() &&
+            peachState.softBodies.every(softBody => !softBody.isActive)) {
+            this.replaceSoftBodies(this.pendingSoftBodyWorker);
+        }
+        
+        const renderOffset = this.renderOffset;
+        const renderRotation = this.renderRotation;
+        renderOffset.lerpVectors(peachState.previousPhysicsOffset, peachState.physicsOffset, alpha);
+        renderRotation.set(
+            peachState.previousPhysicsRotation.x + (peachState.physicsRotation.x - peachState.previousPhysicsRotation.x) * alpha,
+            peachState.previousPhysicsRotation.y + (peachState.physicsRotation.y - peachState.previousPhysicsRotation.y) * alpha,
+            peachState.previousPhysicsRotation.z + (peachState.physicsRotation.z - peachState.previousPhysicsRotation.z) * alpha
+        );
+        
+        // ALWAYS apply idle animation as base layer
+        const idleY = Math.sin(peachState.idleAnimationTime * 1.5) * 0.2;
+        const idleRotY = Math.sin(peachState.idleAnimationTime * 0.5) * 0.3;
+        
+        // Apply: default + idle + physics offset
+        peachGroup.position.x = peachState.defaultPosition.x + renderOffset.x;
+        peachGroup.position.y = peachState.defaultPosition.y + idleY + renderOffset.y;
+        peachGroup.position.z = peachState.defaultPosition.z + renderOffset.z;
+        
+        peachGroup.rotation.x = peachState.defaultRotation.x + renderRotation.x;
+        peachGroup.rotation.y = peachState.defaultRotation.y + idleRotY + renderRotation.y;
+        peachGroup.rotation.z = peachState.defaultRotation.z + renderRotation.z;
     }
     
-    // If wobbling, update physics offset
-    if (peachState.isWobbling) {
-        const velocityLength = peachState.velocity.length();
-        const angularVelLength = peachState.angularVelocity.length();
-        const settleThreshold = 0.01;
+    /**
+     * Advance the rigid wobble and soft body simulation by one fixed step
+     * @param {number} step - Fixed step size in seconds
+     * @param {boolean} softBodyEnabled - Whether soft body physics should be stepped
+     */
+    stepPeachPhysics(step, softBodyEnabled) {
+        const peachState = this.peachState;
         
-        // Apply velocity to physics offset
-        peachState.physicsOffset.add(peachState.velocity.clone().multiplyScalar(delta));
+        // Update soft body physics (jiggle) - only if enabled
+        if (softBodyEnabled) {
+            peachState.softBodies.forEach(softBody => {
+                softBody.update(step);
+            });
+        }
         
-        // Apply angular velocity to physics rotation
-        peachState.physicsRotation.x += peachState.angularVelocity.x * delta;
-        peachState.physicsRotation.y += peachState.angularVelocity.y * delta;
-        peachState.physicsRotation.z += peachState.angularVelocity.z * delta;
+        peachState.previousPhysicsOffset.copy(peachState.physicsOffset);
+        peachState.previousPhysicsRotation.copy(peachState.physicsRotation);
         
-        // Apply damping
-        peachState.velocity.multiplyScalar(PHYSICS_CONFIG.DAMPING);
-        peachState.angularVelocity.multiplyScalar(PHYSICS_CONFIG.ANGULAR_DAMPING);
+        // If wobbling, update physics offset
+        if (peachState.isWobbling) {
+            const velocityLength = peachState.velocity.length();
+            const angularVelLength = peachState.angularVelocity.length();
+            
+            // Apply velocity to physics offset
+            peachState.physicsOffset.addScaledVector(peachState.velocity, step);
+            
+            // Apply angular velocity to physics rotation
+            peachState.physicsRotation.x += peachState.angularVelocity.x * step;
+            peachState.physicsRotation.y += peachState.angularVelocity.y * step;
+            peachState.physicsRotation.z += peachState.angularVelocity.z * step;
+            
+            // Apply damping
+            peachState.velocity.multiplyScalar(PHYSICS_CONFIG.DAMPING);
+            peachState.angularVelocity.multiplyScalar(PHYSICS_CONFIG.ANGULAR_DAMPING);
+            
+            // Return force pulls physics offset back to zero
+            peachState.velocity.addScaledVector(peachState.physicsOffset, -PHYSICS_CONFIG.RETURN_FORCE);
+            
+            // Return to default rotation gradually
+            peachState.physicsRotation.x += (0 - peachState.physicsRotation.x) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
+            peachState.physicsRotation.y += (0 - peachState.physicsRotation.y) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
+            peachState.physicsRotation.z += (0 - peachState.physicsRotation.z) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
+            
+            // Check if peach has settled
+            if (velocityLength < PHYSICS_CONFIG.VELOCITY_SETTLE_THRESHOLD && angularVelLength < PHYSICS_CONFIG.VELOCITY_SETTLE_THRESHOLD) {
+                peachState.isWobbling = false;
+                peachState.velocity.set(0, 0, 0);
+                peachState.angularVelocity.set(0, 0, 0);
+                peachState.physicsOffset.set(0, 0, 0);
+                peachState.physicsRotation.set(0, 0, 0);
+                peachState.previousPhysicsOffset.set(0, 0, 0);
+                peachState.previousPhysicsRotation.set(0, 0, 0);
+            }
+        }
+    }
+    
+    /**
+     * Stop listening for input and free the soft bodies and particle system
+     */
+    dispose() {
+        this.releaseAllGrabs();
+        this.pointerStates.clear();
         
-        // Return force pulls physics offset back to zero
-        const toDefault = peachState.physicsOffset.clone().multiplyScalar(-PHYSICS_CONFIG.RETURN_FORCE);
-        peachState.velocity.add(toDefault);
+        const root = this.root;
+        if (root) {
+            root.removeEventListener('pointermove', this.onPointerMove);
+            root.removeEventListener('pointerdown', this.onPointerDown);
+            root.removeEventListener('pointerup', this.onPointerUp);
+            root.removeEventListener('pointercancel', this.onPointerUp);
+            root.removeEventListener('pointerenter', this.onPointerEnter);
+            root.removeEventListener('pointerleave', this.onPointerLeave);
+            root.removeEventListener('mouseover', this.onMouseOver);
+            root.removeEventListener('mouseout', this.onMouseOut);
+            window.removeEventListener('blur', this.onWindowBlur);
+        }
+        if (this.oilButton) {
+            this.oilButton.removeEventListener('click', this.onOilButtonClick);
+        }
+        if (this.smackInput) {
+            this.smackInput.dispose();
+            this.smackInput = null;
+        }
         
-        // Return to default rotation gradually
-        peachState.physicsRotation.x += (0 - peachState.physicsRotation.x) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
-        peachState.physicsRotation.y += (0 - peachState.physicsRotation.y) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
-        peachState.physicsRotation.z += (0 - peachState.physicsRotation.z) * PHYSICS_CONFIG.ROTATION_RETURN_FACTOR;
+        this.peachState.softBodies.forEach(softBody => softBody.dispose());
+        this.peachState.softBodies = [];
         
-        // Check if peach has settled
-        if (velocityLength < PHYSICS_CONFIG.VELOCITY_SETTLE_THRESHOLD && angularVelLength < PHYSICS_CONFIG.VELOCITY_SETTLE_THRESHOLD) {
-            peachState.isWobbling = false;
-            peachState.velocity.set(0, 0, 0);
-            peachState.angularVelocity.set(0, 0, 0);
-            peachState.physicsOffset.set(0, 0, 0);
-            peachState.physicsRotation.set(0, 0, 0);
+        if (this.peachState.particleExplosion) {
+            this.peachState.particleExplosion.dispose();
+            this.peachState.particleExplosion = null;
         }
+        
+        this.events.clear();
+        this.recorder = null;
+        this.peachMesh = null;
     }
-    
-    // ALWAYS apply idle animation as base layer
-    const idleY = Math.sin(peachState.idleAnimationTime * 1.5) * 0.2;
-    const idleRotY = Math.sin(peachState.idleAnimationTime * 0.5) * 0.3;
-    
-    // Apply: default + idle + physics offset
-    peachGroup.position.x = peachState.defaultPosition.x + peachState.physicsOffset.x;
-    peachGroup.position.y = peachState.defaultPosition.y + idleY + peachState.physicsOffset.y;
-    peachGroup.position.z = peachState.defaultPosition.z + peachState.physicsOffset.z;
-    
-    peachGroup.rotation.x = peachState.defaultRotation.x + peachState.physicsRotation.x;
-    peachGroup.rotation.y = peachState.defaultRotation.y + idleRotY + peachState.physicsRotation.y;
-    peachGroup.rotation.z = peachState.defaultRotation.z + peachState.physicsRotation.z;
 }
-
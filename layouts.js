@@ -0,0 +1,74 @@
+import { Vector3 } from 'three';
+
+/**
+ * Spawn Layouts
+ * Where the peaches of a multi-peach scene rest, centered on the origin and facing
+ * the camera. A layout is one of the names below or an explicit list of [x, y, z]
+ * positions.
+ */
+
+export const SPAWN_LAYOUTS = {
+    // Side by side
+    row: (count, spacing) => {
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            positions.push(new Vector3((i - (count - 1) / 2) * spacing, 0, 0));
+        }
+        return positions;
+    },
+    
+    // Rows filled left to right, top to bottom, as square as possible
+    grid: (count, spacing) => {
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            positions.push(new Vector3(
+                (column - (columns - 1) / 2) * spacing,
+                ((rows - 1) / 2 - row) * spacing,
+                0
+            ));
+        }
+        return positions;
+    },
+    
+    // Ring with neighbours `spacing` apart, the first peach at the top
+    circle: (count, spacing) => {
+        if (count === 1) return [new Vector3(0, 0, 0)];
+        
+        const radius = spacing / (2 * Math.sin(Math.PI / count));
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const angle = Math.PI / 2 - (i / count) * Math.PI * 2;
+            positions.push(new Vector3(Math.cos(angle) * radius, Math.sin(angle) * radius, 0));
+        }
+        return positions;
+    }
+};
+
+/**
+ * Resting positions for a number of peaches
+ * @param {string|Array} layout - Layout name (see SPAWN_LAYOUTS) or an array of [x, y, z]
+ * @param {number} count - Number of peaches
+ * @param {number} spacing - Distance between neighbours (named layouts)
+ * @returns {Array<Vector3>} One position per peach
+ */
+export function getSpawnLayout(layout, count, spacing) {
+    if (Array.isArray(layout)) {
+        if (layout.length < count) {
+            console.warn(`⚠️ Layout has ${layout.length} positions for ${count} peaches, placing the rest in a row`);
+        }
+        
+        const row = SPAWN_LAYOUTS.row(count, spacing);
+        return row.map((position, index) => index < layout.length ? new Vector3().fromArray(layout[index]) : position);
+    }
+    
+    if (!SPAWN_LAYOUTS[layout]) {
+        console.warn(`⚠️ Unknown layout "${layout}", expected one of: ${Object.keys(SPAWN_LAYOUTS).join(', ')}`);
+        return SPAWN_LAYOUTS.row(count, spacing);
+    }
+    
+    return SPAWN_LAYOUTS[layout](count, spacing);
+}
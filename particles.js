@@ -1,14 +1,72 @@
-import { SphereGeometry, MeshStandardMaterial, Group, Vector3, Mesh } from 'three';
+import { MathUtils, SphereGeometry, BufferGeometry, BufferAttribute, MeshStandardMaterial, Mesh, Group, InstancedMesh, InstancedBufferAttribute, DynamicDrawUsage, DoubleSide, Vector3, Euler, Quaternion, Matrix4 } from 'three';
 import { PARTICLE_CONFIG } from './config.js';
+import { defaultRandom } from './random.js';
 
 /**
  * Particle Explosion System
  * When the peach takes too much damage, it explodes into particles
  * that dramatically scatter and then slowly reform
+ *
+ * All particles are instances of one InstancedMesh (a single draw call). Per-particle
+ * state lives in flat Float32Arrays allocated up front for MAX_PARTICLES, so blowing
+ * the peach up allocates nothing and compiles no materials. Each instance has its own
+ * transform, color (the skin's impact-mark tint where it came from) and opacity.
+ *
+ * With PARTICLE_CONFIG.STYLE = 'fracture' the peach's skin itself breaks apart instead:
+ * its triangles are clustered into CHUNK_COUNT Voronoi cells per mesh (built once, up
+ * front), and each chunk is a small mesh in a copy of the skin material - normal map,
+ * vertex-color impact marks and all. Chunks ride the same gravity/air-resistance
+ * simulation as the particles, one chunk per slot.
+ *
+ * Once the pieces have fallen, reassemble() can fly them back along an eased arc to
+ * where they belong on the respawned peach (the reverse of the explosion), instead of
+ * simply clearing them.
+ *
+ * Pieces can land on a floor (PARTICLE_CONFIG.FLOOR: a fixed plane, or the bottom
+ * edge of the view) where they bounce, slide and roll to a stop, and with
+ * DEBRIS_LINGER they stay there after the peach has respawned before slowly fading.
  */
 
+const EXPLOSION_STYLES = ['particles', 'fracture'];
+
+/**
+ * Fade each instance of an InstancedMesh by an `instanceOpacity` attribute
+ * (the material must be transparent, the geometry needs the attribute)
+ * @param {THREE.Material} material - Material to patch
+ */
+export function patchInstanceOpacity(material) {
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    
+    material.onBeforeCompile = (shader, renderer) => {
+        previousOnBeforeCompile.call(material, shader, renderer);
+        
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+attribute float instanceOpacity;
+varying float vInstanceOpacity;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+vInstanceOpacity = instanceOpacity;`);
+        
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying float vInstanceOpacity;`)
+            .replace('#include <color_fragment>', `#include <color_fragment>
+diffuseColor.a *= vInstanceOpacity;`);
+    };
+    
+    const previousCacheKey = material.customProgramCacheKey.bind(material);
+    material.customProgramCacheKey = () => previousCacheKey() + '-instance-opacity';
+}
+
 export class ParticleExplosion {
-    constructor(mesh, scene, onComplete) {
+    /**
+     * @param {Array<THREE.Mesh>} mesh - Peach meshes to blow apart
+     * @param {THREE.Scene} scene - Scene to add the particles to
+     * @param {Function} onComplete - Called when the explosion is over (respawn)
+     * @param {Function} random - Random number source in [0, 1) (seeded for replays)
+     * @param {THREE.Camera} camera - Camera whose view the 'viewport' floor follows
+     */
+    constructor(mesh, scene, onComplete, random = defaultRandom.next, camera = null) {
         if (!mesh || !scene) {
             throw new Error('ParticleExplosion: Missing required parameters');
         }
@@ -16,29 +74,190 @@ export class ParticleExplosion {
         this.originalMesh = mesh;
         this.scene = scene;
         this.onComplete = onComplete;
-        this.particles = [];
+        this.random = random;
+        this.camera = camera;
         this.isExploding = false;
         this.explosionTimer = 0;
         this.explosionForce = PARTICLE_CONFIG.EXPLOSION_FORCE;
         this.fallDuration = PARTICLE_CONFIG.FALL_DURATION;
+        this.style = PARTICLE_CONFIG.STYLE;
+        if (!EXPLOSION_STYLES.includes(this.style)) {
+            console.warn(`⚠️ Unknown explosion style "${this.style}", expected one of: ${EXPLOSION_STYLES.join(', ')}`);
+            this.style = 'particles';
+        }
+        
+        // Flat per-particle state (x, y, z interleaved); only the first `count` entries are live
+        const capacity = PARTICLE_CONFIG.MAX_PARTICLES;
+        this.capacity = capacity;
+        this.count = 0;
+        this.positions = new Float32Array(capacity * 3);
+        this.velocities = new Float32Array(capacity * 3);
+        this.rotations = new Float32Array(capacity * 3);
+        this.angularVelocities = new Float32Array(capacity * 3);
+        this.originalPositions = new Float32Array(capacity * 3); // Where each particle left the skin (and goes back to when reassembling)
+        this.sourceMeshes = new Uint16Array(capacity); // Mesh and vertex each particle came from
+        this.sourceVertices = new Uint32Array(capacity);
+        this.radii = new Float32Array(capacity); // How far each piece reaches down to the floor
+        
+        // Floor (world y, null without one) and debris left lying after the respawn
+        this.floorHeight = null;
+        this.explosionCenter = new Vector3();
+        this.isLingering = false;
+        this.lingerTimer = 0;
         
-        // Particle geometry and material (shared for performance)
+        // Reassembly: pieces ease from where they fell back to originalPositions
+        this.isReassembling = false;
+        this.reassemblyTimer = 0;
+        this.reassemblyDuration = 0;
+        this.reassemblyStart = new Float32Array(capacity * 3);
+        
+        // Particle geometry and material (shared by every instance)
         this.particleGeometry = new SphereGeometry(PARTICLE_CONFIG.RADIUS, PARTICLE_CONFIG.SPHERE_SEGMENTS, PARTICLE_CONFIG.SPHERE_SEGMENTS);
+        this.opacities = new InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1);
+        this.opacities.setUsage(DynamicDrawUsage);
+        this.particleGeometry.setAttribute('instanceOpacity', this.opacities);
+        
         this.particleMaterial = new MeshStandardMaterial({
             color: 0xffb0c0,
             roughness: 0.7,
             metalness: 0.0,
             emissive: 0xff7090,
-            emissiveIntensity: PARTICLE_CONFIG.EMISSIVE_BASE
+            emissiveIntensity: PARTICLE_CONFIG.EMISSIVE_BASE,
+            transparent: true
         });
+        patchInstanceOpacity(this.particleMaterial);
+        
+        this.instancedMesh = new InstancedMesh(this.particleGeometry, this.particleMaterial, capacity);
+        this.instancedMesh.instanceMatrix.setUsage(DynamicDrawUsage);
+        this.instancedMesh.instanceColor = new InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+        this.instancedMesh.instanceColor.setUsage(DynamicDrawUsage);
+        this.instancedMesh.count = 0;
+        this.instancedMesh.visible = false;
+        this.instancedMesh.frustumCulled = false; // Particles fly far outside the bounds of where they started
+        this.scene.add(this.instancedMesh);
         
-        // Group to hold all particles
-        this.particleGroup = new Group();
-        this.scene.add(this.particleGroup);
+        // Reusable objects to avoid garbage collection
+        this.tempPosition = new Vector3();
+        this.tempScale = new Vector3();
+        this.tempEuler = new Euler();
+        this.tempQuaternion = new Quaternion();
+        this.tempMatrix = new Matrix4();
         
-        // Track original vertices for reformation
-        this.originalVertices = [];
-        this.particleTargets = [];
+        // Skin chunks for the fracture style
+        this.chunks = [];
+        this.chunkMaterials = [];
+        this.chunkGroup = null;
+        if (this.style === 'fracture') {
+            this.buildChunks();
+        }
+    }
+    
+    /**
+     * Cluster the skin triangles of every mesh into chunks (fracture style)
+     * Seeds are picked by farthest-point sampling over the triangle centroids, so the
+     * cells come out evenly sized and the same every time. Positions, normals and
+     * colors are copied in from the live skin at explode time; UVs never change.
+     */
+    buildChunks() {
+        const meshArray = Array.isArray(this.originalMesh) ? this.originalMesh : [this.originalMesh];
+        
+        this.chunkGroup = new Group();
+        this.chunkGroup.visible = false;
+        this.scene.add(this.chunkGroup);
+        
+        meshArray.forEach(mesh => {
+            const geometry = mesh.geometry;
+            const positions = geometry.attributes.position;
+            const uvs = geometry.attributes.uv;
+            const index = geometry.index;
+            const triangleCount = Math.floor((index ? index.count : positions.count) / 3);
+            const chunkCount = Math.min(PARTICLE_CONFIG.CHUNK_COUNT, triangleCount);
+            if (chunkCount === 0) return;
+            
+            const cornerAt = (corner) => index ? index.getX(corner) : corner;
+            
+            // Triangle centroids in mesh space
+            const centroids = new Float32Array(triangleCount * 3);
+            for (let t = 0; t < triangleCount; t++) {
+                for (let corner = 0; corner < 3; corner++) {
+                    const vertex = cornerAt(t * 3 + corner);
+                    centroids[t * 3] += positions.getX(vertex) / 3;
+                    centroids[t * 3 + 1] += positions.getY(vertex) / 3;
+                    centroids[t * 3 + 2] += positions.getZ(vertex) / 3;
+                }
+            }
+            
+            const distanceSq = (a, b) => {
+                const dx = centroids[a * 3] - centroids[b * 3];
+                const dy = centroids[a * 3 + 1] - centroids[b * 3 + 1];
+                const dz = centroids[a * 3 + 2] - centroids[b * 3 + 2];
+                return dx * dx + dy * dy + dz * dz;
+            };
+            
+            // Farthest-point seeds; every triangle joins the cell of its nearest seed
+            const owner = new Uint32Array(triangleCount);
+            const nearest = new Float32Array(triangleCount).fill(Infinity);
+            let seed = 0;
+            for (let c = 0; c < chunkCount; c++) {
+                let farthest = 0;
+                for (let t = 0; t < triangleCount; t++) {
+                    const d = distanceSq(t, seed);
+                    if (d < nearest[t]) {
+                        nearest[t] = d;
+                        owner[t] = c;
+                    }
+                    if (nearest[t] > nearest[farthest]) farthest = t;
+                }
+                seed = farthest;
+            }
+            
+            const triangleCounts = new Uint32Array(chunkCount);
+            owner.forEach(c => triangleCounts[c]++);
+            
+            // One material per mesh, copied from the skin when it explodes
+            const material = new MeshStandardMaterial();
+            this.chunkMaterials.push({ material, source: mesh });
+            
+            for (let c = 0; c < chunkCount; c++) {
+                const cornerCount = triangleCounts[c] * 3;
+                if (cornerCount === 0) continue;
+                
+                const sourceVertices = new Uint32Array(cornerCount);
+                let filled = 0;
+                for (let t = 0; t < triangleCount; t++) {
+                    if (owner[t] !== c) continue;
+                    sourceVertices[filled++] = cornerAt(t * 3);
+                    sourceVertices[filled++] = cornerAt(t * 3 + 1);
+                    sourceVertices[filled++] = cornerAt(t * 3 + 2);
+                }
+                
+                const chunkGeometry = new BufferGeometry();
+                chunkGeometry.setAttribute('position', new BufferAttribute(new Float32Array(cornerCount * 3), 3));
+                chunkGeometry.setAttribute('normal', new BufferAttribute(new Float32Array(cornerCount * 3), 3));
+                chunkGeometry.setAttribute('color', new BufferAttribute(new Float32Array(cornerCount * 3).fill(1), 3));
+                if (uvs) {
+                    const chunkUvs = new Float32Array(cornerCount * 2);
+                    for (let i = 0; i < cornerCount; i++) {
+                        chunkUvs[i * 2] = uvs.getX(sourceVertices[i]);
+                        chunkUvs[i * 2 + 1] = uvs.getY(sourceVertices[i]);
+                    }
+                    chunkGeometry.setAttribute('uv', new BufferAttribute(chunkUvs, 2));
+                }
+                
+                const chunkMesh = new Mesh(chunkGeometry, material);
+                this.chunkGroup.add(chunkMesh);
+                
+                this.chunks.push({
+                    mesh: chunkMesh,
+                    source: mesh,
+                    sourceVertices,
+                    center: new Vector3(),
+                    baseQuaternion: new Quaternion(),
+                    baseScale: new Vector3(),
+                    startQuaternion: new Quaternion() // Orientation when reassembly began
+                });
+            }
+        });
     }
     
     /**
@@ -58,11 +277,30 @@ export class ParticleExplosion {
         // Clear any existing particles
         this.clearParticles();
         
+        if (this.style === 'fracture') {
+            this.createChunksFromMesh();
+            this.applyExplosionForces();
+            this.floorHeight = this.getFloorHeight(this.explosionCenter);
+            
+            // Chunks start out exactly where they sat on the skin
+            this.rotations.fill(0, 0, this.count * 3);
+            this.chunkGroup.visible = this.count > 0;
+            this.writeChunks(1);
+            return;
+        }
+        
         // Create particles from mesh vertices
         this.createParticlesFromMesh();
         
         // Apply explosion forces
         this.applyExplosionForces();
+        this.floorHeight = this.getFloorHeight(this.explosionCenter);
+        
+        this.particleMaterial.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE;
+        this.instancedMesh.count = this.count;
+        this.instancedMesh.visible = this.count > 0;
+        this.writeInstances(1);
+        this.instancedMesh.instanceColor.needsUpdate = true;
     }
     
     /**
@@ -71,154 +309,458 @@ export class ParticleExplosion {
     createParticlesFromMesh() {
         // Sample vertices from the mesh (not all, for performance)
         const meshArray = Array.isArray(this.originalMesh) ? this.originalMesh : [this.originalMesh];
+        const vertex = this.tempPosition;
+        const colorArray = this.instancedMesh.instanceColor.array;
         
+        // Sample every Nth vertex so all meshes together fit in the instance buffer
+        let totalVertices = 0;
         meshArray.forEach(mesh => {
+            totalVertices += mesh.geometry.attributes.position.count;
+        });
+        const samplingRate = Math.max(1, Math.ceil(totalVertices / this.capacity));
+        
+        meshArray.forEach((mesh, meshIndex) => {
             const geometry = mesh.geometry;
             const positions = geometry.attributes.position;
+            const colors = geometry.attributes.color; // Impact-mark tint (white where the skin is clean)
             
-            // Sample every Nth vertex to create particles
-            const samplingRate = Math.max(1, Math.floor(positions.count / PARTICLE_CONFIG.MAX_PARTICLES));
-            
-            for (let i = 0; i < positions.count; i += samplingRate) {
-                const vertex = new Vector3(
-                    positions.getX(i),
-                    positions.getY(i),
-                    positions.getZ(i)
-                );
-                
+            for (let i = 0; i < positions.count && this.count < this.capacity; i += samplingRate) {
                 // Transform to world space
-                vertex.applyMatrix4(mesh.matrixWorld);
+                vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
                 
-                // Create particle (share geometry, clone material for individual control)
-                const particle = new Mesh(this.particleGeometry, this.particleMaterial.clone());
-                particle.position.copy(vertex);
+                const p3 = this.count * 3;
+                vertex.toArray(this.positions, p3);
+                vertex.toArray(this.originalPositions, p3);
+                this.sourceMeshes[this.count] = meshIndex;
+                this.sourceVertices[this.count] = i;
+                this.radii[this.count] = PARTICLE_CONFIG.RADIUS;
                 
-                // Store physics data
-                particle.userData.velocity = new Vector3(0, 0, 0);
-                particle.userData.originalPosition = vertex.clone();
-                particle.userData.targetPosition = vertex.clone();
+                if (colors) {
+                    colorArray[p3] = colors.getX(i);
+                    colorArray[p3 + 1] = colors.getY(i);
+                    colorArray[p3 + 2] = colors.getZ(i);
+                } else {
+                    colorArray[p3] = colorArray[p3 + 1] = colorArray[p3 + 2] = 1;
+                }
                 
-                this.particleGroup.add(particle);
-                this.particles.push(particle);
+                this.count++;
             }
         });
     }
     
+    /**
+     * Cut the current skin (deformed shape and impact marks) into the prepared chunks
+     */
+    createChunksFromMesh() {
+        this.chunkMaterials.forEach(({ material, source }) => {
+            material.copy(Array.isArray(source.material) ? source.material[0] : source.material);
+            material.vertexColors = true;
+            material.transparent = true;
+            material.opacity = 1;
+            material.side = DoubleSide; // The hollow inside shows through the cracks
+        });
+        
+        const center = this.tempPosition;
+        
+        for (let c = 0; c < this.chunks.length && this.count < this.capacity; c++) {
+            const chunk = this.chunks[c];
+            const source = chunk.source.geometry.attributes;
+            const sourceVertices = chunk.sourceVertices;
+            const chunkGeometry = chunk.mesh.geometry;
+            const positions = chunkGeometry.attributes.position;
+            const normals = chunkGeometry.attributes.normal;
+            const colors = chunkGeometry.attributes.color;
+            
+            // Chunk vertices are stored around the chunk's own center, so it tumbles about it
+            chunk.center.set(0, 0, 0);
+            for (let i = 0; i < sourceVertices.length; i++) {
+                chunk.center.x += source.position.getX(sourceVertices[i]);
+                chunk.center.y += source.position.getY(sourceVertices[i]);
+                chunk.center.z += source.position.getZ(sourceVertices[i]);
+            }
+            chunk.center.divideScalar(sourceVertices.length);
+            
+            for (let i = 0; i < sourceVertices.length; i++) {
+                const vertex = sourceVertices[i];
+                positions.setXYZ(i,
+                    source.position.getX(vertex) - chunk.center.x,
+                    source.position.getY(vertex) - chunk.center.y,
+                    source.position.getZ(vertex) - chunk.center.z
+                );
+                if (source.normal) {
+                    normals.setXYZ(i, source.normal.getX(vertex), source.normal.getY(vertex), source.normal.getZ(vertex));
+                }
+                if (source.color) {
+                    colors.setXYZ(i, source.color.getX(vertex), source.color.getY(vertex), source.color.getZ(vertex));
+                }
+            }
+            positions.needsUpdate = true;
+            normals.needsUpdate = true;
+            colors.needsUpdate = true;
+            chunkGeometry.computeBoundingSphere();
+            
+            // Start from the skin's world transform
+            chunk.source.matrixWorld.decompose(center, chunk.baseQuaternion, chunk.baseScale);
+            center.copy(chunk.center).applyMatrix4(chunk.source.matrixWorld);
+            center.toArray(this.positions, this.count * 3);
+            center.toArray(this.originalPositions, this.count * 3);
+            this.radii[this.count] = chunkGeometry.boundingSphere.radius * chunk.baseScale.x * 0.5; // Curved shells lie flatter than their bounding sphere
+            
+            this.count++;
+        }
+    }
+    
     /**
      * Apply outward explosion forces to all particles
      */
     applyExplosionForces() {
+        const count = this.count;
+        if (count === 0) return;
+        
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const rotations = this.rotations;
+        const angularVelocities = this.angularVelocities;
+        
         // Calculate center of explosion (average position)
-        const center = new Vector3(0, 0, 0);
-        this.particles.forEach(particle => {
-            center.add(particle.position);
-        });
-        center.divideScalar(this.particles.length);
+        let centerX = 0;
+        let centerY = 0;
+        let centerZ = 0;
+        for (let p3 = 0; p3 < count * 3; p3 += 3) {
+            centerX += positions[p3];
+            centerY += positions[p3 + 1];
+            centerZ += positions[p3 + 2];
+        }
+        centerX /= count;
+        centerY /= count;
+        centerZ /= count;
+        this.explosionCenter.set(centerX, centerY, centerZ);
         
         // Apply forces radiating outward from center
-        this.particles.forEach(particle => {
+        const direction = this.tempPosition;
+        for (let p3 = 0; p3 < count * 3; p3 += 3) {
             // Direction from center to particle
-            const direction = particle.position.clone().sub(center).normalize();
+            direction.set(positions[p3] - centerX, positions[p3 + 1] - centerY, positions[p3 + 2] - centerZ).normalize();
             
             // Add some randomness for chaotic effect
-            direction.x += (Math.random() - 0.5) * 0.5;
-            direction.y += (Math.random() - 0.5) * 0.5;
-            direction.z += (Math.random() - 0.5) * 0.5;
+            direction.x += (this.random() - 0.5) * 0.5;
+            direction.y += (this.random() - 0.5) * 0.5;
+            direction.z += (this.random() - 0.5) * 0.5;
             direction.normalize();
             
             // Random force magnitude
-            const forceMagnitude = this.explosionForce * (0.7 + Math.random() * 0.6);
+            const forceMagnitude = this.explosionForce * (0.7 + this.random() * 0.6);
             
-            // Set initial velocity
-            particle.userData.velocity.copy(direction).multiplyScalar(forceMagnitude);
-            
-            // Add slight upward bias for dramatic effect
-            particle.userData.velocity.y += PARTICLE_CONFIG.UPWARD_BIAS;
+            // Set initial velocity, with a slight upward bias for dramatic effect
+            velocities[p3] = direction.x * forceMagnitude;
+            velocities[p3 + 1] = direction.y * forceMagnitude + PARTICLE_CONFIG.UPWARD_BIAS;
+            velocities[p3 + 2] = direction.z * forceMagnitude;
             
             // Random rotation for visual interest
-            particle.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
-            );
-            particle.userData.angularVelocity = new Vector3(
-                (Math.random() - 0.5) * 10,
-                (Math.random() - 0.5) * 10,
-                (Math.random() - 0.5) * 10
-            );
-        });
+            rotations[p3] = this.random() * Math.PI;
+            rotations[p3 + 1] = this.random() * Math.PI;
+            rotations[p3 + 2] = this.random() * Math.PI;
+            angularVelocities[p3] = (this.random() - 0.5) * 10;
+            angularVelocities[p3 + 1] = (this.random() - 0.5) * 10;
+            angularVelocities[p3 + 2] = (this.random() - 0.5) * 10;
+        }
     }
     
     /**
      * Update particle physics - particles fall and disappear
      */
     update(delta) {
+        if (this.isReassembling) {
+            this.updateReassembly(delta);
+            return;
+        }
+        if (this.isLingering) {
+            this.updateDebris(delta);
+            return;
+        }
         if (!this.isExploding) return;
         
         this.explosionTimer += delta;
         
-        // Calculate fade progress (starts after particles have fallen)
+        // Calculate fade progress (starts after particles have fallen; lingering debris fades later)
         let fadeProgress = 0;
-        if (this.explosionTimer > PARTICLE_CONFIG.FADE_START_TIME) {
+        if (PARTICLE_CONFIG.DEBRIS_LINGER <= 0 && this.explosionTimer > PARTICLE_CONFIG.FADE_START_TIME) {
             fadeProgress = Math.min(1.0, (this.explosionTimer - PARTICLE_CONFIG.FADE_START_TIME) / PARTICLE_CONFIG.FADE_DURATION);
         }
         
+        this.simulate(delta);
+        
+        // Pulse emissive intensity during explosion, then fade out particles
+        const fadeAmount = 1.0 - fadeProgress;
+        if (this.style === 'fracture') {
+            this.writeChunks(fadeAmount);
+        } else if (fadeProgress === 0) {
+            this.particleMaterial.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE + Math.sin(this.explosionTimer * PARTICLE_CONFIG.EMISSIVE_PULSE_FREQUENCY) * PARTICLE_CONFIG.EMISSIVE_PULSE_AMPLITUDE;
+        } else {
+            this.particleMaterial.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE * fadeAmount;
+        }
+        if (this.style !== 'fracture') {
+            this.writeInstances(fadeAmount);
+        }
+        
+        // Check if explosion is complete
+        if (this.explosionTimer >= this.fallDuration) {
+            this.finishExplosion();
+        }
+    }
+    
+    /**
+     * Move every piece one step: gravity, air resistance, spin and the floor
+     */
+    simulate(delta) {
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const rotations = this.rotations;
+        const angularVelocities = this.angularVelocities;
+        const floorHeight = this.floorHeight;
+        const grip = Math.max(0, 1 - PARTICLE_CONFIG.FRICTION * delta);
+        
         // Update each particle
-        this.particles.forEach(particle => {
-            const velocity = particle.userData.velocity;
-            
+        for (let p3 = 0; p3 < this.count * 3; p3 += 3) {
             // Apply gravity
-            velocity.y -= PARTICLE_CONFIG.GRAVITY_STRENGTH * delta;
+            velocities[p3 + 1] -= PARTICLE_CONFIG.GRAVITY_STRENGTH * delta;
             
             // Air resistance
-            velocity.x *= PARTICLE_CONFIG.AIR_RESISTANCE;
-            velocity.z *= PARTICLE_CONFIG.AIR_RESISTANCE;
+            velocities[p3] *= PARTICLE_CONFIG.AIR_RESISTANCE;
+            velocities[p3 + 2] *= PARTICLE_CONFIG.AIR_RESISTANCE;
             
             // Update position
-            particle.position.add(velocity.clone().multiplyScalar(delta));
+            positions[p3] += velocities[p3] * delta;
+            positions[p3 + 1] += velocities[p3 + 1] * delta;
+            positions[p3 + 2] += velocities[p3 + 2] * delta;
             
-            // Update rotation
-            const angularVel = particle.userData.angularVelocity;
-            particle.rotation.x += angularVel.x * delta;
-            particle.rotation.y += angularVel.y * delta;
-            particle.rotation.z += angularVel.z * delta;
+            // Update rotation, slowing down over time
+            rotations[p3] += angularVelocities[p3] * delta;
+            rotations[p3 + 1] += angularVelocities[p3 + 1] * delta;
+            rotations[p3 + 2] += angularVelocities[p3 + 2] * delta;
+            angularVelocities[p3] *= PARTICLE_CONFIG.ROTATION_DAMPING;
+            angularVelocities[p3 + 1] *= PARTICLE_CONFIG.ROTATION_DAMPING;
+            angularVelocities[p3 + 2] *= PARTICLE_CONFIG.ROTATION_DAMPING;
             
-            // Slow down rotation over time
-            angularVel.multiplyScalar(PARTICLE_CONFIG.ROTATION_DAMPING);
+            if (floorHeight === null) continue;
             
-            // Pulse emissive intensity during explosion
-            if (fadeProgress === 0) {
-                particle.material.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE + Math.sin(this.explosionTimer * PARTICLE_CONFIG.EMISSIVE_PULSE_FREQUENCY) * PARTICLE_CONFIG.EMISSIVE_PULSE_AMPLITUDE;
-            } else {
-                // Fade out particles
-                const fadeAmount = 1.0 - fadeProgress;
-                particle.scale.setScalar(fadeAmount);
-                particle.material.opacity = fadeAmount;
-                particle.material.transparent = true;
-                particle.material.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE * fadeAmount;
+            const radius = this.radii[p3 / 3];
+            const restingHeight = floorHeight + radius;
+            if (positions[p3 + 1] > restingHeight) continue;
+            
+            // Bounce (small bounces die out so pieces come to rest)
+            positions[p3 + 1] = restingHeight;
+            if (velocities[p3 + 1] < 0) {
+                velocities[p3 + 1] *= -PARTICLE_CONFIG.RESTITUTION;
+                if (velocities[p3 + 1] < PARTICLE_CONFIG.REST_SPEED) {
+                    velocities[p3 + 1] = 0;
+                }
             }
-        });
+            
+            // Friction slows the slide, and the piece rolls along with it
+            velocities[p3] *= grip;
+            velocities[p3 + 2] *= grip;
+            angularVelocities[p3] = velocities[p3 + 2] / radius;
+            angularVelocities[p3 + 1] *= grip;
+            angularVelocities[p3 + 2] = -velocities[p3] / radius;
+        }
+    }
+    
+    /**
+     * Height of the floor the pieces land on
+     * @param {THREE.Vector3} center - Where the explosion is (the 'viewport' floor is the bottom of the view at its depth)
+     * @returns {number|null} Floor height in world space, or null without a floor
+     */
+    getFloorHeight(center) {
+        const floor = PARTICLE_CONFIG.FLOOR;
+        if (floor === 'none') return null;
         
-        // Check if explosion is complete
-        if (this.explosionTimer >= this.fallDuration) {
-            this.finishExplosion();
+        if (floor === 'viewport') {
+            if (!this.camera) {
+                console.warn('⚠️ Viewport floor needs a camera, using FLOOR_HEIGHT');
+                return PARTICLE_CONFIG.FLOOR_HEIGHT;
+            }
+            
+            // Bottom edge of the view, straight below the explosion (camera space looks down -z)
+            this.camera.updateMatrixWorld();
+            const point = this.tempPosition.copy(center).applyMatrix4(this.camera.matrixWorldInverse);
+            point.y = point.z * Math.tan(MathUtils.degToRad(this.camera.fov) / 2);
+            return point.applyMatrix4(this.camera.matrixWorld).y;
+        }
+        
+        if (floor !== 'plane') {
+            console.warn(`⚠️ Unknown floor "${floor}", expected 'none', 'plane' or 'viewport'`);
+            return null;
         }
+        return PARTICLE_CONFIG.FLOOR_HEIGHT;
+    }
+    
+    /**
+     * Debris left after the respawn keeps settling, then fades slowly
+     */
+    updateDebris(delta) {
+        this.lingerTimer += delta;
+        this.simulate(delta);
+        
+        const fadeProgress = MathUtils.clamp((this.lingerTimer - PARTICLE_CONFIG.DEBRIS_LINGER) / PARTICLE_CONFIG.DEBRIS_FADE_DURATION, 0, 1);
+        const fadeAmount = 1.0 - fadeProgress;
+        if (this.style === 'fracture') {
+            this.writeChunks(fadeAmount);
+        } else {
+            this.particleMaterial.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE * fadeAmount;
+            this.writeInstances(fadeAmount);
+        }
+        
+        if (fadeProgress >= 1.0) {
+            this.clearParticles();
+        }
+    }
+    
+    /**
+     * Copy the particle state into the instance matrices and opacities
+     * @param {number} fadeAmount - Scale and opacity of every particle (1 = fully there)
+     */
+    writeInstances(fadeAmount) {
+        const positions = this.positions;
+        const rotations = this.rotations;
+        const opacities = this.opacities.array;
+        const matrix = this.tempMatrix;
+        const scale = this.tempScale.setScalar(fadeAmount);
+        
+        for (let i = 0; i < this.count; i++) {
+            const i3 = i * 3;
+            this.tempPosition.fromArray(positions, i3);
+            this.tempQuaternion.setFromEuler(this.tempEuler.set(rotations[i3], rotations[i3 + 1], rotations[i3 + 2]));
+            matrix.compose(this.tempPosition, this.tempQuaternion, scale);
+            this.instancedMesh.setMatrixAt(i, matrix);
+            opacities[i] = fadeAmount;
+        }
+        
+        this.instancedMesh.instanceMatrix.needsUpdate = true;
+        this.opacities.needsUpdate = true;
+    }
+    
+    /**
+     * Move the skin chunks to the simulated state (fracture style)
+     * @param {number} fadeAmount - Scale and opacity of every chunk (1 = fully there)
+     */
+    writeChunks(fadeAmount) {
+        const positions = this.positions;
+        const rotations = this.rotations;
+        
+        for (let i = 0; i < this.count; i++) {
+            const i3 = i * 3;
+            const chunk = this.chunks[i];
+            const chunkMesh = chunk.mesh;
+            
+            chunkMesh.position.fromArray(positions, i3);
+            this.tempQuaternion.setFromEuler(this.tempEuler.set(rotations[i3], rotations[i3 + 1], rotations[i3 + 2]));
+            chunkMesh.quaternion.copy(chunk.baseQuaternion).multiply(this.tempQuaternion);
+            chunkMesh.scale.copy(chunk.baseScale).multiplyScalar(fadeAmount);
+        }
+        
+        this.chunkMaterials.forEach(({ material }) => {
+            material.opacity = fadeAmount;
+        });
     }
     
     /**
      * Complete the explosion and trigger respawn
      */
     finishExplosion() {
-        // Clear all particles
-        this.clearParticles();
-        
         this.isExploding = false;
         this.explosionTimer = 0;
         
-        // Trigger callback to spawn fresh peach
+        // Trigger callback to spawn fresh peach (which may reassemble it from the pieces)
         if (this.onComplete) {
             this.onComplete();
         }
+        
+        if (this.isReassembling) return;
+        
+        // Leave the pieces lying around for a while, or clear them now
+        if (PARTICLE_CONFIG.DEBRIS_LINGER > 0 && this.count > 0) {
+            this.isLingering = true;
+            this.lingerTimer = 0;
+        } else {
+            this.clearParticles();
+        }
+    }
+    
+    /**
+     * Fly the fallen pieces back together (call from the respawn, with the peach's
+     * meshes already back in their resting pose - that's where the pieces head)
+     * @param {number} duration - Seconds until the pieces are in place
+     * @returns {boolean} False if there are no pieces to reassemble
+     */
+    reassemble(duration) {
+        if (this.count === 0 || this.isExploding) return false;
+        
+        const meshArray = Array.isArray(this.originalMesh) ? this.originalMesh : [this.originalMesh];
+        const target = this.tempPosition;
+        
+        this.reassemblyStart.set(this.positions.subarray(0, this.count * 3));
+        
+        for (let i = 0; i < this.count; i++) {
+            if (this.style === 'fracture') {
+                // Chunk centers, and the respawned skin's orientation to turn back to
+                const chunk = this.chunks[i];
+                chunk.source.updateWorldMatrix(true, false);
+                chunk.startQuaternion.copy(chunk.mesh.quaternion);
+                chunk.source.matrixWorld.decompose(target, chunk.baseQuaternion, chunk.baseScale);
+                target.copy(chunk.center).applyMatrix4(chunk.source.matrixWorld);
+            } else {
+                const mesh = meshArray[this.sourceMeshes[i]];
+                mesh.updateWorldMatrix(true, false);
+                target.fromBufferAttribute(mesh.geometry.attributes.position, this.sourceVertices[i]).applyMatrix4(mesh.matrixWorld);
+            }
+            target.toArray(this.originalPositions, i * 3);
+        }
+        
+        this.isReassembling = true;
+        this.reassemblyTimer = 0;
+        this.reassemblyDuration = duration;
+        this.particleMaterial.emissiveIntensity = PARTICLE_CONFIG.EMISSIVE_BASE;
+        return true;
+    }
+    
+    /**
+     * Ease the pieces home, looping up on the way and fading back in
+     */
+    updateReassembly(delta) {
+        this.reassemblyTimer += delta;
+        
+        const progress = Math.min(1.0, this.reassemblyTimer / this.reassemblyDuration);
+        
+        // Ease in-out cubic: leave gently, rush in the middle, settle into place
+        const eased = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+        const lift = Math.sin(progress * Math.PI) * PARTICLE_CONFIG.REASSEMBLE_ARC_HEIGHT;
+        const fadeAmount = Math.min(1.0, progress / PARTICLE_CONFIG.REASSEMBLE_FADE_IN);
+        
+        const positions = this.positions;
+        const start = this.reassemblyStart;
+        const target = this.originalPositions;
+        for (let p3 = 0; p3 < this.count * 3; p3 += 3) {
+            positions[p3] = start[p3] + (target[p3] - start[p3]) * eased;
+            positions[p3 + 1] = start[p3 + 1] + (target[p3 + 1] - start[p3 + 1]) * eased + lift;
+            positions[p3 + 2] = start[p3 + 2] + (target[p3 + 2] - start[p3 + 2]) * eased;
+        }
+        
+        if (this.style === 'fracture') {
+            for (let i = 0; i < this.count; i++) {
+                const chunk = this.chunks[i];
+                chunk.mesh.position.fromArray(positions, i * 3);
+                chunk.mesh.quaternion.slerpQuaternions(chunk.startQuaternion, chunk.baseQuaternion, eased);
+                chunk.mesh.scale.copy(chunk.baseScale).multiplyScalar(fadeAmount);
+            }
+            this.chunkMaterials.forEach(({ material }) => {
+                material.opacity = fadeAmount;
+            });
+            this.chunkGroup.visible = true;
+        } else {
+            this.writeInstances(fadeAmount);
+            this.instancedMesh.visible = true;
+        }
     }
     
     /**
@@ -240,15 +782,26 @@ export class ParticleExplosion {
     }
     
     /**
-     * Clear all particles from the scene
+     * Stop an explosion without respawning (the caller resets the peach itself)
+     */
+    cancel() {
+        this.clearParticles();
+        this.isExploding = false;
+        this.explosionTimer = 0;
+        this.isReassembling = false;
+    }
+    
+    /**
+     * Hide all particles (the buffers stay allocated for the next explosion)
      */
     clearParticles() {
-        this.particles.forEach(particle => {
-            this.particleGroup.remove(particle);
-            // Don't dispose geometry - it's shared
-            particle.material.dispose();
-        });
-        this.particles = [];
+        this.count = 0;
+        this.isLingering = false;
+        this.instancedMesh.count = 0;
+        this.instancedMesh.visible = false;
+        if (this.chunkGroup) {
+            this.chunkGroup.visible = false;
+        }
     }
     
     /**
@@ -263,9 +816,18 @@ export class ParticleExplosion {
      */
     dispose() {
         this.clearParticles();
+        this.scene.remove(this.instancedMesh);
+        this.instancedMesh.dispose();
         this.particleGeometry.dispose();
         this.particleMaterial.dispose();
-        this.scene.remove(this.particleGroup);
+        
+        if (this.chunkGroup) {
+            this.scene.remove(this.chunkGroup);
+            this.chunks.forEach(chunk => chunk.mesh.geometry.dispose());
+            this.chunkMaterials.forEach(({ material }) => material.dispose());
+            this.chunks = [];
+            this.chunkMaterials = [];
+            this.chunkGroup = null;
+        }
     }
 }
-
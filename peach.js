@@ -2,10 +2,8 @@ import { SphereGeometry, MeshStandardMaterial, Mesh, BoxGeometry, CanvasTexture,
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { PEACH_CONFIG, INTERACTION_CONFIG } from './config.js';
 
-// Oil effect state
-let peachMeshes = [];
-let isOiled = false;
-const originalMaterialProperties = new Map();
+// Material settings from before the peach was oiled, per mesh
+const originalMaterialProperties = new WeakMap();
 
 /**
  * Setup vertex colors for impact marks
@@ -124,7 +122,7 @@ function createProceduralPeach() {
     // Peach body (sphere with deformations)
     const peachGeometry = new SphereGeometry(1.5, 64, 64);
     const peachPositions = peachGeometry.attributes.position;
-
+    
     // Add peach features: dimple at top and vertical seam creating two round halves
     for (let i = 0; i < peachPositions.count; i++) {
         let x = peachPositions.getX(i);
@@ -166,9 +164,9 @@ function createProceduralPeach() {
         
         peachPositions.setXYZ(i, x, y, z);
     }
-
+    
     peachGeometry.computeVertexNormals();
-
+    
     const normalMap = generatePeachNormalMap();
     const peachMaterial = new MeshStandardMaterial({
         color: 0xffb347,
@@ -179,19 +177,19 @@ function createProceduralPeach() {
         normalMap: normalMap,
         normalScale: new Vector2(0.5, 0.5) // Subtle effect
     });
-
+    
     const peachMesh = new Mesh(peachGeometry, peachMaterial);
     
     // Setup impact mark vertex colors
     setupImpactMarkColors(peachMesh);
-
+    
     // Add a leaf on top
     const leafGeometry = new BoxGeometry(0.15, 0.4, 0.05);
     const leafMaterial = new MeshStandardMaterial({
         color: 0x2d5016,
         roughness: 0.7
     });
-
+    
     const leaf = new Mesh(leafGeometry, leafMaterial);
     leaf.position.y = 0.9;
     leaf.rotation.x = -0.3;
@@ -203,13 +201,14 @@ function createProceduralPeach() {
  * Load the peach GLTF model, with fallback to procedural generation
  * @param {THREE.Group} peachGroup - The group to add the peach to
  * @param {Function} onMeshesLoaded - Callback function when meshes are loaded
+ * @param {string} modelUrl - GLTF/GLB file to load (defaults to the bundled peach)
  */
-export function loadPeachModel(peachGroup, onMeshesLoaded) {
+export function loadPeachModel(peachGroup, onMeshesLoaded, modelUrl = `${import.meta.env.BASE_URL}assets/peachy.glb`) {
     const loader = new GLTFLoader();
     const normalMap = generatePeachNormalMap();
     
     loader.load(
-        `${import.meta.env.BASE_URL}assets/peachy.glb`,
+        modelUrl,
         (gltf) => {
             const model = gltf.scene;
             
@@ -258,7 +257,6 @@ export function loadPeachModel(peachGroup, onMeshesLoaded) {
             });
             
             peachGroup.add(model);
-            peachMeshes = meshes; // Store meshes for oil effect
             onMeshesLoaded(meshes);
         },
         undefined,
@@ -268,19 +266,18 @@ export function loadPeachModel(peachGroup, onMeshesLoaded) {
             const { meshes, leaf } = createProceduralPeach();
             peachGroup.add(meshes[0]);
             peachGroup.add(leaf);
-            peachMeshes = meshes; // Store meshes for oil effect
+            normalMap.dispose(); // Only the GLTF materials use this one
             onMeshesLoaded(meshes);
         }
     );
 }
 
 /**
- * Toggle the oil effect on the peach
- * @returns {boolean} Whether the peach is now oiled
+ * Apply or remove the oil effect on the peach
+ * @param {Array<THREE.Mesh>} peachMeshes - The peach meshes
+ * @param {boolean} isOiled - Whether the peach should be oiled
  */
-export function toggleOilEffect() {
-    isOiled = !isOiled;
-    
+export function setOilEffect(peachMeshes, isOiled) {
     peachMeshes.forEach(mesh => {
         if (mesh.material) {
             if (isOiled) {
@@ -312,23 +309,14 @@ export function toggleOilEffect() {
             mesh.material.needsUpdate = true;
         }
     });
-    
-    return isOiled;
-}
-
-/**
- * Check if the peach is currently oiled
- * @returns {boolean} Whether the peach is oiled
- */
-export function isOiledState() {
-    return isOiled;
 }
 
 /**
  * Update impact mark vertex colors based on current impact marks
+ * @param {Array<THREE.Mesh>} peachMeshes - The peach meshes
  * @param {Array} impactMarks - Array of impact marks from peachState
  */
-export function updateImpactMarkShaders(impactMarks) {
+export function updateImpactMarkShaders(peachMeshes, impactMarks) {
     if (!peachMeshes || peachMeshes.length === 0) return;
     
     // Update vertex colors for each mesh
@@ -0,0 +1,187 @@
+import { createPeachyKeen } from './peachykeen.js';
+import { PEACH_EVENT_TYPES } from './events.js';
+import styles from './style.css?inline';
+
+/**
+ * <peachy-keen> Custom Element
+ * Drop-in Web Component for pages that don't use our bundler. The scene and its
+ * UI (rage meter, oil button, hand cursor, loading overlay) live in a shadow root,
+ * so page styles can't leak in.
+ *
+ *   <peachy-keen model-src="/peach.glb" quality="medium" rage-threshold="60" muted></peachy-keen>
+ *
+ * Attributes:
+ *   model-src       GLTF/GLB url (changing it remounts the scene)
+ *   oiled           Present = oiled up (kept in sync with the oil button)
+ *   muted           Present = no smack/explosion sounds
+ *   background      'animated' or 'gradient'
+ *   quality         'low', 'medium' or 'high'
+ *   rage-threshold  Rage level that blows the peach up
+ *   seed            Random seed (number or any text) for reproducible runs
+ *   peaches         Number of peaches in the scene (changing it remounts the scene)
+ *   layout          'row', 'grid' or 'circle' (changing it remounts the scene)
+ *
+ * Every peach event is re-dispatched as a bubbling, composed CustomEvent with the
+ * lowercased name and the payload as `detail`: smack, explode, ragechanged,
+ * respawned, oiltoggled, settled, gamestarted, gameended.
+ */
+
+const ELEMENT_STYLES = `
+    :host {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 400px;
+        font-family: Arial, sans-serif;
+        -webkit-user-select: none;
+        user-select: none;
+    }
+    
+    :host([hidden]) {
+        display: none;
+    }
+    
+    .peachy-keen {
+        width: 100%;
+        height: 100%;
+    }
+`;
+
+export class PeachyKeenElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['model-src', 'oiled', 'muted', 'background', 'quality', 'rage-threshold', 'seed', 'peaches', 'layout'];
+    }
+    
+    constructor() {
+        super();
+        
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${styles}${ELEMENT_STYLES}</style>`;
+        
+        this.mount = document.createElement('div');
+        this.mount.className = 'peachy-keen';
+        this.shadowRoot.appendChild(this.mount);
+        
+        this.instance = null;
+        this.unsubscribers = [];
+    }
+    
+    connectedCallback() {
+        this.createInstance();
+    }
+    
+    disconnectedCallback() {
+        this.disposeInstance();
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.instance || oldValue === newValue) return;
+        
+        switch (name) {
+            case 'model-src':
+            case 'peaches':
+            case 'layout':
+                // A different model or set of peaches means a fresh scene
+                this.disposeInstance();
+                this.createInstance();
+                break;
+            
+            case 'oiled':
+                this.instance.setOiled(newValue !== null);
+                break;
+            
+            case 'muted':
+                this.instance.setMuted(newValue !== null);
+                break;
+            
+            case 'background':
+                if (newValue) this.instance.setBackground(newValue);
+                break;
+            
+            case 'quality':
+                if (newValue) this.instance.setQuality(newValue);
+                break;
+            
+            case 'rage-threshold':
+                if (newValue !== null) this.instance.setRageThreshold(parseFloat(newValue));
+                break;
+            
+            case 'seed':
+                if (newValue !== null) this.instance.setSeed(newValue);
+                break;
+        }
+    }
+    
+    /**
+     * Mount the scene with the current attributes
+     */
+    createInstance() {
+        if (this.instance) return;
+        
+        const rageThreshold = this.getAttribute('rage-threshold');
+        const peaches = this.getAttribute('peaches');
+        this.instance = createPeachyKeen(this.mount, {
+            modelSrc: this.getAttribute('model-src') || undefined,
+            oiled: this.hasAttribute('oiled'),
+            muted: this.hasAttribute('muted'),
+            background: this.getAttribute('background') || undefined,
+            quality: this.getAttribute('quality') || undefined,
+            rageThreshold: rageThreshold !== null ? parseFloat(rageThreshold) : undefined,
+            seed: this.getAttribute('seed') || undefined,
+            peaches: peaches !== null ? parseInt(peaches) : undefined,
+            layout: this.getAttribute('layout') || undefined
+        });
+        
+        // Re-dispatch peach events as DOM events on the host
+        this.unsubscribers = PEACH_EVENT_TYPES.map(type => this.instance.on(type, (detail) => {
+            this.dispatchEvent(new CustomEvent(type.toLowerCase(), { detail, bubbles: true, composed: true }));
+        }));
+        
+        // Clicking the oil button updates the attribute too
+        this.unsubscribers.push(this.instance.on('oilToggled', ({ isOiled }) => {
+            this.toggleAttribute('oiled', isOiled);
+        }));
+    }
+    
+    disposeInstance() {
+        if (!this.instance) return;
+        
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.instance.dispose();
+        this.instance = null;
+    }
+    
+    // Scripting API, mirroring the PeachyKeen instance
+    smackAt(point, direction, strength, peach) {
+        return this.instance ? this.instance.smackAt(point, direction, strength, peach) : false;
+    }
+    
+    startGameMode(mode) {
+        return this.instance ? this.instance.startGameMode(mode) : false;
+    }
+    
+    exitGameMode() {
+        if (this.instance) this.instance.exitGameMode();
+    }
+    
+    exportStats() {
+        return this.instance ? this.instance.exportStats() : null;
+    }
+    
+    importStats(json) {
+        return this.instance ? this.instance.importStats(json) : false;
+    }
+    
+    start() {
+        if (this.instance) this.instance.start();
+    }
+    
+    pause() {
+        if (this.instance) this.instance.pause();
+    }
+}
+
+if (!customElements.get('peachy-keen')) {
+    customElements.define('peachy-keen', PeachyKeenElement);
+}
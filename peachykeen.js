@@ -0,0 +1,722 @@
+import { Group, PlaneGeometry, Mesh, Clock } from 'three';
+import { createBackgroundMaterial, createGradientBackgroundMaterial } from './shaders.js';
+import { loadPeachModel } from './peach.js';
+import { setupLighting } from './lighting.js';
+import { PeachInteraction } from './interaction.js';
+import { initScene, resizeScene, disposeObject, disposeMaterial } from './scene.js';
+import { resumeAudioContext } from './audio.js';
+import { PerformanceMonitor } from './performance.js';
+import { SessionStats } from './stats.js';
+import { GameModeManager } from './gamemodes.js';
+import { InputRecorder, InputReplayer } from './recorder.js';
+import { PeachCollisions } from './collisions.js';
+import { JuiceSplatter } from './splatter.js';
+import { getSpawnLayout } from './layouts.js';
+import { parseSeed } from './random.js';
+import { QUALITY_CONFIG, RANDOM_CONFIG, MULTI_PEACH_CONFIG } from './config.js';
+
+/**
+ * Peachy Keen Component
+ * Mounts the whole peach scene (canvas, UI overlay, physics and input) into a
+ * container element. Everything is scoped to that container: several instances
+ * can live on one page, and dispose() removes the canvas and UI, stops every
+ * listener and frees all GPU resources so an SPA can remount it freely.
+ *
+ * Usage:
+ *   const peach = createPeachyKeen(document.getElementById('app'));
+ *   peach.on('explode', () => ...);
+ *   peach.dispose();
+ */
+
+// UI overlay added to the container
+const UI_TEMPLATE = `
+    <div class="instructions">
+        🍑 Swipe over the peach to smack it! 🍑
+    </div>
+    
+    <div class="rage-meter-container">
+        <div class="rage-meter-fill"></div>
+        <div class="rage-meter-band"></div>
+        <div class="rage-meter-label">🍑 PEACH-O-METER 🍑</div>
+    </div>
+    
+    <!-- Session stats and lifetime records (filled in by stats.js) -->
+    <div class="stats-overlay"></div>
+    
+    <div class="hand-cursor">🤚</div>
+    
+    <!-- Aim reticle for keyboard / gamepad smacking -->
+    <div class="aim-reticle" aria-hidden="true"></div>
+    
+    <button class="oil-button">💧 Oil Up</button>
+    <button class="mode-button">🎮 Challenges</button>
+    
+    <!-- Game modes: menu / start / countdown / end screens and the in-round HUD -->
+    <div class="game-hud"></div>
+    <div class="game-screen"></div>
+    
+    <!-- Sound Enable Overlay -->
+    <div class="sound-overlay">
+        <!-- Loading items (shown during asset loading) -->
+        <div class="loading-items">
+            <div class="peach-emoji">🍑</div>
+            <div class="title">Peachy Keen</div>
+            <div class="status">
+                <span class="loading-status">Loading...</span>
+            </div>
+            <div class="progress-bar">
+                <div class="loading-progress"></div>
+            </div>
+        </div>
+        
+        <!-- Click to start (shown after loading) -->
+        <div class="sound-overlay-content" style="display: none;">
+            <p>Click anywhere to start</p>
+        </div>
+    </div>
+`;
+
+export class PeachyKeen {
+    /**
+     * @param {HTMLElement} container - Element to mount into (the scene fills it)
+     * @param {Object} options - Mount options:
+     *   modelSrc: GLTF/GLB url (defaults to the bundled peach)
+     *   autoStart: start the loop right away (default true)
+     *   quality: 'low', 'medium' or 'high' (see QUALITY_CONFIG)
+     *   background: 'animated' or 'gradient' (overrides the quality preset)
+     *   oiled, muted: initial oil / sound state
+     *   rageThreshold: rage level that blows the peach up
+     *   seed: random seed, number or text (defaults to ?seed= or RANDOM_CONFIG.SEED)
+     *   peaches: number of peaches in the scene (see MULTI_PEACH_CONFIG)
+     *   layout: 'row', 'grid', 'circle' or an array of [x, y, z] positions
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('PeachyKeen: Missing container element');
+        }
+        
+        this.container = container;
+        this.options = { autoStart: true, ...options };
+        this.disposed = false;
+        this.animationFrame = null;
+        this.clock = new Clock(false);
+        this.loadingComplete = false;
+        this.hasStarted = false;
+        this.timeouts = new Set(); // Pending UI transitions, cleared on dispose
+        
+        // Styles hang off this class; the container takes keyboard focus for key smacks
+        this.addedContainerClass = !container.classList.contains('peachy-keen');
+        container.classList.add('peachy-keen');
+        this.addedTabIndex = !container.hasAttribute('tabindex');
+        if (this.addedTabIndex) {
+            container.tabIndex = 0;
+        }
+        
+        this.uiElements = this.createUI();
+        
+        this.animate = this.animate.bind(this);
+        this.onOverlayClick = this.onOverlayClick.bind(this);
+        this.onWindowResize = () => this.resize(); // resize() would take the Event as its width
+        
+        if (this.soundOverlay) {
+            this.soundOverlay.addEventListener('click', this.onOverlayClick);
+        }
+        
+        this.initScene();
+        this.applyOptions(this.options);
+        
+        // Follow the container's size (not just the window's)
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(container);
+        } else {
+            this.resizeObserver = null;
+            window.addEventListener('resize', this.onWindowResize);
+        }
+        
+        if (this.options.autoStart) {
+            this.start();
+        }
+    }
+    
+    /**
+     * Add the UI overlay to the container
+     * @returns {Array<HTMLElement>} The added elements (removed again on dispose)
+     */
+    createUI() {
+        const template = document.createElement('template');
+        template.innerHTML = UI_TEMPLATE;
+        const elements = Array.from(template.content.children);
+        elements.forEach(element => this.container.appendChild(element));
+        
+        // Loading screen elements
+        this.soundOverlay = this.container.querySelector('.sound-overlay');
+        this.loadingProgress = this.container.querySelector('.loading-progress');
+        this.loadingStatus = this.container.querySelector('.loading-status');
+        this.loadingItems = this.container.querySelector('.loading-items');
+        this.soundOverlayContent = this.container.querySelector('.sound-overlay-content');
+        
+        return elements;
+    }
+    
+    /**
+     * Build the scene, background, lights and interaction, and start loading the peach
+     */
+    initScene() {
+        // Initialize scene, camera, and renderer
+        this.updateLoadingProgress(10, 'Initializing...');
+        const { scene, camera, renderer } = initScene(this.container);
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        
+        // Initialize performance monitor
+        const perfMonitor = new PerformanceMonitor(this.container);
+        perfMonitor.setRenderer(renderer);
+        perfMonitor.setScene(scene);
+        this.perfMonitor = perfMonitor;
+        
+        this.updateLoadingProgress(20, 'Creating background...');
+        
+        // Create both background materials
+        this.animatedBackgroundMaterial = createBackgroundMaterial();
+        this.gradientBackgroundMaterial = createGradientBackgroundMaterial();
+        const backgroundGeometry = new PlaneGeometry(2, 2);
+        
+        // Start with the animated background
+        const background = new Mesh(backgroundGeometry, this.animatedBackgroundMaterial);
+        scene.add(background);
+        
+        // Set reference for performance monitoring
+        perfMonitor.setBackgroundMesh(background);
+        perfMonitor.setBackgroundMaterials(this.animatedBackgroundMaterial, this.gradientBackgroundMaterial);
+        
+        // Setup lighting
+        this.updateLoadingProgress(40, 'Setting up lights...');
+        const { ringLights } = setupLighting(scene);
+        
+        // Set ring lights reference for performance monitoring
+        perfMonitor.setRingLights(ringLights);
+        
+        // One group and interaction per peach; the first one drives the UI
+        this.updateLoadingProgress(50, 'Setting up interactions...');
+        this.createPeaches();
+        this.interaction = this.interactions[0];
+        this.events = this.interaction.events;
+        this.stats = new SessionStats(this.events, this.container);
+        this.splatter = new JuiceSplatter(this.interactions, this.scene, this.camera);
+        this.gameModes = new GameModeManager(this.interaction, this.container);
+        this.recorder = new InputRecorder(this.interaction);
+        this.replayer = null;
+        this.resolveReplay = null;
+        
+        // Load the peach model (once per peach, each gets its own materials)
+        this.updateLoadingProgress(60, 'Loading peach model...');
+        let loadedCount = 0;
+        this.peachGroups.forEach((peachGroup, index) => {
+            loadPeachModel(peachGroup, (meshes) => {
+                // Unmounted while the model was loading
+                if (this.disposed) {
+                    disposeObject(peachGroup);
+                    return;
+                }
+                
+                this.updateLoadingProgress(80, 'Preparing physics...');
+                this.interactions[index].setPeachMesh(meshes);
+                
+                loadedCount++;
+                if (loadedCount < this.peachGroups.length) return;
+                
+                this.updateLoadingProgress(100, 'Ready!');
+                
+                // Show start button once every model is loaded
+                this.schedule(() => {
+                    this.loadingComplete = true;
+                    this.showStartButton();
+                }, 300);
+            }, this.options.modelSrc);
+        });
+        
+        this.updateLoadingProgress(70, 'Finalizing...');
+        this.resize();
+    }
+    
+    /**
+     * Create the peaches in their spawn layout, and the collisions between them
+     */
+    createPeaches() {
+        const count = Math.max(1, Math.floor(this.options.peaches || MULTI_PEACH_CONFIG.COUNT));
+        const layout = this.options.layout || MULTI_PEACH_CONFIG.LAYOUT;
+        const positions = getSpawnLayout(layout, count, MULTI_PEACH_CONFIG.SPACING);
+        const scale = count > 1 ? MULTI_PEACH_CONFIG.PEACH_SCALE : 1;
+        
+        this.peachGroups = [];
+        this.interactions = positions.map((position, index) => {
+            const peachGroup = new Group();
+            this.scene.add(peachGroup);
+            this.peachGroups.push(peachGroup);
+            
+            const interaction = new PeachInteraction(peachGroup, this.camera, this.scene, this.container, this.perfMonitor, index === 0);
+            interaction.setDefaultPosition(position, scale);
+            return interaction;
+        });
+        
+        // The oil button oils the first peach; the rest follow it
+        this.unsubscribeOil = this.interactions[0].events.on('oilToggled', ({ isOiled }) => {
+            this.interactions.slice(1).forEach(interaction => interaction.setOiled(isOiled));
+        });
+        
+        this.collisions = new PeachCollisions(this.interactions);
+    }
+    
+    /**
+     * Apply the appearance/behavior options given at mount time
+     * @param {Object} options - See the constructor
+     */
+    applyOptions(options) {
+        if (options.quality) {
+            this.setQuality(options.quality);
+        }
+        if (options.background) {
+            this.setBackground(options.background);
+        }
+        if (options.oiled) {
+            this.setOiled(true);
+        }
+        if (options.muted) {
+            this.setMuted(true);
+        }
+        if (options.rageThreshold !== undefined) {
+            this.setRageThreshold(options.rageThreshold);
+        }
+        
+        // Also spreads the starting seed over the peaches (they'd all roll the same numbers otherwise)
+        this.setSeed(options.seed !== undefined ? options.seed : this.getSeed());
+        
+        const seed = this.getSeed();
+        console.log(`🎲 Random seed: ${seed} (add ?${RANDOM_CONFIG.URL_PARAM}=${seed} to the URL to reproduce)`);
+    }
+    
+    /**
+     * Switch between the quality presets in QUALITY_CONFIG
+     * @param {string} quality - 'low', 'medium' or 'high'
+     */
+    setQuality(quality) {
+        const preset = QUALITY_CONFIG[quality];
+        if (!preset) {
+            console.warn(`⚠️ Unknown quality "${quality}", expected one of: ${Object.keys(QUALITY_CONFIG).join(', ')}`);
+            return;
+        }
+        
+        this.perfMonitor.setFeatureEnabled('backgroundShader', preset.BACKGROUND_SHADER);
+        this.perfMonitor.setFeatureEnabled('ringLights', preset.RING_LIGHTS);
+        this.perfMonitor.setFeatureEnabled('particles', preset.PARTICLES);
+        this.perfMonitor.setFeatureEnabled('impactMarks', preset.IMPACT_MARKS);
+        
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.MAX_PIXEL_RATIO));
+        this.resize();
+    }
+    
+    /**
+     * @param {string} background - 'animated' (shader) or 'gradient' (static)
+     */
+    setBackground(background) {
+        if (background !== 'animated' && background !== 'gradient') {
+            console.warn(`⚠️ Unknown background "${background}", expected "animated" or "gradient"`);
+            return;
+        }
+        
+        this.perfMonitor.setFeatureEnabled('backgroundShader', background === 'animated');
+    }
+    
+    setOiled(isOiled) {
+        this.interaction.setOiled(isOiled);
+    }
+    
+    setMuted(muted) {
+        this.interactions.forEach(interaction => {
+            interaction.muted = muted;
+        });
+    }
+    
+    /**
+     * @param {number} threshold - Rage level that blows the peaches up (the meter is full there)
+     */
+    setRageThreshold(threshold) {
+        this.interactions.forEach(interaction => interaction.setExplosionThreshold(threshold));
+    }
+    
+    /**
+     * Restart the random sequences (smack spin, explosion scatter, sound variation)
+     * @param {number|string} seed - Number, or any text (hashed)
+     */
+    setSeed(seed) {
+        const parsedSeed = parseSeed(seed);
+        
+        // Every other peach gets the next seed along; the first one goes last so
+        // the performance panel shows its seed
+        this.interactions.slice(1).forEach((interaction, index) => interaction.setRandomSeed(parsedSeed + index + 1));
+        this.interaction.setRandomSeed(parsedSeed);
+        this.splatter.setRandomSeed(parsedSeed ^ 0x27D4EB2F);
+    }
+    
+    /**
+     * @returns {number} Current random seed (include it in bug reports)
+     */
+    getSeed() {
+        return this.interaction.getRandomSeed();
+    }
+    
+    updateLoadingProgress(percent, status = 'Loading...') {
+        if (this.loadingProgress) {
+            this.loadingProgress.style.width = `${percent}%`;
+        }
+        if (this.loadingStatus) {
+            this.loadingStatus.textContent = status;
+        }
+    }
+    
+    /**
+     * setTimeout that dispose() cancels if it hasn't fired yet
+     * @param {Function} callback - Called after the delay
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedule(callback, delay) {
+        const timeout = setTimeout(() => {
+            this.timeouts.delete(timeout);
+            callback();
+        }, delay);
+        this.timeouts.add(timeout);
+    }
+    
+    showStartButton() {
+        // Hide loading items
+        if (this.loadingItems) {
+            this.loadingItems.style.opacity = '0';
+            this.schedule(() => {
+                this.loadingItems.style.display = 'none';
+                // Show click to start message
+                if (this.soundOverlayContent) {
+                    this.soundOverlayContent.style.display = 'block';
+                }
+            }, 300);
+        }
+    }
+    
+    hideLoadingScreen() {
+        if (this.soundOverlay && this.loadingComplete && this.hasStarted) {
+            this.soundOverlay.style.opacity = '0';
+            this.schedule(() => {
+                this.soundOverlay.style.display = 'none';
+            }, 300);
+        }
+    }
+    
+    // Handle click anywhere on sound overlay to start
+    async onOverlayClick(event) {
+        if (!this.loadingComplete || this.hasStarted) return;
+        
+        // Stop event from propagating to prevent triggering peach smack
+        event.stopPropagation();
+        event.preventDefault();
+        
+        this.hasStarted = true;
+        
+        // Take keyboard focus so keys smack this peach
+        this.container.focus({ preventScroll: true });
+        
+        // Resume audio context (required by browsers)
+        await resumeAudioContext();
+        
+        // Hide loading screen
+        this.hideLoadingScreen();
+    }
+    
+    /**
+     * Start (or resume) the animation loop
+     */
+    start() {
+        if (this.disposed || this.animationFrame !== null) return;
+        
+        // Don't count the paused time as one huge frame
+        this.clock.start();
+        this.animationFrame = requestAnimationFrame(this.animate);
+    }
+    
+    /**
+     * Stop the animation loop; the last frame stays on the canvas
+     */
+    pause() {
+        if (this.animationFrame === null) return;
+        
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.clock.stop();
+    }
+    
+    /**
+     * @returns {boolean} Whether the animation loop is running
+     */
+    isRunning() {
+        return this.animationFrame !== null;
+    }
+    
+    /**
+     * Match the canvas to the container's size (or an explicit size)
+     * @param {number} width - Width in pixels (defaults to the container's)
+     * @param {number} height - Height in pixels (defaults to the container's)
+     */
+    resize(width = this.container.clientWidth, height = this.container.clientHeight) {
+        if (this.disposed) return;
+        
+        resizeScene(this.camera, this.renderer, [this.animatedBackgroundMaterial, this.gradientBackgroundMaterial], width, height);
+        
+        // Resizing clears the canvas, so redraw right away if the loop isn't running
+        if (!this.isRunning()) {
+            this.render();
+        }
+    }
+    
+    // Animation loop
+    animate() {
+        this.animationFrame = requestAnimationFrame(this.animate);
+        
+        // Use clock for accurate delta time (capped to avoid large jumps)
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        
+        // Update background shader (only if enabled)
+        if (this.perfMonitor.isFeatureEnabled('backgroundShader')) {
+            this.animatedBackgroundMaterial.uniforms.time.value += delta;
+        }
+        
+        // Update peach physics and animation (a replay steps the first peach with the recorded deltas)
+        const replaying = this.replayer && this.replayer.isRunning();
+        if (replaying) {
+            this.replayer.step();
+        } else {
+            this.interaction.update(delta);
+        }
+        for (let i = 1; i < this.interactions.length; i++) {
+            this.interactions[i].update(delta);
+        }
+        
+        // Leaves out a recorded or replayed peach, so both see the same (no) bumps
+        this.collisions.update();
+        this.splatter.update(delta);
+        this.stats.update(delta);
+        this.gameModes.update(delta);
+        
+        // Update performance monitor
+        this.perfMonitor.update();
+        
+        this.render();
+    }
+    
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+    
+    /**
+     * Smack a peach from code
+     * @param {Vector3|Object} point - Impact point in world space ({ x, y, z })
+     * @param {Vector3|Object} direction - Hit direction in world space ({ x, y, z })
+     * @param {number} strength - Hit strength (0-2, default 1)
+     * @param {number} peach - Which peach (index in the layout, default the first)
+     * @returns {boolean} True if the smack landed
+     */
+    smackAt(point, direction, strength, peach = 0) {
+        const interaction = this.interactions[peach];
+        if (!interaction) {
+            console.error(`smackAt: No peach ${peach} (there are ${this.interactions.length})`);
+            return false;
+        }
+        return interaction.smackAt(point, direction, strength);
+    }
+    
+    /**
+     * @returns {number} Number of peaches in the scene
+     */
+    getPeachCount() {
+        return this.interactions.length;
+    }
+    
+    /**
+     * Start recording input for a replay (the peach resets to a fresh start)
+     */
+    startRecording() {
+        this.stopReplay();
+        this.recorder.start();
+    }
+    
+    /**
+     * @returns {Object|null} The recording (see recorder.js), null if none was running
+     */
+    stopRecording() {
+        return this.recorder.stop();
+    }
+    
+    /**
+     * Play a recording back in the animation loop; live input is ignored meanwhile
+     * @param {Object|string} recording - Output of stopRecording() (or its JSON)
+     * @returns {Promise<Object|null>} Resolves with { frames, smacks, explosions, rageLevel }
+     *   when done, or null if the replay was stopped
+     */
+    replay(recording) {
+        this.stopRecording();
+        this.stopReplay();
+        
+        const replayer = new InputReplayer(this.interaction, recording, (summary) => this.endReplay(summary));
+        
+        // Recorded smacks aren't new play: keep them out of the stats and game rounds
+        this.stats.setPaused(true);
+        this.gameModes.setPaused(true);
+        
+        return new Promise((resolve) => {
+            this.resolveReplay = resolve;
+            this.replayer = replayer;
+            replayer.start();
+        });
+    }
+    
+    /**
+     * Abort a running replay
+     */
+    stopReplay() {
+        if (!this.replayer) return;
+        
+        this.replayer.stop();
+        this.endReplay(null);
+    }
+    
+    endReplay(summary) {
+        this.replayer = null;
+        this.stats.setPaused(false);
+        this.gameModes.setPaused(false);
+        this.resize(); // The replay used the recorded camera aspect
+        
+        const resolve = this.resolveReplay;
+        this.resolveReplay = null;
+        resolve(summary);
+    }
+    
+    /**
+     * Start a game mode round (skips its start screen, keeps the countdown)
+     * @param {string} mode - 'speedRun', 'rageBand' or 'combo'
+     * @returns {boolean} False if the mode doesn't exist
+     */
+    startGameMode(mode) {
+        return this.gameModes.startMode(mode);
+    }
+    
+    /**
+     * Leave the current game mode and go back to free play
+     */
+    exitGameMode() {
+        this.gameModes.exitToFreePlay();
+    }
+    
+    /**
+     * @returns {Object} { mode, phase, score, lastResult, bestScores } (see gamemodes.js)
+     */
+    getGameState() {
+        return this.gameModes.getState();
+    }
+    
+    /**
+     * @returns {Object} { session, lifetime } stats (see stats.js)
+     */
+    getStats() {
+        return this.stats.getStats();
+    }
+    
+    /**
+     * @returns {string} Session stats and lifetime records as JSON (for leaderboards)
+     */
+    exportStats() {
+        return this.stats.exportJSON();
+    }
+    
+    /**
+     * Replace the lifetime records with previously exported ones
+     * @param {string|Object} json - Output of exportStats()
+     * @returns {boolean} True if the data was valid and imported
+     */
+    importStats(json) {
+        return this.stats.importJSON(json);
+    }
+    
+    // Event subscriptions (see events.js for the event types and payloads)
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+    
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+    
+    /**
+     * Unmount: stop the loop and listeners, free every GPU resource and remove
+     * the canvas and UI from the container. The instance can't be used afterwards.
+     */
+    dispose() {
+        if (this.disposed) return;
+        
+        this.pause();
+        this.disposed = true;
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.onWindowResize);
+        }
+        if (this.soundOverlay) {
+            this.soundOverlay.removeEventListener('click', this.onOverlayClick);
+        }
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts.clear();
+        
+        // Soft bodies (workers, GPU deformers) and the particle system first, then whatever is left in the scene
+        this.recorder.stop();
+        this.stopReplay();
+        this.gameModes.dispose();
+        this.stats.dispose();
+        this.unsubscribeOil();
+        this.collisions.dispose();
+        this.splatter.dispose();
+        this.interactions.forEach(interaction => interaction.dispose());
+        this.perfMonitor.dispose();
+        disposeObject(this.scene);
+        
+        // Only one background material is in the scene at a time
+        disposeMaterial(this.animatedBackgroundMaterial);
+        disposeMaterial(this.gradientBackgroundMaterial);
+        
+        this.renderer.dispose();
+        this.renderer.forceContextLoss(); // Browsers cap the number of live WebGL contexts
+        this.renderer.domElement.remove();
+        
+        this.uiElements.forEach(element => element.remove());
+        this.uiElements = [];
+        
+        if (this.addedContainerClass) {
+            this.container.classList.remove('peachy-keen');
+        }
+        if (this.addedTabIndex) {
+            this.container.removeAttribute('tabindex');
+        }
+    }
+}
+
+/**
+ * Mount a Peachy Keen scene into a container element
+ * @param {HTMLElement} container - Element to mount into (the scene fills it)
+ * @param {Object} options - { modelSrc, autoStart }
+ * @returns {PeachyKeen} Instance with start / pause / resize / dispose
+ */
+export function createPeachyKeen(container, options = {}) {
+    return new PeachyKeen(container, options);
+}
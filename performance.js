@@ -1,12 +1,26 @@
-import { LIGHTING_CONFIG } from './config.js';
+import { LIGHTING_CONFIG, PHYSICS_CONFIG } from './config.js';
 
 /**
  * Performance Monitoring and Control System
  * Tracks FPS and allows toggling of performance-heavy features
  */
 
+// Panel checkbox for each feature toggle
+const FEATURE_CHECKBOXES = {
+    backgroundShader: 'toggle-background',
+    ringLights: 'toggle-lights',
+    softBodyPhysics: 'toggle-physics',
+    volumePreservation: 'toggle-volume',
+    particles: 'toggle-particles',
+    impactMarks: 'toggle-impact-marks'
+};
+
 export class PerformanceMonitor {
-    constructor() {
+    /**
+     * @param {HTMLElement} container - Element to add the gear button and panel to
+     */
+    constructor(container = document.body) {
+        this.container = container;
         this.fps = 0;
         this.frameCount = 0;
         this.lastTime = performance.now();
@@ -18,9 +32,11 @@ export class PerformanceMonitor {
             backgroundShader: true,
             ringLights: true,
             softBodyPhysics: true,
+            volumePreservation: PHYSICS_CONFIG.VOLUME_PRESERVATION,
             particles: true,
             impactMarks: true
         };
+        this.featureListeners = new Set(); // Called with (feature, enabled) on every toggle
         
         // Performance metrics
         this.metrics = {
@@ -64,82 +80,91 @@ export class PerformanceMonitor {
     createUI() {
         // Create gear icon button (visible when panel is collapsed)
         const gearButton = document.createElement('button');
-        gearButton.id = 'perf-gear-button';
         gearButton.innerHTML = '⚙️';
-        gearButton.className = 'perf-gear-btn interactive-element';
-        document.body.appendChild(gearButton);
+        gearButton.className = 'perf-gear-button interactive-element';
+        this.container.appendChild(gearButton);
+        this.gearButton = gearButton;
         
         const panel = document.createElement('div');
-        panel.id = 'performance-panel';
+        panel.className = 'performance-panel';
         panel.style.display = 'none'; // Start hidden
         panel.innerHTML = `
             <div class="perf-header">
                 <h3>Performance Monitor</h3>
-                <button id="perf-toggle" class="perf-collapse interactive-element">×</button>
+                <button class="perf-toggle perf-collapse interactive-element">×</button>
             </div>
             <div class="perf-content">
                 <div class="perf-stats">
                     <div class="stat-row">
                         <span class="stat-label">FPS:</span>
-                        <span id="fps-display" class="stat-value">60</span>
+                        <span class="fps-display stat-value">60</span>
                     </div>
                     <div class="stat-row">
                         <span class="stat-label">Frame Time:</span>
-                        <span id="frametime-display" class="stat-value">16.7ms</span>
+                        <span class="frametime-display stat-value">16.7ms</span>
                     </div>
                     <div class="stat-row">
                         <span class="stat-label">Min FPS:</span>
-                        <span id="minfps-display" class="stat-value">60</span>
+                        <span class="minfps-display stat-value">60</span>
                     </div>
                     <div class="stat-row">
                         <span class="stat-label">Max FPS:</span>
-                        <span id="maxfps-display" class="stat-value">60</span>
+                        <span class="maxfps-display stat-value">60</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Seed:</span>
+                        <span class="seed-display stat-value">-</span>
                     </div>
                 </div>
                 
                 <div class="perf-controls">
                     <h4>Feature Toggles</h4>
                     <label class="toggle-label interactive-element">
-                        <input type="checkbox" id="toggle-background" checked>
+                        <input type="checkbox" class="toggle-background" checked>
                         <span>Background Shader</span>
                     </label>
                     <label class="toggle-label interactive-element">
-                        <input type="checkbox" id="toggle-lights" checked>
+                        <input type="checkbox" class="toggle-lights" checked>
                         <span>Ring Lights</span>
                     </label>
                     <div class="slider-control">
                         <label class="slider-label interactive-element">
-                            <span>Light Count: <span id="light-count-value">6</span> <span id="light-mode-indicator">(Normal Mode)</span></span>
-                            <input type="range" id="light-count-slider" min="0" max="6" value="6" step="1" class="interactive-element">
+                            <span>Light Count: <span class="light-count-value">6</span> <span class="light-mode-indicator">(Normal Mode)</span></span>
+                            <input type="range" min="0" max="6" value="6" step="1" class="light-count-slider interactive-element">
                         </label>
                     </div>
                     <div class="slider-control">
                         <label class="slider-label interactive-element">
-                            <span>Light Intensity: <span id="light-intensity-value">8.0</span></span>
-                            <input type="range" id="light-intensity-slider" min="0" max="15" value="8.0" step="0.1" class="interactive-element">
+                            <span>Light Intensity: <span class="light-intensity-value">8.0</span></span>
+                            <input type="range" min="0" max="15" value="8.0" step="0.1" class="light-intensity-slider interactive-element">
                         </label>
                     </div>
                     <label class="toggle-label interactive-element">
-                        <input type="checkbox" id="toggle-physics" checked>
+                        <input type="checkbox" class="toggle-physics" checked>
                         <span>Soft Body Physics</span>
                     </label>
                     <label class="toggle-label interactive-element">
-                        <input type="checkbox" id="toggle-particles" checked>
+                        <input type="checkbox" class="toggle-volume" ${PHYSICS_CONFIG.VOLUME_PRESERVATION ? 'checked' : ''}>
+                        <span>Volume Preservation</span>
+                    </label>
+                    <label class="toggle-label interactive-element">
+                        <input type="checkbox" class="toggle-particles" checked>
                         <span>Particles</span>
                     </label>
                     <label class="toggle-label interactive-element">
-                        <input type="checkbox" id="toggle-impact-marks" checked>
+                        <input type="checkbox" class="toggle-impact-marks" checked>
                         <span>Impact Marks</span>
                     </label>
                 </div>
                 
                 <div class="perf-actions">
-                    <button id="reset-metrics" class="perf-button interactive-element">Reset Metrics</button>
+                    <button class="reset-metrics perf-button interactive-element">Reset Metrics</button>
                 </div>
             </div>
         `;
         
-        document.body.appendChild(panel);
+        this.container.appendChild(panel);
+        this.panel = panel;
         
         // Setup event listeners
         this.setupEventListeners();
@@ -149,10 +174,10 @@ export class PerformanceMonitor {
      * Setup event listeners for UI controls
      */
     setupEventListeners() {
-        const panel = document.getElementById('performance-panel');
-        const gearButton = document.getElementById('perf-gear-button');
-        const toggleBtn = document.getElementById('perf-toggle');
-        const content = document.querySelector('.perf-content');
+        const panel = this.panel;
+        const gearButton = this.gearButton;
+        const toggleBtn = panel.querySelector('.perf-toggle');
+        const content = panel.querySelector('.perf-content');
         
         // Gear button toggles the panel
         gearButton.addEventListener('click', () => {
@@ -168,47 +193,89 @@ export class PerformanceMonitor {
         });
         
         // Feature toggles
-        document.getElementById('toggle-background').addEventListener('change', (e) => {
+        this.panel.querySelector('.toggle-background').addEventListener('change', (e) => {
             this.toggleFeature('backgroundShader', e.target.checked);
         });
         
-        document.getElementById('toggle-lights').addEventListener('change', (e) => {
+        this.panel.querySelector('.toggle-lights').addEventListener('change', (e) => {
             this.toggleFeature('ringLights', e.target.checked);
         });
         
-        document.getElementById('toggle-physics').addEventListener('change', (e) => {
+        this.panel.querySelector('.toggle-physics').addEventListener('change', (e) => {
             this.toggleFeature('softBodyPhysics', e.target.checked);
         });
         
-        document.getElementById('toggle-particles').addEventListener('change', (e) => {
+        this.panel.querySelector('.toggle-volume').addEventListener('change', (e) => {
+            this.toggleFeature('volumePreservation', e.target.checked);
+        });
+        
+        this.panel.querySelector('.toggle-particles').addEventListener('change', (e) => {
             this.toggleFeature('particles', e.target.checked);
         });
         
-        document.getElementById('toggle-impact-marks').addEventListener('change', (e) => {
+        this.panel.querySelector('.toggle-impact-marks').addEventListener('change', (e) => {
             this.toggleFeature('impactMarks', e.target.checked);
         });
         
         // Reset metrics button
-        document.getElementById('reset-metrics').addEventListener('click', () => {
+        this.panel.querySelector('.reset-metrics').addEventListener('click', () => {
             this.resetMetrics();
         });
         
         // Light count slider
-        document.getElementById('light-count-slider').addEventListener('input', (e) => {
+        this.panel.querySelector('.light-count-slider').addEventListener('input', (e) => {
             this.adjustLightCount(parseInt(e.target.value));
         });
         
         // Light intensity slider
-        document.getElementById('light-intensity-slider').addEventListener('input', (e) => {
+        this.panel.querySelector('.light-intensity-slider').addEventListener('input', (e) => {
             this.adjustLightIntensity(parseFloat(e.target.value));
         });
     }
     
+    /**
+     * Turn a feature on/off from code, keeping its checkbox in sync
+     * @param {string} feature - Key of this.features
+     * @param {boolean} enabled - Whether the feature should be on
+     */
+    setFeatureEnabled(feature, enabled) {
+        const checkbox = this.panel.querySelector(`.${FEATURE_CHECKBOXES[feature]}`);
+        if (checkbox) {
+            checkbox.checked = enabled;
+        }
+        
+        if (this.features[feature] !== enabled) {
+            this.toggleFeature(feature, enabled);
+        }
+    }
+    
+    /**
+     * Show the random seed (so it can go into bug reports)
+     * @param {number} seed - Current random seed
+     */
+    setSeed(seed) {
+        const seedDisplay = this.panel.querySelector('.seed-display');
+        if (seedDisplay) {
+            seedDisplay.textContent = seed;
+        }
+    }
+    
+    /**
+     * Listen for feature toggles (checkboxes, quality presets, code)
+     * @param {Function} listener - Called with (feature, enabled)
+     * @returns {Function} Unsubscribe function
+     */
+    onFeatureToggled(listener) {
+        this.featureListeners.add(listener);
+        return () => this.featureListeners.delete(listener);
+    }
+    
     /**
      * Toggle a performance feature on/off
      */
     toggleFeature(feature, enabled) {
         this.features[feature] = enabled;
+        this.featureListeners.forEach(listener => listener(feature, enabled));
         
         switch(feature) {
             case 'backgroundShader':
@@ -229,8 +296,8 @@ export class PerformanceMonitor {
                 });
                 
                 // Enable/disable the sliders based on ring lights state
-                const countSlider = document.getElementById('light-count-slider');
-                const intensitySlider = document.getElementById('light-intensity-slider');
+                const countSlider = this.panel.querySelector('.light-count-slider');
+                const intensitySlider = this.panel.querySelector('.light-intensity-slider');
                 if (countSlider) {
                     countSlider.disabled = !enabled;
                 }
@@ -246,6 +313,11 @@ export class PerformanceMonitor {
                 console.log(`Soft Body Physics: ${enabled ? 'ON' : 'OFF'}`);
                 break;
                 
+            case 'volumePreservation':
+                // This will be checked in the physics update loop
+                console.log(`Volume Preservation: ${enabled ? 'ON' : 'OFF'}`);
+                break;
+                
             case 'particles':
                 // This will be checked in the particle update loop
                 console.log(`Particles: ${enabled ? 'ON' : 'OFF'}`);
@@ -297,16 +369,16 @@ export class PerformanceMonitor {
      * Update the UI display with current metrics
      */
     updateUI() {
-        const fpsDisplay = document.getElementById('fps-display');
-        const frameTimeDisplay = document.getElementById('frametime-display');
-        const minFpsDisplay = document.getElementById('minfps-display');
-        const maxFpsDisplay = document.getElementById('maxfps-display');
+        const fpsDisplay = this.panel.querySelector('.fps-display');
+        const frameTimeDisplay = this.panel.querySelector('.frametime-display');
+        const minFpsDisplay = this.panel.querySelector('.minfps-display');
+        const maxFpsDisplay = this.panel.querySelector('.maxfps-display');
         
         if (fpsDisplay) {
             // Color code FPS: green > 50, yellow > 30, red <= 30
             const fps = Math.round(this.fps);
             fpsDisplay.textContent = fps;
-            fpsDisplay.className = 'stat-value';
+            fpsDisplay.className = 'fps-display stat-value';
             if (fps > 50) {
                 fpsDisplay.classList.add('good');
             } else if (fps > 30) {
@@ -406,7 +478,7 @@ export class PerformanceMonitor {
         }
         
         // Update display
-        const countDisplay = document.getElementById('light-count-value');
+        const countDisplay = this.panel.querySelector('.light-count-value');
         if (countDisplay) {
             countDisplay.textContent = newCount;
         }
@@ -420,6 +492,8 @@ export class PerformanceMonitor {
         
         // Import PointLight dynamically and return the promise
         return import('three').then(({ PointLight }) => {
+            if (!this.scene) return; // Disposed while loading
+            
             if (newCount > currentCount) {
                 // Add more lights with current mode's intensity
                 for (let i = currentCount; i < newCount; i++) {
@@ -508,11 +582,11 @@ export class PerformanceMonitor {
         
         this.isOiledMode = isOiled;
         
-        const countSlider = document.getElementById('light-count-slider');
-        const intensitySlider = document.getElementById('light-intensity-slider');
-        const indicator = document.getElementById('light-mode-indicator');
-        const countDisplay = document.getElementById('light-count-value');
-        const intensityDisplay = document.getElementById('light-intensity-value');
+        const countSlider = this.panel.querySelector('.light-count-slider');
+        const intensitySlider = this.panel.querySelector('.light-intensity-slider');
+        const indicator = this.panel.querySelector('.light-mode-indicator');
+        const countDisplay = this.panel.querySelector('.light-count-value');
+        const intensityDisplay = this.panel.querySelector('.light-intensity-value');
         
         if (!countSlider) return;
         
@@ -554,7 +628,7 @@ export class PerformanceMonitor {
      */
     adjustLightIntensity(newIntensity) {
         // Update display
-        const intensityDisplay = document.getElementById('light-intensity-value');
+        const intensityDisplay = this.panel.querySelector('.light-intensity-value');
         if (intensityDisplay) {
             intensityDisplay.textContent = newIntensity.toFixed(1);
         }
@@ -575,4 +649,17 @@ export class PerformanceMonitor {
         
         console.log(`💡 Light intensity: ${newIntensity.toFixed(1)} (${this.isOiledMode ? 'Oiled' : 'Normal'} Mode)`);
     }
+    
+    /**
+     * Remove the gear button and panel (their listeners go with them)
+     */
+    dispose() {
+        this.featureListeners.clear();
+        this.gearButton.remove();
+        this.panel.remove();
+        this.ringLights = [];
+        this.ringPointLights = [];
+        this.scene = null;
+        this.renderer = null;
+    }
 }
@@ -0,0 +1,97 @@
+import { RANDOM_CONFIG } from './config.js';
+
+/**
+ * Seeded Random Numbers
+ * Small deterministic PRNG (mulberry32) for everything that should be
+ * reproducible: smack spin, explosion scatter and sound variation. Recordings
+ * store the seed, so a replay rolls exactly the same numbers.
+ *
+ * Math.random() only picks fresh seeds: each peach owns SeededRandom streams and
+ * hands them to the code it drives, and module defaults fall back to defaultRandom.
+ * The starting seed comes from ?seed= in the URL, then RANDOM_CONFIG.SEED.
+ */
+
+/**
+ * @returns {number} A fresh 32-bit seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Turn a seed from a URL, config or option into a 32-bit integer: whole numbers
+ * are used as they are, any other text is hashed (so ?seed=banana works too)
+ * @param {number|string} value - Seed
+ * @returns {number} 32-bit seed
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value >>> 0;
+    }
+    
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    
+    // FNV-1a hash
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed for a new peach: the URL parameter, then RANDOM_CONFIG.SEED, otherwise random
+ * @returns {number} 32-bit seed
+ */
+export function getInitialSeed() {
+    if (typeof window !== 'undefined' && window.location) {
+        const param = new URLSearchParams(window.location.search).get(RANDOM_CONFIG.URL_PARAM);
+        if (param) {
+            return parseSeed(param);
+        }
+    }
+    
+    if (RANDOM_CONFIG.SEED !== null) {
+        return parseSeed(RANDOM_CONFIG.SEED);
+    }
+    return createSeed();
+}
+
+export class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit seed (random if omitted)
+     */
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+        
+        // Usable as a plain () => number callback
+        this.next = this.next.bind(this);
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * @returns {number} Next number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
+
+// Shared stream for callers that weren't handed one (module defaults)
+export const defaultRandom = new SeededRandom(getInitialSeed());
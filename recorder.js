@@ -0,0 +1,401 @@
+import { Vector2 } from 'three';
+import { createSeed } from './random.js';
+
+/**
+ * Input Recording & Deterministic Replay
+ * Captures everything that drives a PeachInteraction - pointer samples, keyboard /
+ * gamepad and scripted smacks, UI actions and the frame deltas - as a compact log,
+ * and feeds it back through the same interaction pipeline so the replay lands the
+ * same smacks, impulses, rage and explosions. Used to reproduce reported physics
+ * bugs and as regression fixtures for PeachInteraction.update().
+ *
+ * Recording starts from a reset peach with a fresh random seed, and switches the
+ * soft bodies to the main thread (worker results arrive whenever they like, which
+ * would change what a raycast hits).
+ *
+ * Recording format (plain JSON):
+ *   {
+ *     version, seed,
+ *     startTime,                        // Date.now() when recording started
+ *     viewport: [width, height, cameraAspect],
+ *     state: { isOiled, explosionThreshold, smackingLocked, features },
+ *     frames: [delta, ...],             // update() deltas in seconds
+ *     events: [[frame, time, type, ...data], ...]
+ *   }
+ * `frame` is the number of frames logged before the event, `time` is ms after startTime.
+ *
+ * Event types:
+ *   'd' pointer down     pointerId, pointerType, button, x, y   (root pixels)
+ *   'm' pointer move     pointerId, pointerType, x, y
+ *   'u' pointer up       pointerId, pointerType
+ *   'r' release grabs    (window lost focus)
+ *   'i' key / pad smack  ndcX, ndcY, screenDirectionX, screenDirectionY, strength, source
+ *   'a' smackAt          pointX, pointY, pointZ, directionX, directionY, directionZ, strength
+ *   'o' oil              isOiled
+ *   'f' feature toggle   feature, enabled
+ *   'l' smacking lock    locked (game mode menus and countdowns)
+ *   'v' viewport         width, height, cameraAspect
+ */
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Feature switches of the interaction's performance monitor, or its local ones
+ * @param {PeachInteraction} interaction - The peach
+ * @returns {Object} Feature name -> enabled
+ */
+function getFeatures(interaction) {
+    return interaction.performanceMonitor ? { ...interaction.performanceMonitor.features } : { ...interaction.features };
+}
+
+export class InputRecorder {
+    /**
+     * @param {PeachInteraction} interaction - The peach to record
+     */
+    constructor(interaction) {
+        if (!interaction) {
+            throw new Error('InputRecorder: Missing interaction');
+        }
+        
+        this.interaction = interaction;
+        this.recording = null;
+        this.unsubscribeFeatures = null;
+    }
+    
+    /**
+     * Reset the peach and start logging its input
+     */
+    start() {
+        const interaction = this.interaction;
+        if (this.recording) this.stop();
+        
+        interaction.resetSimulation(false);
+        
+        const seed = createSeed();
+        interaction.setRandomSeed(seed);
+        
+        this.startTime = interaction.now();
+        this.viewport = this.getViewport();
+        this.smackingLocked = interaction.smackingLocked;
+        this.recording = {
+            version: RECORDING_VERSION,
+            seed,
+            startTime: this.startTime,
+            viewport: this.viewport,
+            state: {
+                isOiled: interaction.isOiled,
+                explosionThreshold: interaction.peachState.explosionThreshold,
+                smackingLocked: interaction.smackingLocked,
+                features: getFeatures(interaction)
+            },
+            frames: [],
+            events: []
+        };
+        
+        interaction.recorder = this;
+        if (interaction.performanceMonitor) {
+            this.unsubscribeFeatures = interaction.performanceMonitor.onFeatureToggled(
+                (feature, enabled) => this.record('f', feature, enabled)
+            );
+        }
+    }
+    
+    /**
+     * Stop logging
+     * @returns {Object|null} The recording (null if none was running)
+     */
+    stop() {
+        const recording = this.recording;
+        if (!recording) return null;
+        
+        if (this.interaction.recorder === this) {
+            this.interaction.recorder = null;
+        }
+        if (this.unsubscribeFeatures) {
+            this.unsubscribeFeatures();
+            this.unsubscribeFeatures = null;
+        }
+        
+        // Recording kept the soft bodies on the main thread
+        this.interaction.restoreSoftBodyMode();
+        this.recording = null;
+        return recording;
+    }
+    
+    isRecording() {
+        return this.recording !== null;
+    }
+    
+    getViewport() {
+        const { viewport, camera } = this.interaction;
+        return [viewport.width, viewport.height, camera.aspect];
+    }
+    
+    /**
+     * Log state the interaction doesn't report itself (viewport size, smacking lock)
+     */
+    recordStateChanges() {
+        const recording = this.recording;
+        const time = this.interaction.now() - this.startTime;
+        const frame = recording.frames.length;
+        
+        const viewport = this.getViewport();
+        if (viewport.some((value, index) => value !== this.viewport[index])) {
+            this.viewport = viewport;
+            recording.events.push([frame, time, 'v', ...viewport]);
+        }
+        
+        const smackingLocked = this.interaction.smackingLocked;
+        if (smackingLocked !== this.smackingLocked) {
+            this.smackingLocked = smackingLocked;
+            recording.events.push([frame, time, 'l', smackingLocked]);
+        }
+    }
+    
+    /**
+     * Log an event (see the event types above)
+     * @param {string} type - Event type
+     * @param {...*} data - Event data
+     */
+    record(type, ...data) {
+        if (!this.recording) return;
+        
+        this.recordStateChanges();
+        this.recording.events.push([this.recording.frames.length, this.interaction.now() - this.startTime, type, ...data]);
+    }
+    
+    recordFrame(delta) {
+        if (!this.recording) return;
+        
+        this.recordStateChanges();
+        this.recording.frames.push(delta);
+    }
+    
+    recordPointerDown(pointerId, pointerType, button, x, y) {
+        this.record('d', pointerId, pointerType, button, x, y);
+    }
+    
+    recordPointerMove(pointerId, pointerType, x, y) {
+        this.record('m', pointerId, pointerType, x, y);
+    }
+    
+    recordPointerUp(pointerId, pointerType) {
+        this.record('u', pointerId, pointerType);
+    }
+    
+    recordReleaseAll() {
+        this.record('r');
+    }
+    
+    recordInputSmack({ ndc, screenDirection, strength, source }) {
+        this.record('i', ndc.x, ndc.y, screenDirection.x, screenDirection.y, strength, source);
+    }
+    
+    recordApiSmack(point, direction, strength) {
+        this.record('a', point.x, point.y, point.z, direction.x, direction.y, direction.z, strength);
+    }
+    
+    recordOil(isOiled) {
+        this.record('o', isOiled);
+    }
+}
+
+export class InputReplayer {
+    /**
+     * @param {PeachInteraction} interaction - The peach to drive
+     * @param {Object|string} recording - Output of InputRecorder.stop() (or its JSON)
+     * @param {Function} onComplete - Called with the summary when the replay ends
+     */
+    constructor(interaction, recording, onComplete = null) {
+        if (!interaction) {
+            throw new Error('InputReplayer: Missing interaction');
+        }
+        
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames) || !Array.isArray(data.events)) {
+            throw new Error(`InputReplayer: Not a version ${RECORDING_VERSION} recording`);
+        }
+        
+        this.interaction = interaction;
+        this.recording = data;
+        this.onComplete = onComplete;
+        this.running = false;
+        this.finished = false;
+        this.unsubscribers = [];
+    }
+    
+    /**
+     * Put the peach in the recorded starting state and take over its input
+     */
+    start() {
+        const interaction = this.interaction;
+        const { seed, startTime, viewport, state } = this.recording;
+        
+        if (interaction.recorder) {
+            console.warn('⚠️ Stopping the running recording to replay');
+            interaction.recorder.stop();
+        }
+        
+        this.previousSmackingLocked = interaction.smackingLocked;
+        interaction.liveInputEnabled = false;
+        
+        interaction.setOiled(state.isOiled);
+        interaction.setExplosionThreshold(state.explosionThreshold);
+        Object.entries(state.features).forEach(([feature, enabled]) => interaction.setFeatureEnabled(feature, enabled));
+        interaction.smackingLocked = state.smackingLocked;
+        this.applyViewport(...viewport);
+        
+        interaction.resetSimulation(false);
+        interaction.setRandomSeed(seed);
+        
+        // Smack cooldowns see the recorded clock
+        this.currentTime = 0;
+        interaction.timeSource = () => startTime + this.currentTime;
+        
+        this.frame = 0;
+        this.eventIndex = 0;
+        this.summary = { frames: this.recording.frames.length, smacks: [], explosions: 0, rageLevel: 0 };
+        this.unsubscribers = [
+            interaction.events.on('smack', ({ strength, source }) => {
+                this.summary.smacks.push({ frame: this.frame, strength, source });
+            }),
+            interaction.events.on('explode', () => {
+                this.summary.explosions++;
+            })
+        ];
+        
+        this.running = true;
+        this.finished = false;
+    }
+    
+    /**
+     * Replay one recorded frame: its input events, then the update with its delta
+     * @returns {boolean} True while there are frames left
+     */
+    step() {
+        if (!this.running) return false;
+        
+        const frames = this.recording.frames;
+        this.applyEvents(this.frame);
+        
+        if (this.frame >= frames.length) {
+            this.finish();
+            return false;
+        }
+        
+        this.interaction.update(frames[this.frame]);
+        this.frame++;
+        return true;
+    }
+    
+    /**
+     * Replay everything at once (headless runs and regression fixtures)
+     * @returns {Object} Summary { frames, smacks: [{ frame, strength, source }], explosions, rageLevel }
+     */
+    runToEnd() {
+        if (!this.running && !this.finished) this.start();
+        while (this.step());
+        return this.summary;
+    }
+    
+    applyEvents(frame) {
+        const events = this.recording.events;
+        
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= frame) {
+            const [, time, type, ...data] = events[this.eventIndex++];
+            this.currentTime = time;
+            this.applyEvent(type, data);
+        }
+    }
+    
+    applyEvent(type, data) {
+        const interaction = this.interaction;
+        
+        switch (type) {
+            case 'd':
+                interaction.pointerDown(...data);
+                break;
+            case 'm':
+                interaction.pointerMove(...data);
+                break;
+            case 'u':
+                interaction.pointerUp(...data);
+                break;
+            case 'r':
+                interaction.releaseAllGrabs();
+                break;
+            case 'i':
+                interaction.inputSmack({
+                    ndc: new Vector2(data[0], data[1]),
+                    screenDirection: new Vector2(data[2], data[3]),
+                    strength: data[4],
+                    source: data[5]
+                });
+                break;
+            case 'a':
+                interaction.smackAtPoint(
+                    { x: data[0], y: data[1], z: data[2] },
+                    { x: data[3], y: data[4], z: data[5] },
+                    data[6]
+                );
+                break;
+            case 'o':
+                interaction.setOiled(data[0]);
+                break;
+            case 'f':
+                interaction.setFeatureEnabled(data[0], data[1]);
+                break;
+            case 'l':
+                interaction.smackingLocked = data[0];
+                break;
+            case 'v':
+                this.applyViewport(...data);
+                break;
+            default:
+                console.warn(`⚠️ Unknown recording event "${type}", skipped`);
+        }
+    }
+    
+    applyViewport(width, height, cameraAspect) {
+        const { viewport, camera } = this.interaction;
+        viewport.width = width;
+        viewport.height = height;
+        
+        if (camera.aspect !== cameraAspect) {
+            camera.aspect = cameraAspect;
+            camera.updateProjectionMatrix();
+        }
+    }
+    
+    finish() {
+        this.summary.rageLevel = this.interaction.peachState.rageLevel;
+        this.stop();
+        this.finished = true;
+        
+        if (this.onComplete) {
+            this.onComplete(this.summary);
+        }
+    }
+    
+    /**
+     * Hand the peach back to live input (also used to abort a replay)
+     */
+    stop() {
+        if (!this.running) return;
+        
+        const interaction = this.interaction;
+        interaction.liveInputEnabled = true;
+        interaction.timeSource = null;
+        interaction.smackingLocked = this.previousSmackingLocked;
+        interaction.releaseAllGrabs();
+        interaction.restoreSoftBodyMode();
+        
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.running = false;
+    }
+    
+    isRunning() {
+        return this.running;
+    }
+}
@@ -2,51 +2,96 @@ import { Scene, PerspectiveCamera, WebGLRenderer, PCFSoftShadowMap, ACESFilmicTo
 
 /**
  * Initialize the Three.js scene, camera, and renderer
+ * @param {HTMLElement} container - Element the canvas is added to (and sized to)
  * @returns {Object} Object containing scene, camera, and renderer
  */
-export function initScene() {
+export function initScene(container) {
     const scene = new Scene();
     
     // No solid background color needed - we use shader materials for the background
     scene.background = null;
     
-    const camera = new PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    const width = Math.max(container.clientWidth, 1);
+    const height = Math.max(container.clientHeight, 1);
+    const camera = new PerspectiveCamera(75, width / height, 0.1, 1000);
     const renderer = new WebGLRenderer({ antialias: true, alpha: true });
-
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    
+    renderer.setSize(width, height);
     renderer.setPixelRatio(window.devicePixelRatio);
-    document.body.appendChild(renderer.domElement);
-
+    container.appendChild(renderer.domElement);
+    
     camera.position.z = 5;
-
+    
     // Enable shadows and tone mapping for dramatic contrast
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = PCFSoftShadowMap;
     renderer.toneMapping = ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.5;
-
+    
     return { scene, camera, renderer };
 }
 
 /**
- * Setup window resize handler to keep canvas responsive
+ * Resize the canvas, camera and background shaders to a new size
  * @param {THREE.Camera} camera - The camera
  * @param {THREE.Renderer} renderer - The renderer
- * @param {THREE.ShaderMaterial} animatedBackgroundMaterial - The animated background shader material
- * @param {THREE.ShaderMaterial} gradientBackgroundMaterial - The gradient background shader material
+ * @param {Array<THREE.ShaderMaterial>} backgroundMaterials - Background shader materials (with a resolution uniform)
+ * @param {number} width - New width in pixels
+ * @param {number} height - New height in pixels
  */
-export function setupResizeHandler(camera, renderer, animatedBackgroundMaterial, gradientBackgroundMaterial) {
-    if (!camera || !renderer || !animatedBackgroundMaterial || !gradientBackgroundMaterial) {
-        console.error('setupResizeHandler: Missing required parameters');
+export function resizeScene(camera, renderer, backgroundMaterials, width, height) {
+    if (!camera || !renderer || !backgroundMaterials) {
+        console.error('resizeScene: Missing required parameters');
         return;
     }
     
-    window.addEventListener('resize', () => {
-        camera.aspect = window.innerWidth / window.innerHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(window.innerWidth, window.innerHeight);
-        animatedBackgroundMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
-        gradientBackgroundMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
+    width = Math.max(width, 1);
+    height = Math.max(height, 1);
+    
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+    backgroundMaterials.forEach(material => {
+        material.uniforms.resolution.value.set(width, height);
     });
 }
 
+/**
+ * Dispose every geometry, material and texture under an object
+ * @param {THREE.Object3D} root - Object to clean up (e.g. the scene)
+ */
+export function disposeObject(root) {
+    root.traverse((object) => {
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        
+        const materials = Array.isArray(object.material) ? object.material : (object.material ? [object.material] : []);
+        materials.forEach(disposeMaterial);
+        
+        // Lights own shadow map render targets
+        if (object.isLight) {
+            object.dispose();
+        }
+    });
+}
+
+/**
+ * Dispose a material and every texture it references
+ * @param {THREE.Material} material - Material to dispose
+ */
+export function disposeMaterial(material) {
+    for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+            value.dispose();
+        }
+    }
+    if (material.uniforms) {
+        for (const uniform of Object.values(material.uniforms)) {
+            if (uniform.value && uniform.value.isTexture) {
+                uniform.value.dispose();
+            }
+        }
+    }
+    material.dispose();
+}
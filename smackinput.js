@@ -0,0 +1,274 @@
+import { Vector2 } from 'three';
+import { INPUT_CONFIG, INTERACTION_CONFIG } from './config.js';
+
+/**
+ * Keyboard & Gamepad Smack Input
+ * Lets the peach be smacked without a pointer:
+ * - Arrow keys / left stick move an aim reticle over the screen
+ * - W A S D swing in that direction, Space swings in the last direction:
+ *   tap for a quick smack, hold to charge and release for a harder one
+ * - Gamepad right stick picks the swing direction, the right trigger's peak
+ *   pressure sets the strength and letting go swings; A is a quick smack
+ * Every swing is reported as onSmack({ ndc, screenDirection, strength, source }),
+ * the same smack a pointer swipe produces.
+ */
+
+// Swing directions in screen space (y points down)
+const SWING_KEYS = {
+    KeyW: { x: 0, y: -1 },
+    KeyA: { x: -1, y: 0 },
+    KeyS: { x: 0, y: 1 },
+    KeyD: { x: 1, y: 0 }
+};
+
+const AIM_KEYS = {
+    ArrowUp: { x: 0, y: -1 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowDown: { x: 0, y: 1 },
+    ArrowRight: { x: 1, y: 0 }
+};
+
+// Standard gamepad mapping
+const GAMEPAD_BUTTON_A = 0;
+const GAMEPAD_RIGHT_TRIGGER = 7;
+
+export class SmackInputController {
+    /**
+     * @param {HTMLElement} root - Element that receives the keys (focusable) and holds the reticle
+     * @param {Function} onSmack - Called with { ndc, screenDirection, strength, source }
+     */
+    constructor(root, onSmack) {
+        this.root = root;
+        this.onSmack = onSmack;
+        this.reticle = root.querySelector('.aim-reticle');
+        
+        // Aim point in pixels from the root's top-left corner (starts in the middle, where the peach floats)
+        this.aim = { x: root.clientWidth / 2, y: root.clientHeight / 2 };
+        this.aimKeys = new Set();
+        this.swingDirection = { x: 1, y: 0 }; // Last swing direction
+        this.chargeKey = null;  // Key being held to charge a swing
+        this.chargeTime = 0;
+        this.lastSmackTime = 0;
+        this.reticleVisible = false;
+        
+        // Gamepad trigger state
+        this.triggerPeak = 0;
+        this.quickButtonWasDown = false;
+        
+        // Reused for every smack
+        this.ndc = new Vector2();
+        
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.cancelCharge = this.cancelCharge.bind(this);
+        
+        // Keys only reach the root while it (or something inside it) has focus
+        root.addEventListener('keydown', this.onKeyDown);
+        root.addEventListener('keyup', this.onKeyUp);
+        root.addEventListener('pointermove', this.onPointerMove);
+        root.addEventListener('focusout', this.cancelCharge);
+    }
+    
+    onKeyDown(event) {
+        // Leave keys alone while a button or field has focus (Space clicks buttons)
+        if (event.target.closest && event.target.closest('button, input, select, textarea')) return;
+        
+        const code = event.code;
+        if (AIM_KEYS[code]) {
+            event.preventDefault();
+            this.aimKeys.add(code);
+            this.showReticle();
+        } else if (SWING_KEYS[code] || code === 'Space') {
+            event.preventDefault();
+            if (event.repeat) return;
+            
+            // Switching keys mid-charge keeps the charge and changes direction
+            if (SWING_KEYS[code]) {
+                this.swingDirection = SWING_KEYS[code];
+            }
+            if (!this.chargeKey) {
+                this.chargeTime = 0;
+            }
+            this.chargeKey = code;
+            this.showReticle();
+        } else if (code === 'Escape') {
+            this.cancelCharge();
+        }
+    }
+    
+    onKeyUp(event) {
+        const code = event.code;
+        this.aimKeys.delete(code);
+        
+        if (code !== this.chargeKey) return;
+        
+        const charge = Math.min(this.chargeTime / INPUT_CONFIG.CHARGE_TIME, 1);
+        this.chargeKey = null;
+        this.chargeTime = 0;
+        this.updateReticleCharge(0);
+        
+        this.swing(this.getStrength(charge), 'keyboard');
+    }
+    
+    onPointerMove(event) {
+        // The mouse is back in charge - hide the reticle until keys are used again
+        if (event.pointerType === 'mouse' && this.reticleVisible && !this.chargeKey) {
+            this.reticleVisible = false;
+            if (this.reticle) {
+                this.reticle.classList.remove('visible');
+            }
+        }
+    }
+    
+    cancelCharge() {
+        this.chargeKey = null;
+        this.chargeTime = 0;
+        this.aimKeys.clear();
+        this.updateReticleCharge(0);
+    }
+    
+    /**
+     * Move the reticle, advance charging and poll gamepads (call once per frame)
+     * @param {number} delta - Time delta since last frame
+     */
+    update(delta) {
+        let moveX = 0;
+        let moveY = 0;
+        
+        for (const code of this.aimKeys) {
+            moveX += AIM_KEYS[code].x;
+            moveY += AIM_KEYS[code].y;
+        }
+        
+        const stick = this.pollGamepad();
+        moveX += stick.x;
+        moveY += stick.y;
+        
+        if (moveX !== 0 || moveY !== 0) {
+            const speed = INPUT_CONFIG.RETICLE_SPEED * delta;
+            this.aim.x = Math.max(0, Math.min(this.root.clientWidth, this.aim.x + moveX * speed));
+            this.aim.y = Math.max(0, Math.min(this.root.clientHeight, this.aim.y + moveY * speed));
+            this.showReticle();
+        }
+        
+        if (this.chargeKey) {
+            this.chargeTime += delta;
+            this.updateReticleCharge(Math.min(this.chargeTime / INPUT_CONFIG.CHARGE_TIME, 1));
+        }
+    }
+    
+    /**
+     * Read the first connected gamepad: swing on trigger release / A press
+     * @returns {Object} Left stick deflection { x, y } for moving the reticle
+     */
+    pollGamepad() {
+        const stick = { x: 0, y: 0 };
+        if (!navigator.getGamepads) return stick;
+        
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) return stick;
+        
+        const deadzone = INPUT_CONFIG.GAMEPAD_DEADZONE;
+        const axes = gamepad.axes;
+        
+        // Left stick aims
+        if (Math.hypot(axes[0] || 0, axes[1] || 0) > deadzone) {
+            stick.x = axes[0];
+            stick.y = axes[1];
+        }
+        
+        // Right stick picks the swing direction
+        const swingX = axes[2] || 0;
+        const swingY = axes[3] || 0;
+        const swingLength = Math.hypot(swingX, swingY);
+        if (swingLength > deadzone) {
+            this.swingDirection = { x: swingX / swingLength, y: swingY / swingLength };
+        }
+        
+        // Trigger: squeeze to charge, the harder the squeeze the harder the smack
+        const trigger = gamepad.buttons[GAMEPAD_RIGHT_TRIGGER];
+        const triggerValue = trigger ? trigger.value : 0;
+        if (triggerValue > INPUT_CONFIG.TRIGGER_THRESHOLD) {
+            this.triggerPeak = Math.max(this.triggerPeak, triggerValue);
+            this.updateReticleCharge(this.triggerPeak);
+            this.showReticle();
+        } else if (this.triggerPeak > 0) {
+            const peak = this.triggerPeak;
+            this.triggerPeak = 0;
+            this.updateReticleCharge(0);
+            this.swing(this.getStrength(peak), 'gamepad');
+        }
+        
+        // A: quick smack
+        const quickButton = gamepad.buttons[GAMEPAD_BUTTON_A];
+        const quickDown = !!(quickButton && quickButton.pressed);
+        if (quickDown && !this.quickButtonWasDown) {
+            this.showReticle();
+            this.swing(INPUT_CONFIG.QUICK_SMACK_STRENGTH, 'gamepad');
+        }
+        this.quickButtonWasDown = quickDown;
+        
+        return stick;
+    }
+    
+    /**
+     * Map a 0-1 charge to smack strength
+     * @param {number} charge - Charge amount (0-1)
+     * @returns {number} Strength on the same 0-2 scale as pointer swipes
+     */
+    getStrength(charge) {
+        return INPUT_CONFIG.MIN_SMACK_STRENGTH + (INPUT_CONFIG.MAX_SMACK_STRENGTH - INPUT_CONFIG.MIN_SMACK_STRENGTH) * charge;
+    }
+    
+    /**
+     * Report a swing at the reticle in the current direction
+     * @param {number} strength - Smack strength (0-2)
+     * @param {string} source - 'keyboard' or 'gamepad'
+     */
+    swing(strength, source) {
+        const currentTime = Date.now();
+        if (currentTime - this.lastSmackTime < INTERACTION_CONFIG.SMACK_COOLDOWN_MS) return;
+        this.lastSmackTime = currentTime;
+        
+        this.ndc.set(
+            (this.aim.x / Math.max(this.root.clientWidth, 1)) * 2 - 1,
+            -(this.aim.y / Math.max(this.root.clientHeight, 1)) * 2 + 1
+        );
+        
+        this.onSmack({
+            ndc: this.ndc,
+            screenDirection: this.swingDirection,
+            strength,
+            source
+        });
+        
+        if (this.reticle) {
+            this.reticle.classList.remove('smacking');
+            void this.reticle.offsetWidth; // Trigger reflow
+            this.reticle.classList.add('smacking');
+        }
+    }
+    
+    showReticle() {
+        this.reticleVisible = true;
+        if (!this.reticle) return;
+        
+        this.reticle.classList.add('visible');
+        this.reticle.style.left = this.aim.x + 'px';
+        this.reticle.style.top = this.aim.y + 'px';
+    }
+    
+    updateReticleCharge(charge) {
+        if (this.reticle) {
+            this.reticle.style.setProperty('--charge', charge.toFixed(2));
+        }
+    }
+    
+    dispose() {
+        this.root.removeEventListener('keydown', this.onKeyDown);
+        this.root.removeEventListener('keyup', this.onKeyUp);
+        this.root.removeEventListener('pointermove', this.onPointerMove);
+        this.root.removeEventListener('focusout', this.cancelCharge);
+    }
+}
@@ -0,0 +1,384 @@
+import { Vector3, Matrix4 } from 'three';
+import { SoftBodyPhysics } from './softbody.js';
+import { GpuDeformer } from './gpudeform.js';
+import { PHYSICS_CONFIG } from './config.js';
+
+/**
+ * Soft Body Worker Proxy
+ * Same interface as SoftBodyPhysics (applyImpulse / grab / moveGrab / releaseGrab /
+ * update / interpolate / resetToOriginalImmediate / dispose), but the simulation runs in softbody.worker.js.
+ * Positions and normals stream back through SharedArrayBuffers when the page is
+ * cross-origin isolated, otherwise through transferred buffers. At most one frame
+ * request is in flight; steps taken meanwhile are batched into the next request.
+ * If the worker fails, the proxy falls back to an in-thread SoftBodyPhysics.
+ */
+
+export class SoftBodyWorkerProxy {
+    constructor(mesh) {
+        if (!mesh || !mesh.geometry) {
+            throw new Error('SoftBodyWorkerProxy: Invalid mesh provided');
+        }
+        
+        // Create the worker first so a failure leaves the mesh untouched
+        this.worker = new Worker(new URL('./softbody.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.onMessage(event.data);
+        this.worker.onerror = (event) => this.fallBackToMainThread(event.message || event);
+        this.worker.onmessageerror = (event) => this.fallBackToMainThread(event);
+        
+        this.mesh = mesh;
+        this.geometry = mesh.geometry.clone(); // Clone to avoid modifying original
+        this.mesh.geometry = this.geometry; // Use the clone
+        
+        // Recompute normals immediately to ensure consistent lighting from the start
+        this.geometry.computeVertexNormals();
+        
+        const positions = this.geometry.attributes.position;
+        this.vertexCount = positions.count;
+        this.originalPositions = new Float32Array(positions.array);
+        
+        // Settings forwarded to the worker with every frame request
+        this.volumePreservation = PHYSICS_CONFIG.VOLUME_PRESERVATION;
+        
+        this.initialized = true;
+        this.isActive = false;
+        this.pendingSteps = 0;          // Fixed steps taken since the last frame request
+        this.stepSize = PHYSICS_CONFIG.FIXED_TIMESTEP;
+        this.requestInFlight = false;
+        this.impulsesInFlight = 0;      // Impulses sent after the in-flight frame request
+        this.generation = 0;            // Bumped on reset so stale results are dropped
+        this.nextGrabId = 0;
+        this.grabs = new Map();         // Grab id -> { point, target, fallbackId } (local space)
+        this.fallback = null;           // In-thread SoftBodyPhysics if the worker fails
+        this.gpuDeformer = null;        // Set by enableGpuDeformation() to deform in the vertex shader
+        
+        // Reusable objects to avoid garbage collection
+        this.tempVec1 = new Vector3();
+        this.tempVec2 = new Vector3();
+        this.tempMatrix = new Matrix4();
+        
+        const init = {
+            type: 'init',
+            positions: new Float32Array(positions.array),
+            index: this.geometry.index ? new this.geometry.index.array.constructor(this.geometry.index.array) : null
+        };
+        
+        // Shared memory needs cross-origin isolation (COOP/COEP headers)
+        const byteLength = this.vertexCount * 3 * Float32Array.BYTES_PER_ELEMENT;
+        if (typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated) {
+            init.sharedPositions = new SharedArrayBuffer(byteLength);
+            init.sharedNormals = new SharedArrayBuffer(byteLength);
+            this.sharedPositions = new Float32Array(init.sharedPositions);
+            this.sharedNormals = new Float32Array(init.sharedNormals);
+        } else {
+            this.sharedPositions = null;
+            this.sharedNormals = null;
+            this.transferPositions = new Float32Array(this.vertexCount * 3);
+            this.transferNormals = new Float32Array(this.vertexCount * 3);
+        }
+        
+        this.worker.postMessage(init);
+    }
+    
+    applyImpulse(worldPoint, worldDirection, force) {
+        if (this.fallback) {
+            this.fallback.applyImpulse(worldPoint, worldDirection, force);
+            return;
+        }
+        
+        this.isActive = true;
+        if (this.requestInFlight) this.impulsesInFlight++;
+        
+        // The worker's mesh has an identity transform, so convert to local space here
+        this.tempVec1.copy(worldPoint);
+        this.mesh.worldToLocal(this.tempVec1);
+        
+        this.tempVec2.copy(worldDirection)
+            .transformDirection(this.tempMatrix.copy(this.mesh.matrixWorld).invert());
+        
+        this.worker.postMessage({
+            type: 'impulse',
+            point: this.tempVec1.toArray(),
+            direction: this.tempVec2.toArray(),
+            force
+        });
+    }
+    
+    /**
+     * Grab the surface around a point so it follows moveGrab() until released
+     * @param {THREE.Vector3} worldPoint - Grabbed point on the surface (world space)
+     * @returns {number} Grab id for moveGrab() / releaseGrab()
+     */
+    grab(worldPoint) {
+        const id = this.nextGrabId++;
+        const point = this.toLocalArray(worldPoint);
+        
+        // Remember the grab so the fallback can take it over if the worker fails
+        const grab = { point, target: point.slice(), fallbackId: null };
+        this.grabs.set(id, grab);
+        
+        if (this.fallback) {
+            grab.fallbackId = this.fallback.grab(worldPoint);
+            return id;
+        }
+        
+        this.isActive = true;
+        if (this.requestInFlight) this.impulsesInFlight++;
+        
+        this.worker.postMessage({ type: 'grab', id, point });
+        return id;
+    }
+    
+    /**
+     * Drag a grabbed point towards a new position
+     * @param {number} id - Grab id returned by grab()
+     * @param {THREE.Vector3} worldPoint - Target position (world space)
+     */
+    moveGrab(id, worldPoint) {
+        const grab = this.grabs.get(id);
+        if (!grab) return;
+        
+        grab.target = this.toLocalArray(worldPoint);
+        
+        if (this.fallback) {
+            this.fallback.moveGrab(grab.fallbackId, worldPoint);
+            return;
+        }
+        
+        this.worker.postMessage({ type: 'moveGrab', id, point: grab.target });
+    }
+    
+    /**
+     * Let go of a grab; the springs snap the skin back with a jiggle
+     * @param {number} id - Grab id returned by grab()
+     */
+    releaseGrab(id) {
+        const grab = this.grabs.get(id);
+        if (!grab) return;
+        
+        this.grabs.delete(id);
+        
+        if (this.fallback) {
+            this.fallback.releaseGrab(grab.fallbackId);
+            return;
+        }
+        
+        this.worker.postMessage({ type: 'releaseGrab', id });
+    }
+    
+    /**
+     * Convert a world-space point to the worker mesh's local space
+     * @param {THREE.Vector3} worldPoint - Point in world space
+     * @returns {Array<number>} Local [x, y, z]
+     */
+    toLocalArray(worldPoint) {
+        this.tempVec1.copy(worldPoint);
+        this.mesh.worldToLocal(this.tempVec1);
+        return this.tempVec1.toArray();
+    }
+    
+    /**
+     * Convert a local [x, y, z] back to world space
+     * @param {Array<number>} localPoint - Point in the mesh's local space
+     * @returns {THREE.Vector3} World-space point (reused temp vector)
+     */
+    toWorld(localPoint) {
+        return this.mesh.localToWorld(this.tempVec1.fromArray(localPoint));
+    }
+    
+    /**
+     * Queue one fixed simulation step for the worker
+     * @param {number} delta - Step size in seconds (the fixed physics timestep)
+     */
+    update(delta) {
+        if (this.fallback) {
+            this.fallback.volumePreservation = this.volumePreservation;
+            this.fallback.update(delta);
+            return;
+        }
+        if (!this.isActive) return;
+        
+        this.pendingSteps++;
+        this.stepSize = delta;
+    }
+    
+    /**
+     * Ask the worker to run the queued steps and send back interpolated positions
+     * @param {number} alpha - Fraction of a step elapsed since the last update (0-1)
+     */
+    interpolate(alpha) {
+        if (this.fallback) {
+            this.fallback.interpolate(alpha);
+            return;
+        }
+        if (!this.isActive || this.requestInFlight) return;
+        
+        const request = {
+            type: 'frame',
+            generation: this.generation,
+            steps: this.pendingSteps,
+            stepSize: this.stepSize,
+            alpha,
+            settings: {
+                volumePreservation: this.volumePreservation,
+                computeNormals: !this.gpuDeformer // The shader approximates its own normals
+            }
+        };
+        
+        this.pendingSteps = 0;
+        this.requestInFlight = true;
+        this.impulsesInFlight = 0;
+        
+        if (this.sharedPositions) {
+            this.worker.postMessage(request);
+        } else {
+            // Lend our buffers to the worker; they come back with the result
+            request.positions = this.transferPositions;
+            request.normals = this.transferNormals;
+            this.transferPositions = null;
+            this.transferNormals = null;
+            this.worker.postMessage(request, [request.positions.buffer, request.normals.buffer]);
+        }
+    }
+    
+    onMessage(message) {
+        if (message.type !== 'frame' || this.fallback) return;
+        
+        this.requestInFlight = false;
+        if (!this.sharedPositions) {
+            this.transferPositions = message.positions;
+            this.transferNormals = message.normals;
+        }
+        
+        // Results computed before a reset are stale
+        if (message.generation !== this.generation) return;
+        
+        // An impulse sent while this frame was computing re-activates the body
+        this.isActive = message.isActive || this.impulsesInFlight > 0;
+        
+        if (message.uploaded && this.gpuDeformer) {
+            const positions = this.sharedPositions || message.positions;
+            this.gpuDeformer.setFromPositions(positions, positions, 1);
+        } else if (message.uploaded) {
+            const positions = this.geometry.attributes.position;
+            const normals = this.geometry.attributes.normal;
+            positions.array.set(this.sharedPositions || message.positions);
+            normals.array.set(this.sharedNormals || message.normals);
+            positions.needsUpdate = true;
+            normals.needsUpdate = true;
+        }
+    }
+    
+    resetToOriginalImmediate() {
+        this.grabs.clear();
+        
+        if (this.fallback) {
+            this.fallback.resetToOriginalImmediate();
+            return;
+        }
+        
+        // Immediately reset vertices to original positions and drop in-flight results
+        this.generation++;
+        this.pendingSteps = 0;
+        
+        const positions = this.geometry.attributes.position;
+        positions.array.set(this.originalPositions);
+        positions.needsUpdate = true;
+        this.geometry.computeVertexNormals();
+        
+        if (this.gpuDeformer) {
+            this.gpuDeformer.reset();
+        }
+        
+        this.worker.postMessage({ type: 'reset' });
+    }
+    
+    /**
+     * Switch to the GPU deformation path: positions stay at rest and the
+     * displacement is applied in the material's vertex shader
+     */
+    enableGpuDeformation() {
+        if (this.fallback) {
+            this.fallback.enableGpuDeformation();
+        } else if (!this.gpuDeformer) {
+            this.gpuDeformer = new GpuDeformer(this.mesh);
+        }
+    }
+    
+    /**
+     * Switch to simulating on the main thread (worker failed to load or crashed)
+     * @param {*} reason - Error details for the console
+     */
+    fallBackToMainThread(reason) {
+        if (this.fallback) return;
+        
+        console.warn('⚠️ Soft body worker failed, simulating on the main thread:', reason);
+        this.worker.terminate();
+        
+        // The geometry holds the last worker frame; the fallback must start from the rest shape
+        const workerGeometry = this.geometry;
+        workerGeometry.attributes.position.array.set(this.originalPositions);
+        workerGeometry.attributes.position.needsUpdate = true;
+        
+        this.fallback = new SoftBodyPhysics(this.mesh);
+        this.geometry = this.fallback.geometry;
+        workerGeometry.dispose();
+        
+        // Take over the grabs the worker was holding
+        for (const grab of this.grabs.values()) {
+            grab.fallbackId = this.fallback.grab(this.toWorld(grab.point));
+            this.fallback.moveGrab(grab.fallbackId, this.toWorld(grab.target));
+        }
+        
+        // The fallback cloned the geometry, so the deformer has to be rebuilt on it
+        if (this.gpuDeformer) {
+            this.gpuDeformer.dispose();
+            this.gpuDeformer = null;
+            this.fallback.enableGpuDeformation();
+        }
+    }
+    
+    dispose() {
+        if (this.gpuDeformer) {
+            this.gpuDeformer.dispose();
+            this.gpuDeformer = null;
+        }
+        if (this.fallback) {
+            this.fallback.dispose(); // Also frees the geometry it cloned
+        } else {
+            this.worker.terminate();
+            this.geometry.dispose();
+        }
+        this.initialized = false;
+        this.isActive = false;
+    }
+}
+
+/**
+ * Create the soft body simulation for a mesh: in a worker when possible,
+ * otherwise on the main thread
+ * @param {THREE.Mesh} mesh - The mesh to deform
+ * @param {boolean} useWorker - Allow the worker (off for deterministic recording/replay,
+ *   where the shape must not depend on when worker results arrive)
+ * @returns {SoftBodyPhysics|SoftBodyWorkerProxy} Soft body instance
+ */
+export function createSoftBody(mesh, useWorker = PHYSICS_CONFIG.SOFT_BODY_WORKER) {
+    let softBody = null;
+    
+    if (useWorker && typeof Worker !== 'undefined') {
+        try {
+            softBody = new SoftBodyWorkerProxy(mesh);
+        } catch (error) {
+            console.warn('⚠️ Soft body worker unavailable, simulating on the main thread:', error);
+        }
+    }
+    
+    if (!softBody) {
+        softBody = new SoftBodyPhysics(mesh);
+    }
+    
+    if (PHYSICS_CONFIG.GPU_DEFORMATION) {
+        softBody.enableGpuDeformation();
+    }
+    
+    return softBody;
+}
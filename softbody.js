@@ -1,9 +1,17 @@
-import { Vector3 } from 'three';
+import { Vector3, Matrix4, Mesh, SphereGeometry } from 'three';
+import { GpuDeformer } from './gpudeform.js';
+import { SpatialHash } from './spatialhash.js';
 import { PHYSICS_CONFIG } from './config.js';
 
 /**
  * Soft Body Physics System for Jiggle Effects
  * Applies spring-mass dynamics to vertices for realistic deformation
+ *
+ * All per-vertex state lives in flat Float32Arrays (x, y, z interleaved)
+ * so dense meshes can be stepped without allocating anything per frame.
+ *
+ * update() advances the simulated positions by one fixed step; interpolate()
+ * blends the last two steps into the geometry for rendering.
  */
 
 export class SoftBodyPhysics {
@@ -19,14 +27,54 @@ export class SoftBodyPhysics {
         // Recompute normals immediately to ensure consistent lighting from the start
         this.geometry.computeVertexNormals();
         
-        // Store original positions for spring rest state
-        this.originalPositions = [];
-        this.vertexVelocities = [];
-        this.vertexForces = [];
+        // Flat per-vertex state (filled in init): rest positions, simulated positions
+        // for the current and previous step, velocities, forces
+        this.vertexCount = 0;
+        this.originalPositions = null;
+        this.positions = null;
+        this.previousPositions = null;
+        this.vertexVelocities = null;
+        this.vertexForces = null;
         
         // CRITICAL: Group vertices at the same position together
         // This prevents tearing while preserving UVs and other attributes
-        this.vertexGroups = []; // Maps each vertex to its group of duplicates
+        // Groups are stored flat: members of a group sit contiguously in groupMembers,
+        // and each vertex points at its group via groupOffsets/groupSizes
+        this.groupOffsets = null;
+        this.groupSizes = null;
+        this.groupMembers = null;
+        
+        // Neighbor adjacency in compressed form: neighbors of vertex i are
+        // neighborIndices[neighborOffsets[i] .. neighborOffsets[i + 1]]
+        this.neighborOffsets = null;
+        this.neighborIndices = null;
+        
+        // Uniform grid over the rest positions for proximity and impulse-radius queries
+        this.spatialHash = null;
+        
+        // Triangle vertex indices (from the index buffer, or sequential for non-indexed meshes)
+        this.triangleIndices = null;
+        
+        // Volume preservation state: rest volume/area and per-vertex area-weighted normals
+        this.restVolume = 0;
+        this.restSurfaceArea = 0;
+        this.currentVolume = 0;
+        this.pressureNormals = null;
+        
+        // Distance constraints: vertex pairs (group representatives) with rest lengths.
+        // Stretch constraints follow triangle edges; bend constraints join the two
+        // vertices opposite a shared edge, resisting folds between adjacent triangles
+        this.stretchConstraints = null;
+        this.stretchRestLengths = null;
+        this.bendConstraints = null;
+        this.bendRestLengths = null;
+        this.predictedPositions = null;
+        
+        // Grab constraints (press-and-hold drags): id -> { anchor, offset, vertices, weights }.
+        // grabSlack widens the displacement limit for grabbed vertices
+        this.grabs = new Map();
+        this.nextGrabId = 0;
+        this.grabSlack = null;
         
         // Physics parameters - tuned for peachy jiggle!
         this.stiffness = 0.45;      // Spring stiffness (higher = firmer, less jiggly)
@@ -35,16 +83,26 @@ export class SoftBodyPhysics {
         this.propagation = 0.25;    // Force propagation to neighbors
         this.maxDisplacement = 0.12; // Maximum distance a vertex can move from original (reduced for firmness)
         this.timeScale = 0.75;      // Global time scale for physics (lower = slower)
+        this.volumePreservation = PHYSICS_CONFIG.VOLUME_PRESERVATION; // Pressure pushes back when squashed
+        this.pressureStiffness = PHYSICS_CONFIG.VOLUME_PRESSURE_STIFFNESS;
+        this.edgeConstraints = PHYSICS_CONFIG.EDGE_CONSTRAINTS; // Keep edge rest lengths (skin-like surface)
+        this.stretchStiffness = PHYSICS_CONFIG.STRETCH_STIFFNESS;
+        this.bendStiffness = PHYSICS_CONFIG.BEND_STIFFNESS;
+        this.constraintIterations = PHYSICS_CONFIG.CONSTRAINT_ITERATIONS;
+        this.computeNormals = true; // Off when nobody reads the normals (a worker feeding the GPU deformer)
         
         this.initialized = false;
         this.isActive = false;      // Only compute when needed
         this.activityTimer = 0;
         this.frameCount = 0;        // For reducing normal recalculation frequency
+        this.needsUpload = false;   // Simulated positions changed since the last interpolate()
+        this.normalsDirty = false;  // Recompute normals on the next interpolate()
+        this.gpuDeformer = null;    // Set by enableGpuDeformation() to deform in the vertex shader
         
-        // Reusable vectors to avoid garbage collection
+        // Reusable objects to avoid garbage collection
         this.tempVec1 = new Vector3();
         this.tempVec2 = new Vector3();
-        this.tempVec3 = new Vector3();
+        this.tempMatrix = new Matrix4();
         
         this.init();
     }
@@ -57,49 +115,58 @@ export class SoftBodyPhysics {
         }
         
         // Store original positions and initialize physics arrays
-        for (let i = 0; i < positions.count; i++) {
-            this.originalPositions.push(new Vector3(
-                positions.getX(i),
-                positions.getY(i),
-                positions.getZ(i)
-            ));
-            this.vertexVelocities.push(new Vector3(0, 0, 0));
-            this.vertexForces.push(new Vector3(0, 0, 0));
+        const count = positions.count;
+        this.vertexCount = count;
+        this.originalPositions = new Float32Array(count * 3);
+        this.positions = new Float32Array(count * 3);
+        this.previousPositions = new Float32Array(count * 3);
+        this.vertexVelocities = new Float32Array(count * 3);
+        this.vertexForces = new Float32Array(count * 3);
+        
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            this.originalPositions[i3] = positions.getX(i);
+            this.originalPositions[i3 + 1] = positions.getY(i);
+            this.originalPositions[i3 + 2] = positions.getZ(i);
         }
+        this.positions.set(this.originalPositions);
+        this.previousPositions.set(this.originalPositions);
+        this.grabSlack = new Float32Array(count);
         
         // Build vertex groups - vertices at the same position are grouped
         this.buildVertexGroups();
         
+        // Index rest positions so radius queries don't scan every vertex
+        this.spatialHash = new SpatialHash(this.originalPositions);
+        
         // Build neighbor map for force propagation
         this.buildNeighborMap();
         
+        // Measure the enclosed volume at rest for the pressure constraint
+        this.buildTriangles();
+        
+        // Build edge-length constraints from the triangles
+        this.buildDistanceConstraints();
+        
         this.initialized = true;
     }
     
     buildVertexGroups() {
         // Group vertices that share the same position (within tolerance)
         const tolerance = PHYSICS_CONFIG.VERTEX_POSITION_TOLERANCE;
-        const positions = this.geometry.attributes.position;
-        const posArray = positions.array;
+        const count = this.vertexCount;
+        const posArray = this.originalPositions;
         const positionMap = new Map();
         
-        // Initialize - each vertex starts in its own group
-        for (let i = 0; i < positions.count; i++) {
-            this.vertexGroups[i] = [i];
-        }
-        
-        // Find vertices at the same position (use direct array access)
-        for (let i = 0; i < positions.count; i++) {
+        // Find vertices at the same position
+        for (let i = 0; i < count; i++) {
             const i3 = i * 3;
-            const x = posArray[i3];
-            const y = posArray[i3 + 1];
-            const z = posArray[i3 + 2];
             
             // Create position key
-            const key = 
-                Math.round(x / tolerance) + '_' +
-                Math.round(y / tolerance) + '_' +
-                Math.round(z / tolerance);
+            const key =
+                Math.round(posArray[i3] / tolerance) + '_' +
+                Math.round(posArray[i3 + 1] / tolerance) + '_' +
+                Math.round(posArray[i3 + 2] / tolerance);
             
             if (!positionMap.has(key)) {
                 positionMap.set(key, [i]);
@@ -108,23 +175,26 @@ export class SoftBodyPhysics {
             }
         }
         
-        // Build groups - all vertices at same position share the same group
-        let groupCount = 0;
+        // Flatten groups - members are pushed in ascending order, so the first
+        // member of every group is also its lowest index (the representative)
+        this.groupOffsets = new Uint32Array(count);
+        this.groupSizes = new Uint32Array(count);
+        this.groupMembers = new Uint32Array(count);
+        
+        let offset = 0;
         for (const group of positionMap.values()) {
-            if (group.length > 1) {
-                groupCount++;
-                // All vertices in this group reference the same array
-                for (const vertexIndex of group) {
-                    this.vertexGroups[vertexIndex] = group;
-                }
+            for (let g = 0; g < group.length; g++) {
+                const vertexIndex = group[g];
+                this.groupMembers[offset + g] = vertexIndex;
+                this.groupOffsets[vertexIndex] = offset;
+                this.groupSizes[vertexIndex] = group.length;
             }
+            offset += group.length;
         }
     }
     
     buildNeighborMap() {
         // Build a map of neighboring vertices based on shared edges
-        this.neighbors = new Map();
-        const positions = this.geometry.attributes.position;
         const indices = this.geometry.index;
         
         if (!indices) {
@@ -133,64 +203,411 @@ export class SoftBodyPhysics {
             return;
         }
         
-        // Build neighbor map from triangle indices
+        // Collect unique neighbors per vertex from triangle indices
+        const neighborLists = new Array(this.vertexCount);
+        const addNeighbor = (vertexIndex, neighborIndex) => {
+            let neighbors = neighborLists[vertexIndex];
+            if (!neighbors) {
+                neighbors = neighborLists[vertexIndex] = [];
+            }
+            if (!neighbors.includes(neighborIndex)) {
+                neighbors.push(neighborIndex);
+            }
+        };
+        
         for (let i = 0; i < indices.count; i += 3) {
             const a = indices.getX(i);
             const b = indices.getX(i + 1);
             const c = indices.getX(i + 2);
             
-            this.addNeighbor(a, b);
-            this.addNeighbor(a, c);
-            this.addNeighbor(b, a);
-            this.addNeighbor(b, c);
-            this.addNeighbor(c, a);
-            this.addNeighbor(c, b);
+            addNeighbor(a, b);
+            addNeighbor(a, c);
+            addNeighbor(b, a);
+            addNeighbor(b, c);
+            addNeighbor(c, a);
+            addNeighbor(c, b);
         }
+        
+        this.setNeighbors(neighborLists);
     }
     
     buildProximityNeighbors() {
         // Fallback: use proximity-based neighbors
-        const positions = this.geometry.attributes.position;
-        const posArray = positions.array;
+        // Neighbors are other groups' representatives within the threshold (coincident
+        // vertices already move together), optionally capped to the nearest few
+        const count = this.vertexCount;
+        const posArray = this.originalPositions;
+        const groupOffsets = this.groupOffsets;
+        const groupSizes = this.groupSizes;
+        const groupMembers = this.groupMembers;
+        const hash = this.spatialHash;
         const threshold = PHYSICS_CONFIG.PROXIMITY_THRESHOLD;
         const thresholdSq = threshold * threshold; // Use squared distance (faster)
+        const maxNeighbors = PHYSICS_CONFIG.PROXIMITY_MAX_NEIGHBORS || Infinity; // 0 = no cap
+        const neighborLists = new Array(count);
+        const candidates = [];
+        const candidateDistances = [];
         
-        for (let i = 0; i < positions.count; i++) {
-            const neighbors = [];
+        for (let i = 0; i < count; i++) {
+            const groupStart = groupOffsets[i];
+            if (groupMembers[groupStart] !== i) continue;
+            
             const i3 = i * 3;
             const ix = posArray[i3];
             const iy = posArray[i3 + 1];
             const iz = posArray[i3 + 2];
             
-            // Only check a subset to avoid O(n²) complexity
-            const step = Math.max(1, Math.floor(positions.count / PHYSICS_CONFIG.PROXIMITY_SAMPLING_STEP_DIVISOR));
-            for (let j = 0; j < positions.count; j += step) {
-                if (i === j) continue;
-                
-                const j3 = j * 3;
-                const dx = posArray[j3] - ix;
-                const dy = posArray[j3 + 1] - iy;
-                const dz = posArray[j3 + 2] - iz;
-                const distSq = dx * dx + dy * dy + dz * dz;
+            // With a cap, grow the search radius until it holds enough neighbors (or hits the
+            // threshold); everything nearer than the radius is found, so the nearest few are exact
+            let radius = maxNeighbors === Infinity ? threshold : Math.min(hash.cellSize, threshold);
+            for (;;) {
+                const radiusSq = radius * radius;
+                candidates.length = 0;
+                candidateDistances.length = 0;
                 
-                if (distSq < thresholdSq) {
-                    neighbors.push(j);
+                const found = hash.query(ix, iy, iz, radius);
+                for (let r = 0; r < found; r++) {
+                    const j = hash.results[r];
+                    if (j === i || groupMembers[groupOffsets[j]] !== j) continue;
+                    
+                    const j3 = j * 3;
+                    const dx = posArray[j3] - ix;
+                    const dy = posArray[j3 + 1] - iy;
+                    const dz = posArray[j3 + 2] - iz;
+                    const distSq = dx * dx + dy * dy + dz * dz;
+                    
+                    if (distSq < radiusSq && distSq < thresholdSq) {
+                        candidates.push(j);
+                        candidateDistances.push(distSq);
+                    }
                 }
+                
+                if (candidates.length >= maxNeighbors || radius >= threshold) break;
+                radius = Math.min(radius * 2, threshold);
+            }
+            
+            if (candidates.length === 0) continue;
+            
+            let neighbors = candidates.slice();
+            if (neighbors.length > maxNeighbors) {
+                const order = neighbors.map((_, n) => n).sort((a, b) => candidateDistances[a] - candidateDistances[b]);
+                neighbors = order.slice(0, maxNeighbors).map(n => candidates[n]);
             }
             
-            if (neighbors.length > 0) {
-                this.neighbors.set(i, neighbors);
+            // Every member of the group shares the list (group forces are averaged)
+            for (let g = groupStart; g < groupStart + groupSizes[i]; g++) {
+                neighborLists[groupMembers[g]] = neighbors;
             }
         }
+        
+        this.setNeighbors(neighborLists);
     }
     
-    addNeighbor(vertexIndex, neighborIndex) {
-        if (!this.neighbors.has(vertexIndex)) {
-            this.neighbors.set(vertexIndex, []);
+    buildTriangles() {
+        const indices = this.geometry.index;
+        const count = this.vertexCount;
+        
+        if (indices) {
+            this.triangleIndices = new Uint32Array(indices.count - (indices.count % 3));
+            for (let i = 0; i < this.triangleIndices.length; i++) {
+                this.triangleIndices[i] = indices.getX(i);
+            }
+        } else {
+            this.triangleIndices = new Uint32Array(count - (count % 3));
+            for (let i = 0; i < this.triangleIndices.length; i++) {
+                this.triangleIndices[i] = i;
+            }
         }
-        const neighbors = this.neighbors.get(vertexIndex);
-        if (!neighbors.includes(neighborIndex)) {
-            neighbors.push(neighborIndex);
+        
+        this.pressureNormals = new Float32Array(count * 3);
+        this.restVolume = this.computeVolume(this.originalPositions);
+        this.currentVolume = this.restVolume;
+        
+        // Rest surface area (sum of triangle areas) converts lost volume into a push distance
+        const tri = this.triangleIndices;
+        const pos = this.originalPositions;
+        let area = 0;
+        for (let t = 0; t < tri.length; t += 3) {
+            const a3 = tri[t] * 3;
+            const b3 = tri[t + 1] * 3;
+            const c3 = tri[t + 2] * 3;
+            const abx = pos[b3] - pos[a3];
+            const aby = pos[b3 + 1] - pos[a3 + 1];
+            const abz = pos[b3 + 2] - pos[a3 + 2];
+            const acx = pos[c3] - pos[a3];
+            const acy = pos[c3 + 1] - pos[a3 + 1];
+            const acz = pos[c3 + 2] - pos[a3 + 2];
+            const cx = aby * acz - abz * acy;
+            const cy = abz * acx - abx * acz;
+            const cz = abx * acy - aby * acx;
+            area += Math.sqrt(cx * cx + cy * cy + cz * cz) * 0.5;
+        }
+        this.restSurfaceArea = area;
+    }
+    
+    buildDistanceConstraints() {
+        const tri = this.triangleIndices;
+        const groupOffsets = this.groupOffsets;
+        const groupMembers = this.groupMembers;
+        const stride = this.vertexCount;
+        
+        // Unique edges between group representatives, each with the vertices opposite it
+        const edges = new Map();
+        const addEdge = (a, b, opposite) => {
+            const key = a < b ? a * stride + b : b * stride + a;
+            const edge = edges.get(key);
+            if (edge) {
+                if (!edge.opposites.includes(opposite)) edge.opposites.push(opposite);
+            } else {
+                edges.set(key, { a, b, opposites: [opposite] });
+            }
+        };
+        
+        for (let t = 0; t < tri.length; t += 3) {
+            const a = groupMembers[groupOffsets[tri[t]]];
+            const b = groupMembers[groupOffsets[tri[t + 1]]];
+            const c = groupMembers[groupOffsets[tri[t + 2]]];
+            
+            // Skip triangles collapsed by vertex grouping
+            if (a === b || b === c || a === c) continue;
+            
+            addEdge(a, b, c);
+            addEdge(b, c, a);
+            addEdge(c, a, b);
+        }
+        
+        const stretch = [];
+        const bend = [];
+        const bendKeys = new Set();
+        for (const edge of edges.values()) {
+            stretch.push(edge.a, edge.b);
+            
+            if (edge.opposites.length < 2) continue;
+            const p = edge.opposites[0];
+            const q = edge.opposites[1];
+            const bendKey = p < q ? p * stride + q : q * stride + p;
+            if (edges.has(bendKey) || bendKeys.has(bendKey)) continue;
+            bendKeys.add(bendKey);
+            bend.push(p, q);
+        }
+        
+        this.stretchConstraints = new Uint32Array(stretch);
+        this.stretchRestLengths = this.measureRestLengths(this.stretchConstraints);
+        this.bendConstraints = new Uint32Array(bend);
+        this.bendRestLengths = this.measureRestLengths(this.bendConstraints);
+        this.predictedPositions = new Float32Array(this.vertexCount * 3);
+    }
+    
+    /**
+     * Rest distance for each vertex pair of a constraint list
+     * @param {Uint32Array} pairs - Flat [a, b, a, b, ...] vertex indices
+     * @returns {Float32Array} Rest length per pair
+     */
+    measureRestLengths(pairs) {
+        const pos = this.originalPositions;
+        const lengths = new Float32Array(pairs.length / 2);
+        
+        for (let c = 0; c < pairs.length; c += 2) {
+            const a3 = pairs[c] * 3;
+            const b3 = pairs[c + 1] * 3;
+            const dx = pos[b3] - pos[a3];
+            const dy = pos[b3 + 1] - pos[a3 + 1];
+            const dz = pos[b3 + 2] - pos[a3 + 2];
+            lengths[c / 2] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }
+        
+        return lengths;
+    }
+    
+    /**
+     * Position-based dynamics pass: move representative vertices so edges return to
+     * their rest lengths, then fold the correction back into the velocities
+     * @param {number} stepScale - Velocity-to-position scale used for this step
+     */
+    solveDistanceConstraints(stepScale) {
+        const posArray = this.positions;
+        const predicted = this.predictedPositions;
+        const iterations = Math.max(1, this.constraintIterations);
+        
+        // Convert per-step stiffness into per-iteration stiffness so the result
+        // does not depend on the iteration count
+        const stretchK = 1 - Math.pow(1 - Math.min(this.stretchStiffness, 1), 1 / iterations);
+        const bendK = 1 - Math.pow(1 - Math.min(this.bendStiffness, 1), 1 / iterations);
+        
+        predicted.set(posArray);
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            if (stretchK > 0) this.projectDistanceConstraints(this.stretchConstraints, this.stretchRestLengths, stretchK);
+            if (bendK > 0) this.projectDistanceConstraints(this.bendConstraints, this.bendRestLengths, bendK);
+        }
+        
+        // Velocity picks up the constraint correction (only representatives are moved)
+        const velArray = this.vertexVelocities;
+        const groupOffsets = this.groupOffsets;
+        const groupMembers = this.groupMembers;
+        for (let i = 0; i < this.vertexCount; i++) {
+            if (groupMembers[groupOffsets[i]] !== i) continue;
+            
+            const i3 = i * 3;
+            velArray[i3] += (posArray[i3] - predicted[i3]) / stepScale;
+            velArray[i3 + 1] += (posArray[i3 + 1] - predicted[i3 + 1]) / stepScale;
+            velArray[i3 + 2] += (posArray[i3 + 2] - predicted[i3 + 2]) / stepScale;
+        }
+    }
+    
+    /**
+     * Project one set of distance constraints (equal vertex masses)
+     * @param {Uint32Array} pairs - Flat [a, b, ...] vertex indices
+     * @param {Float32Array} restLengths - Rest length per pair
+     * @param {number} stiffness - Fraction of the error corrected (0-1)
+     */
+    projectDistanceConstraints(pairs, restLengths, stiffness) {
+        const pos = this.positions;
+        
+        for (let c = 0; c < pairs.length; c += 2) {
+            const a3 = pairs[c] * 3;
+            const b3 = pairs[c + 1] * 3;
+            const dx = pos[b3] - pos[a3];
+            const dy = pos[b3 + 1] - pos[a3 + 1];
+            const dz = pos[b3 + 2] - pos[a3 + 2];
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (length === 0) continue;
+            
+            // Each end moves half of the error along the edge
+            const correction = (length - restLengths[c / 2]) / length * stiffness * 0.5;
+            pos[a3] += dx * correction;
+            pos[a3 + 1] += dy * correction;
+            pos[a3 + 2] += dz * correction;
+            pos[b3] -= dx * correction;
+            pos[b3 + 1] -= dy * correction;
+            pos[b3 + 2] -= dz * correction;
+        }
+    }
+    
+    /**
+     * Signed volume enclosed by the mesh triangles (sum of origin-based tetrahedra)
+     * @param {Float32Array} pos - Flat vertex positions
+     * @returns {number} Signed volume (sign depends on triangle winding)
+     */
+    computeVolume(pos) {
+        const tri = this.triangleIndices;
+        let volume = 0;
+        
+        for (let t = 0; t < tri.length; t += 3) {
+            const a3 = tri[t] * 3;
+            const b3 = tri[t + 1] * 3;
+            const c3 = tri[t + 2] * 3;
+            
+            // a · (b × c) / 6
+            volume += (
+                pos[a3] * (pos[b3 + 1] * pos[c3 + 2] - pos[b3 + 2] * pos[c3 + 1]) +
+                pos[a3 + 1] * (pos[b3 + 2] * pos[c3] - pos[b3] * pos[c3 + 2]) +
+                pos[a3 + 2] * (pos[b3] * pos[c3 + 1] - pos[b3 + 1] * pos[c3])
+            ) / 6;
+        }
+        
+        return volume;
+    }
+    
+    /**
+     * Pressure constraint: measure the current volume and push every vertex along
+     * its normal in proportion to the volume lost (or pull in for volume gained)
+     */
+    applyPressureForces() {
+        const tri = this.triangleIndices;
+        const pos = this.positions;
+        const normals = this.pressureNormals;
+        const forceArray = this.vertexForces;
+        const groupOffsets = this.groupOffsets;
+        const groupMembers = this.groupMembers;
+        
+        normals.fill(0);
+        let volume = 0;
+        
+        // Accumulate area-weighted face normals onto each group representative so
+        // duplicated seam vertices share one smooth normal
+        for (let t = 0; t < tri.length; t += 3) {
+            const a = tri[t];
+            const b = tri[t + 1];
+            const c = tri[t + 2];
+            const a3 = a * 3;
+            const b3 = b * 3;
+            const c3 = c * 3;
+            
+            volume += (
+                pos[a3] * (pos[b3 + 1] * pos[c3 + 2] - pos[b3 + 2] * pos[c3 + 1]) +
+                pos[a3 + 1] * (pos[b3 + 2] * pos[c3] - pos[b3] * pos[c3 + 2]) +
+                pos[a3 + 2] * (pos[b3] * pos[c3 + 1] - pos[b3 + 1] * pos[c3])
+            ) / 6;
+            
+            const abx = pos[b3] - pos[a3];
+            const aby = pos[b3 + 1] - pos[a3 + 1];
+            const abz = pos[b3 + 2] - pos[a3 + 2];
+            const acx = pos[c3] - pos[a3];
+            const acy = pos[c3 + 1] - pos[a3 + 1];
+            const acz = pos[c3 + 2] - pos[a3 + 2];
+            const nx = aby * acz - abz * acy;
+            const ny = abz * acx - abx * acz;
+            const nz = abx * acy - aby * acx;
+            
+            const ra3 = groupMembers[groupOffsets[a]] * 3;
+            const rb3 = groupMembers[groupOffsets[b]] * 3;
+            const rc3 = groupMembers[groupOffsets[c]] * 3;
+            normals[ra3] += nx;
+            normals[ra3 + 1] += ny;
+            normals[ra3 + 2] += nz;
+            normals[rb3] += nx;
+            normals[rb3 + 1] += ny;
+            normals[rb3 + 2] += nz;
+            normals[rc3] += nx;
+            normals[rc3 + 1] += ny;
+            normals[rc3 + 2] += nz;
+        }
+        
+        this.currentVolume = volume;
+        if (this.restSurfaceArea <= 0) return;
+        
+        // Lost volume spread over the surface gives the distance to push out.
+        // If the winding is inverted both volume and normals flip, so the sign stays correct
+        const pressure = this.pressureStiffness * (this.restVolume - volume) / this.restSurfaceArea;
+        if (pressure === 0) return;
+        
+        for (let i = 0; i < this.vertexCount; i++) {
+            const r3 = groupMembers[groupOffsets[i]] * 3;
+            const nx = normals[r3];
+            const ny = normals[r3 + 1];
+            const nz = normals[r3 + 2];
+            const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            if (length === 0) continue;
+            
+            const scale = pressure / length;
+            const i3 = i * 3;
+            forceArray[i3] += nx * scale;
+            forceArray[i3 + 1] += ny * scale;
+            forceArray[i3 + 2] += nz * scale;
+        }
+    }
+    
+    /**
+     * Pack per-vertex neighbor lists into the flat offset/index arrays
+     * @param {Array<Array<number>|undefined>} neighborLists - Neighbor indices per vertex
+     */
+    setNeighbors(neighborLists) {
+        const count = this.vertexCount;
+        this.neighborOffsets = new Uint32Array(count + 1);
+        
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            this.neighborOffsets[i] = total;
+            if (neighborLists[i]) total += neighborLists[i].length;
+        }
+        this.neighborOffsets[count] = total;
+        
+        this.neighborIndices = new Uint32Array(total);
+        for (let i = 0; i < count; i++) {
+            if (neighborLists[i]) {
+                this.neighborIndices.set(neighborLists[i], this.neighborOffsets[i]);
+            }
         }
     }
     
@@ -204,26 +621,38 @@ export class SoftBodyPhysics {
         this.activityTimer = 1.5; // Stay active for 1.5 seconds (2.5x faster)
         this.frameCount = 0; // Reset frame count
         
-        // Transform world space to local space (reuse temp vectors)
+        // Transform world space to local space (reuse temp objects)
         this.tempVec1.copy(worldPoint);
         this.mesh.worldToLocal(this.tempVec1);
         
         this.tempVec2.copy(worldDirection)
-            .transformDirection(this.mesh.matrixWorld.clone().invert());
+            .transformDirection(this.tempMatrix.copy(this.mesh.matrixWorld).invert());
         
-        const positions = this.geometry.attributes.position;
-        const posArray = positions.array;
+        const px = this.tempVec1.x;
+        const py = this.tempVec1.y;
+        const pz = this.tempVec1.z;
+        const dirX = this.tempVec2.x;
+        const dirY = this.tempVec2.y;
+        const dirZ = this.tempVec2.z;
+        
+        const posArray = this.positions;
+        const velArray = this.vertexVelocities;
         const impactRadius = 0.8; // Radius of impact effect (smaller = more localized)
         const impactRadiusSq = impactRadius * impactRadius; // Compare squared distances (faster)
+        const maxVelocity = PHYSICS_CONFIG.MAX_VELOCITY_CAP;
+        
+        // The grid holds rest positions; widen the query by how far vertices can have moved
+        const hash = this.spatialHash;
+        const found = hash.query(px, py, pz, impactRadius + this.maxDisplacement);
         
         // Apply force to vertices near the impact point
-        for (let i = 0; i < positions.count; i++) {
-            const i3 = i * 3;
+        for (let r = 0; r < found; r++) {
+            const i3 = hash.results[r] * 3;
             
             // Calculate distance squared (avoid sqrt for performance)
-            const dx = posArray[i3] - this.tempVec1.x;
-            const dy = posArray[i3 + 1] - this.tempVec1.y;
-            const dz = posArray[i3 + 2] - this.tempVec1.z;
+            const dx = posArray[i3] - px;
+            const dy = posArray[i3 + 1] - py;
+            const dz = posArray[i3 + 2] - pz;
             const distSq = dx * dx + dy * dy + dz * dz;
             
             if (distSq < impactRadiusSq) {
@@ -234,22 +663,194 @@ export class SoftBodyPhysics {
                 const strength = force * falloff * falloff * falloff; // Cubic falloff for even softer impact
                 
                 // Add velocity in the impact direction
-                this.tempVec3.copy(this.tempVec2).multiplyScalar(strength);
-                this.vertexVelocities[i].add(this.tempVec3);
+                velArray[i3] += dirX * strength;
+                velArray[i3 + 1] += dirY * strength;
+                velArray[i3 + 2] += dirZ * strength;
                 
                 // Clamp velocity to prevent explosion
-                const velLength = this.vertexVelocities[i].length();
-                const maxVelocity = PHYSICS_CONFIG.MAX_VELOCITY_CAP;
-                if (velLength > maxVelocity) {
-                    this.vertexVelocities[i].multiplyScalar(maxVelocity / velLength);
-                }
+                this.clampVelocity(i3, maxVelocity);
+            }
+        }
+    }
+    
+    /**
+     * Scale a vertex velocity down so its length does not exceed maxVelocity
+     * @param {number} i3 - Offset of the vertex in the flat arrays (index * 3)
+     * @param {number} maxVelocity - Maximum allowed speed
+     */
+    clampVelocity(i3, maxVelocity) {
+        const velArray = this.vertexVelocities;
+        const vx = velArray[i3];
+        const vy = velArray[i3 + 1];
+        const vz = velArray[i3 + 2];
+        const velLength = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        
+        if (velLength > maxVelocity) {
+            const scale = maxVelocity / velLength;
+            velArray[i3] = vx * scale;
+            velArray[i3 + 1] = vy * scale;
+            velArray[i3 + 2] = vz * scale;
+        }
+    }
+    
+    /**
+     * Grab the surface around a point so it follows moveGrab() until released
+     * @param {THREE.Vector3} worldPoint - Grabbed point on the surface (world space)
+     * @returns {number} Grab id for moveGrab() / releaseGrab()
+     */
+    grab(worldPoint) {
+        const id = this.nextGrabId++;
+        if (!this.initialized) return id;
+        
+        this.tempVec1.copy(worldPoint);
+        this.mesh.worldToLocal(this.tempVec1);
+        
+        const px = this.tempVec1.x;
+        const py = this.tempVec1.y;
+        const pz = this.tempVec1.z;
+        const posArray = this.positions;
+        const groupOffsets = this.groupOffsets;
+        const groupMembers = this.groupMembers;
+        const radius = PHYSICS_CONFIG.GRAB_RADIUS;
+        const vertices = [];
+        const weights = [];
+        
+        // Collect group representatives under the grab (members follow in update)
+        const hash = this.spatialHash;
+        const found = hash.query(px, py, pz, radius + this.maxDisplacement);
+        for (let r = 0; r < found; r++) {
+            const i = hash.results[r];
+            if (groupMembers[groupOffsets[i]] !== i) continue;
+            
+            const i3 = i * 3;
+            const dx = posArray[i3] - px;
+            const dy = posArray[i3 + 1] - py;
+            const dz = posArray[i3 + 2] - pz;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            
+            if (distance < radius) {
+                // Quadratic falloff so the grabbed patch blends into the rest of the skin
+                const falloff = 1.0 - distance / radius;
+                vertices.push(i);
+                weights.push(falloff * falloff);
+            }
+        }
+        
+        this.grabs.set(id, {
+            anchor: [px, py, pz],   // Grabbed point (local space)
+            offset: [0, 0, 0],      // Current drag offset from the anchor (local space)
+            vertices: Uint32Array.from(vertices),
+            weights: Float32Array.from(weights)
+        });
+        this.updateGrabSlack();
+        
+        this.isActive = true;
+        this.activityTimer = 1.5;
+        
+        return id;
+    }
+    
+    /**
+     * Drag a grabbed point towards a new position
+     * @param {number} id - Grab id returned by grab()
+     * @param {THREE.Vector3} worldPoint - Target position (world space)
+     */
+    moveGrab(id, worldPoint) {
+        const grab = this.grabs.get(id);
+        if (!grab) return;
+        
+        this.tempVec1.copy(worldPoint);
+        this.mesh.worldToLocal(this.tempVec1);
+        this.tempVec1.x -= grab.anchor[0];
+        this.tempVec1.y -= grab.anchor[1];
+        this.tempVec1.z -= grab.anchor[2];
+        
+        // Skin only stretches so far
+        const maxStretch = PHYSICS_CONFIG.GRAB_MAX_STRETCH;
+        if (this.tempVec1.lengthSq() > maxStretch * maxStretch) {
+            this.tempVec1.setLength(maxStretch);
+        }
+        
+        this.tempVec1.toArray(grab.offset);
+    }
+    
+    /**
+     * Let go of a grab; the springs snap the skin back with a jiggle
+     * @param {number} id - Grab id returned by grab()
+     */
+    releaseGrab(id) {
+        if (!this.grabs.delete(id)) return;
+        
+        this.updateGrabSlack();
+        this.activityTimer = 1.5; // Full jiggle time for the snap back
+    }
+    
+    /**
+     * Recompute how far past maxDisplacement each vertex may be dragged
+     */
+    updateGrabSlack() {
+        const slack = this.grabSlack;
+        const maxStretch = PHYSICS_CONFIG.GRAB_MAX_STRETCH;
+        slack.fill(0);
+        
+        for (const grab of this.grabs.values()) {
+            for (let v = 0; v < grab.vertices.length; v++) {
+                const i = grab.vertices[v];
+                slack[i] = Math.max(slack[i], grab.weights[v] * maxStretch);
             }
         }
     }
     
+    /**
+     * Pull grabbed vertices towards their dragged targets
+     * @param {number} stepScale - Step size in 60 Hz frames (scaled by timeScale)
+     */
+    applyGrabConstraints(stepScale) {
+        const posArray = this.positions;
+        const original = this.originalPositions;
+        const velArray = this.vertexVelocities;
+        const stiffness = PHYSICS_CONFIG.GRAB_STIFFNESS;
+        
+        for (const grab of this.grabs.values()) {
+            const vertices = grab.vertices;
+            const weights = grab.weights;
+            const [ox, oy, oz] = grab.offset;
+            
+            for (let v = 0; v < vertices.length; v++) {
+                const i3 = vertices[v] * 3;
+                const weight = weights[v];
+                const k = stiffness * weight;
+                
+                // Target: rest position moved along with the grab, fading out with the falloff
+                const cx = (original[i3] + ox * weight - posArray[i3]) * k;
+                const cy = (original[i3 + 1] + oy * weight - posArray[i3 + 1]) * k;
+                const cz = (original[i3 + 2] + oz * weight - posArray[i3 + 2]) * k;
+                
+                posArray[i3] += cx;
+                posArray[i3 + 1] += cy;
+                posArray[i3 + 2] += cz;
+                
+                // Carry the correction into the velocity so a held grab stays still
+                // and a released one keeps the drag's momentum
+                velArray[i3] += cx / stepScale;
+                velArray[i3 + 1] += cy / stepScale;
+                velArray[i3 + 2] += cz / stepScale;
+            }
+        }
+    }
+    
+    /**
+     * Advance the simulation by one step
+     * @param {number} delta - Step size in seconds (the fixed physics timestep)
+     */
     update(delta) {
         if (!this.initialized || !this.isActive) return;
         
+        // Held grabs keep the body fully awake (no fade out) until released
+        if (this.grabs.size > 0) {
+            this.activityTimer = 1.5;
+        }
+        
         // Countdown activity timer
         this.activityTimer -= delta;
         
@@ -266,7 +867,7 @@ export class SoftBodyPhysics {
         let lerpAmount = 0;
         if (this.activityTimer < lerpStartTime) {
             // Gradually increase lerp from 0 to 1 as we approach the end
-            // Use easeInOut curve for smoother transition  
+            // Use easeInOut curve for smoother transition
             let t = 1.0 - (this.activityTimer / lerpStartTime);
             t = Math.min(t, 1.0);
             t = Math.max(t, 0.0);
@@ -283,229 +884,368 @@ export class SoftBodyPhysics {
         if (this.activityTimer <= 0) {
             // At this point, lerp should be exactly 1.0 and vertices should be at original
             // Zero out velocities and deactivate (positions are already correct from lerp)
-            for (let i = 0; i < this.vertexVelocities.length; i++) {
-                this.vertexVelocities[i].set(0, 0, 0);
-                this.vertexForces[i].set(0, 0, 0);
-            }
+            this.vertexVelocities.fill(0);
+            this.vertexForces.fill(0);
+            this.previousPositions.set(this.positions);
             this.isActive = false;
             return;
         }
         
         this.frameCount++;
-        const positions = this.geometry.attributes.position;
-        const posArray = positions.array; // Direct array access is faster
-        
-        // Reset forces
-        for (let i = 0; i < this.vertexForces.length; i++) {
-            this.vertexForces[i].set(0, 0, 0);
-        }
+        this.previousPositions.set(this.positions);
+        const count = this.vertexCount;
+        const posArray = this.positions;
+        const original = this.originalPositions;
+        const velArray = this.vertexVelocities;
+        const forceArray = this.vertexForces;
+        const stepScale = delta * 60 * this.timeScale;
+        const damping = this.damping * dampingMultiplier;
+        const invMass = 1 / this.mass;
+        const maxDisplacement = this.maxDisplacement;
+        const lerpVelocityScale = 1.0 - lerpAmount * 0.9;
         
         // Calculate spring forces (restore to original position)
-        // Reuse temp vectors to avoid creating new objects
-        for (let i = 0; i < positions.count; i++) {
-            const i3 = i * 3;
-            this.tempVec1.set(posArray[i3], posArray[i3 + 1], posArray[i3 + 2]);
-            
-            const original = this.originalPositions[i];
-            
-            // Spring force: F = -k * displacement
-            this.tempVec2.copy(this.tempVec1).sub(original).multiplyScalar(-this.stiffness);
-            
-            this.vertexForces[i].add(this.tempVec2);
+        // Spring force: F = -k * displacement (this also resets last frame's forces)
+        const stiffness = this.stiffness;
+        for (let i3 = 0; i3 < count * 3; i3++) {
+            forceArray[i3] = (posArray[i3] - original[i3]) * -stiffness;
         }
         
         // Propagate forces to neighbors (creates wave effect)
         // Only do this every other frame for performance
         if (this.frameCount % 2 === 0) {
-            for (let i = 0; i < positions.count; i++) {
-                if (!this.neighbors.has(i)) continue;
+            const offsets = this.neighborOffsets;
+            const neighborIndices = this.neighborIndices;
+            const neighborScale = this.propagation * 0.1;
+            
+            for (let i = 0; i < count; i++) {
+                const start = offsets[i];
+                const end = offsets[i + 1];
+                if (start === end) continue;
                 
-                const neighbors = this.neighbors.get(i);
                 const i3 = i * 3;
-                this.tempVec1.set(posArray[i3], posArray[i3 + 1], posArray[i3 + 2]);
+                const ix = posArray[i3];
+                const iy = posArray[i3 + 1];
+                const iz = posArray[i3 + 2];
                 
-                for (const neighborIndex of neighbors) {
-                    const ni3 = neighborIndex * 3;
-                    this.tempVec2.set(posArray[ni3], posArray[ni3 + 1], posArray[ni3 + 2]);
+                for (let n = start; n < end; n++) {
+                    const ni3 = neighborIndices[n] * 3;
                     
                     // Force to align with neighbors (creates smooth waves)
-                    this.tempVec3.copy(this.tempVec2).sub(this.tempVec1).multiplyScalar(this.propagation * 0.1);
-                    this.vertexForces[i].add(this.tempVec3);
+                    forceArray[i3] += (posArray[ni3] - ix) * neighborScale;
+                    forceArray[i3 + 1] += (posArray[ni3 + 1] - iy) * neighborScale;
+                    forceArray[i3 + 2] += (posArray[ni3 + 2] - iz) * neighborScale;
                 }
             }
         }
         
-        // Track which groups we've already processed
-        const processedGroups = new Set();
+        // Keep the enclosed volume: a dent on one side bulges the rest outwards
+        if (this.volumePreservation) {
+            this.applyPressureForces();
+        }
+        
+        const groupOffsets = this.groupOffsets;
+        const groupSizes = this.groupSizes;
+        const groupMembers = this.groupMembers;
         
-        // Update velocities and positions
-        for (let i = 0; i < positions.count; i++) {
-            const group = this.vertexGroups[i];
+        // Update velocities and predicted positions.
+        // Vertices at the same position move as one group; the first (lowest) vertex
+        // in a group is its representative, so each group is processed exactly once
+        for (let i = 0; i < count; i++) {
+            const groupStart = groupOffsets[i];
+            if (groupMembers[groupStart] !== i) continue;
             
-            // If this vertex is part of a group with duplicates
-            if (group.length > 1) {
-                // Use the first vertex in the group as the representative
-                const representative = group[0];
-                
-                // Only process each group once
-                if (processedGroups.has(representative)) {
-                    continue;
-                }
-                processedGroups.add(representative);
-                
-                // Average the forces from all vertices in the group
-                const avgForce = new Vector3(0, 0, 0);
-                for (const idx of group) {
-                    avgForce.add(this.vertexForces[idx]);
-                }
-                avgForce.divideScalar(group.length);
-                
-                // Apply force: a = F / m
-                avgForce.divideScalar(this.mass);
-                
-                // Update velocity for the group (use representative's velocity)
-                this.tempVec1.copy(avgForce).multiplyScalar(delta * 60 * this.timeScale);
-                this.vertexVelocities[representative].add(this.tempVec1);
-                
-                // Apply damping (with fade-out multiplier)
-                this.vertexVelocities[representative].multiplyScalar(this.damping * dampingMultiplier);
-                
-                // Clamp velocity
-                const velLength = this.vertexVelocities[representative].length();
-                const maxVelocity = PHYSICS_CONFIG.MAX_VELOCITY_CAP;
-                if (velLength > maxVelocity) {
-                    this.vertexVelocities[representative].multiplyScalar(maxVelocity / velLength);
-                }
-                
-                // Calculate new position for the group (reuse temp vectors)
-                const rep3 = representative * 3;
-                this.tempVec1.set(posArray[rep3], posArray[rep3 + 1], posArray[rep3 + 2]);
-                this.tempVec2.copy(this.vertexVelocities[representative]).multiplyScalar(delta * 60 * this.timeScale);
-                this.tempVec1.add(this.tempVec2);
-                
-                // Constrain position
-                this.tempVec3.copy(this.tempVec1).sub(this.originalPositions[representative]);
-                const displacementLength = this.tempVec3.length();
-                
-                if (displacementLength > this.maxDisplacement) {
-                    this.tempVec3.multiplyScalar(this.maxDisplacement / displacementLength);
-                    this.tempVec1.copy(this.originalPositions[representative]).add(this.tempVec3);
-                    this.vertexVelocities[representative].multiplyScalar(0.5);
-                }
-                
-                // Apply the same position to ALL vertices in the group
-                for (const idx of group) {
-                    const offset = this.originalPositions[idx].clone().sub(this.originalPositions[representative]);
-                    const finalPos = this.tempVec1.clone().add(offset);
-                    
-                    // Apply lerp towards original position if we're in the fade-out phase
-                    if (lerpAmount > 0) {
-                        finalPos.lerp(this.originalPositions[idx], lerpAmount);
-                        // Aggressively zero out velocities during lerp (stronger damping)
-                        this.vertexVelocities[representative].multiplyScalar(1.0 - lerpAmount * 0.9);
-                    }
-                    
-                    const idx3 = idx * 3;
-                    posArray[idx3] = finalPos.x;
-                    posArray[idx3 + 1] = finalPos.y;
-                    posArray[idx3 + 2] = finalPos.z;
-                    // Sync velocities too
-                    this.vertexVelocities[idx].copy(this.vertexVelocities[representative]);
-                }
-            } else {
-                // Single vertex, process normally (reuse temp vectors)
-                this.tempVec1.copy(this.vertexForces[i]).divideScalar(this.mass).multiplyScalar(delta * 60 * this.timeScale);
-                this.vertexVelocities[i].add(this.tempVec1);
-                this.vertexVelocities[i].multiplyScalar(this.damping * dampingMultiplier);
-                
-                const velLength = this.vertexVelocities[i].length();
-                const maxVelocity = PHYSICS_CONFIG.MAX_VELOCITY_CAP_SINGLE;
-                if (velLength > maxVelocity) {
-                    this.vertexVelocities[i].multiplyScalar(maxVelocity / velLength);
-                }
-                
-                const i3 = i * 3;
-                this.tempVec1.set(posArray[i3], posArray[i3 + 1], posArray[i3 + 2]);
-                this.tempVec2.copy(this.vertexVelocities[i]).multiplyScalar(delta * 60 * this.timeScale);
-                this.tempVec1.add(this.tempVec2);
-                
-                this.tempVec3.copy(this.tempVec1).sub(this.originalPositions[i]);
-                const displacementLength = this.tempVec3.length();
-                
-                if (displacementLength > this.maxDisplacement) {
-                    this.tempVec3.multiplyScalar(this.maxDisplacement / displacementLength);
-                    this.tempVec1.copy(this.originalPositions[i]).add(this.tempVec3);
-                    this.vertexVelocities[i].multiplyScalar(0.5);
-                }
+            const groupSize = groupSizes[i];
+            const groupEnd = groupStart + groupSize;
+            const rep3 = i * 3;
+            
+            // Average the forces from all vertices in the group
+            let fx = 0;
+            let fy = 0;
+            let fz = 0;
+            for (let g = groupStart; g < groupEnd; g++) {
+                const idx3 = groupMembers[g] * 3;
+                fx += forceArray[idx3];
+                fy += forceArray[idx3 + 1];
+                fz += forceArray[idx3 + 2];
+            }
+            
+            // Apply force: a = F / m, then update velocity for the group
+            // (use representative's velocity)
+            const accelScale = invMass / groupSize * stepScale;
+            velArray[rep3] = (velArray[rep3] + fx * accelScale) * damping;
+            velArray[rep3 + 1] = (velArray[rep3 + 1] + fy * accelScale) * damping;
+            velArray[rep3 + 2] = (velArray[rep3 + 2] + fz * accelScale) * damping;
+            
+            // Clamp velocity (lone vertices get a tighter cap)
+            this.clampVelocity(rep3, groupSize > 1 ? PHYSICS_CONFIG.MAX_VELOCITY_CAP : PHYSICS_CONFIG.MAX_VELOCITY_CAP_SINGLE);
+            
+            // Calculate new position for the group
+            posArray[rep3] += velArray[rep3] * stepScale;
+            posArray[rep3 + 1] += velArray[rep3 + 1] * stepScale;
+            posArray[rep3 + 2] += velArray[rep3 + 2] * stepScale;
+        }
+        
+        // Pull mesh edges back towards their rest lengths (skipped once fully lerped home,
+        // where every constraint is already satisfied)
+        if (this.edgeConstraints && lerpAmount < 1.0) {
+            this.solveDistanceConstraints(stepScale);
+        }
+        
+        if (this.grabs.size > 0) {
+            this.applyGrabConstraints(stepScale);
+        }
+        
+        const grabSlack = this.grabSlack;
+        
+        // Constrain, lerp and write the final positions
+        for (let i = 0; i < count; i++) {
+            const groupStart = groupOffsets[i];
+            if (groupMembers[groupStart] !== i) continue;
+            
+            const groupEnd = groupStart + groupSizes[i];
+            const rep3 = i * 3;
+            let newX = posArray[rep3];
+            let newY = posArray[rep3 + 1];
+            let newZ = posArray[rep3 + 2];
+            
+            // Constrain position
+            const repX = original[rep3];
+            const repY = original[rep3 + 1];
+            const repZ = original[rep3 + 2];
+            const dispX = newX - repX;
+            const dispY = newY - repY;
+            const dispZ = newZ - repZ;
+            const displacementLength = Math.sqrt(dispX * dispX + dispY * dispY + dispZ * dispZ);
+            const displacementLimit = maxDisplacement + grabSlack[i];
+            
+            if (displacementLength > displacementLimit) {
+                const scale = displacementLimit / displacementLength;
+                newX = repX + dispX * scale;
+                newY = repY + dispY * scale;
+                newZ = repZ + dispZ * scale;
+                velArray[rep3] *= 0.5;
+                velArray[rep3 + 1] *= 0.5;
+                velArray[rep3 + 2] *= 0.5;
+            }
+            
+            // Apply the same position to ALL vertices in the group
+            for (let g = groupStart; g < groupEnd; g++) {
+                const idx3 = groupMembers[g] * 3;
+                let finalX = newX + (original[idx3] - repX);
+                let finalY = newY + (original[idx3 + 1] - repY);
+                let finalZ = newZ + (original[idx3 + 2] - repZ);
                 
                 // Apply lerp towards original position if we're in the fade-out phase
+                // (weighted form so lerpAmount 1.0 lands exactly on the original, with no rounding residue)
                 if (lerpAmount > 0) {
-                    this.tempVec1.lerp(this.originalPositions[i], lerpAmount);
+                    finalX = finalX * (1 - lerpAmount) + original[idx3] * lerpAmount;
+                    finalY = finalY * (1 - lerpAmount) + original[idx3 + 1] * lerpAmount;
+                    finalZ = finalZ * (1 - lerpAmount) + original[idx3 + 2] * lerpAmount;
                     // Aggressively zero out velocities during lerp (stronger damping)
-                    this.vertexVelocities[i].multiplyScalar(1.0 - lerpAmount * 0.9);
+                    velArray[rep3] *= lerpVelocityScale;
+                    velArray[rep3 + 1] *= lerpVelocityScale;
+                    velArray[rep3 + 2] *= lerpVelocityScale;
                 }
                 
-                posArray[i3] = this.tempVec1.x;
-                posArray[i3 + 1] = this.tempVec1.y;
-                posArray[i3 + 2] = this.tempVec1.z;
+                posArray[idx3] = finalX;
+                posArray[idx3 + 1] = finalY;
+                posArray[idx3 + 2] = finalZ;
+                // Sync velocities too
+                velArray[idx3] = velArray[rep3];
+                velArray[idx3 + 1] = velArray[rep3 + 1];
+                velArray[idx3 + 2] = velArray[rep3 + 2];
             }
         }
         
-        // Mark geometry as needing update
-        positions.needsUpdate = true;
+        // Geometry is written on the next interpolate()
+        this.needsUpload = true;
         
         // Only recalculate normals every N frames (huge performance boost!)
         // EXCEPT when lerp is complete (at original position) - then always recalculate for correct final state
         if (this.frameCount % PHYSICS_CONFIG.NORMAL_RECALC_INTERVAL === 0 || lerpAmount >= 1.0) {
+            this.normalsDirty = true;
+        }
+    }
+    
+    /**
+     * Write positions blended between the previous and current step into the geometry
+     * @param {number} alpha - Fraction of a step elapsed since the last update (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.initialized || !this.needsUpload) return;
+        
+        if (this.gpuDeformer) {
+            // Only the displacement texture changes; normals are approximated in the shader
+            this.gpuDeformer.setFromPositions(this.previousPositions, this.positions, this.isActive ? alpha : 1);
+            this.needsUpload = this.isActive;
+            this.normalsDirty = false;
+            return;
+        }
+        
+        const positions = this.geometry.attributes.position;
+        const posArray = positions.array;
+        
+        if (this.isActive) {
+            const previous = this.previousPositions;
+            const current = this.positions;
+            for (let i3 = 0; i3 < this.vertexCount * 3; i3++) {
+                posArray[i3] = previous[i3] + (current[i3] - previous[i3]) * alpha;
+            }
+        } else {
+            // Settled - write the final state exactly and stop uploading
+            posArray.set(this.positions);
+            this.needsUpload = false;
+        }
+        
+        positions.needsUpdate = true;
+        
+        if (this.normalsDirty && this.computeNormals) {
             this.geometry.computeVertexNormals();
         }
+        this.normalsDirty = false;
     }
     
     getMaxVelocity() {
         // Find the maximum velocity magnitude across all vertices
-        let maxVel = 0;
-        for (let i = 0; i < this.vertexVelocities.length; i++) {
-            const vel = this.vertexVelocities[i].length();
-            if (vel > maxVel) maxVel = vel;
+        let maxVelSq = 0;
+        const velArray = this.vertexVelocities;
+        for (let i3 = 0; i3 < velArray.length; i3 += 3) {
+            const vx = velArray[i3];
+            const vy = velArray[i3 + 1];
+            const vz = velArray[i3 + 2];
+            const velSq = vx * vx + vy * vy + vz * vz;
+            if (velSq > maxVelSq) maxVelSq = velSq;
         }
-        return maxVel;
+        return Math.sqrt(maxVelSq);
     }
     
     getMaxDisplacement() {
         // Find the maximum displacement from original position
-        let maxDisp = 0;
-        const positions = this.geometry.attributes.position;
-        const posArray = positions.array;
+        let maxDispSq = 0;
+        const posArray = this.positions;
+        const original = this.originalPositions;
         
-        for (let i = 0; i < positions.count; i++) {
-            const i3 = i * 3;
-            this.tempVec1.set(posArray[i3], posArray[i3 + 1], posArray[i3 + 2]);
-            const disp = this.tempVec1.distanceTo(this.originalPositions[i]);
-            if (disp > maxDisp) maxDisp = disp;
+        for (let i3 = 0; i3 < this.vertexCount * 3; i3 += 3) {
+            const dx = posArray[i3] - original[i3];
+            const dy = posArray[i3 + 1] - original[i3 + 1];
+            const dz = posArray[i3 + 2] - original[i3 + 2];
+            const dispSq = dx * dx + dy * dy + dz * dz;
+            if (dispSq > maxDispSq) maxDispSq = dispSq;
         }
-        return maxDisp;
+        return Math.sqrt(maxDispSq);
     }
     
     resetToOriginalImmediate() {
         // Immediately reset vertices to original positions (should already be very close via lerping)
         const positions = this.geometry.attributes.position;
         
-        for (let i = 0; i < positions.count; i++) {
-            const original = this.originalPositions[i];
-            positions.setXYZ(i, original.x, original.y, original.z);
-            this.vertexVelocities[i].set(0, 0, 0);
-            this.vertexForces[i].set(0, 0, 0);
-        }
+        this.positions.set(this.originalPositions);
+        this.previousPositions.set(this.originalPositions);
+        positions.array.set(this.originalPositions);
+        this.vertexVelocities.fill(0);
+        this.vertexForces.fill(0);
+        this.grabs.clear();
+        this.grabSlack.fill(0);
+        this.needsUpload = false;
+        this.normalsDirty = false;
         
         positions.needsUpdate = true;
         this.geometry.computeVertexNormals();
+        
+        if (this.gpuDeformer) {
+            this.gpuDeformer.reset();
+        }
+    }
+    
+    /**
+     * Switch to the GPU deformation path: positions stay at rest and the
+     * displacement is applied in the material's vertex shader
+     */
+    enableGpuDeformation() {
+        if (!this.gpuDeformer) {
+            this.gpuDeformer = new GpuDeformer(this.mesh);
+        }
     }
     
     dispose() {
-        this.originalPositions = [];
-        this.vertexVelocities = [];
-        this.vertexForces = [];
-        this.neighbors.clear();
+        if (this.gpuDeformer) {
+            this.gpuDeformer.dispose();
+            this.gpuDeformer = null;
+        }
+        // Free the clone made in the constructor (the mesh keeps it until it gets a new one)
+        this.geometry.dispose();
+        this.originalPositions = null;
+        this.positions = null;
+        this.previousPositions = null;
+        this.vertexVelocities = null;
+        this.vertexForces = null;
+        this.groupOffsets = null;
+        this.groupSizes = null;
+        this.groupMembers = null;
+        this.neighborOffsets = null;
+        this.neighborIndices = null;
+        this.spatialHash = null;
+        this.triangleIndices = null;
+        this.pressureNormals = null;
+        this.stretchConstraints = null;
+        this.stretchRestLengths = null;
+        this.bendConstraints = null;
+        this.bendRestLengths = null;
+        this.predictedPositions = null;
+        this.grabs.clear();
+        this.grabSlack = null;
+        this.initialized = false;
+        this.isActive = false;
+    }
+    
+    /**
+     * Benchmark mode: time one physics step (update + geometry upload) on a procedural
+     * sphere of roughly the given size
+     * @param {number} vertexCount - Approximate number of vertices to simulate
+     * @param {number} steps - Number of simulation steps to time
+     * @returns {Object} { vertexCount, steps, totalMs, msPerStep }
+     */
+    static benchmark(vertexCount = 10000, steps = 300) {
+        // SphereGeometry(w, h) has (w + 1) * (h + 1) vertices; keep w = 2h like a UV sphere
+        const heightSegments = Math.max(2, Math.round(Math.sqrt(vertexCount / 2)));
+        const geometry = new SphereGeometry(1.5, heightSegments * 2, heightSegments);
+        const mesh = new Mesh(geometry);
+        mesh.updateMatrixWorld(true);
+        
+        const softBody = new SoftBodyPhysics(mesh);
+        const impactPoint = new Vector3(0, 0, 1.5);
+        const impactDirection = new Vector3(0, 0, -1);
+        const delta = 1 / 60;
+        
+        // Warm up once so JIT compilation isn't counted
+        softBody.applyImpulse(impactPoint, impactDirection, 0.36);
+        softBody.update(delta);
+        softBody.interpolate(1);
+        
+        let totalMs = 0;
+        for (let step = 0; step < steps; step++) {
+            // Keep the body active for the whole run so every step does full work
+            if (!softBody.isActive || step % 30 === 0) {
+                softBody.applyImpulse(impactPoint, impactDirection, 0.36);
+            }
+            
+            const start = performance.now();
+            softBody.update(delta);
+            softBody.interpolate(1);
+            totalMs += performance.now() - start;
+        }
+        
+        const result = {
+            vertexCount: softBody.vertexCount,
+            steps,
+            totalMs,
+            msPerStep: totalMs / steps
+        };
+        
+        softBody.dispose(); // Also frees its cloned geometry
+        geometry.dispose();
+        
+        return result;
     }
 }
-
@@ -0,0 +1,110 @@
+import { BufferGeometry, BufferAttribute, Mesh, Vector3 } from 'three';
+import { SoftBodyPhysics } from './softbody.js';
+
+/**
+ * Soft Body Worker
+ * Runs SoftBodyPhysics (integration and normal recomputation) off the main thread.
+ * The simulated mesh lives in local space with an identity transform, so impulses
+ * arrive already converted to mesh-local coordinates.
+ */
+
+let softBody = null;
+let sharedPositions = null; // Float32Array views on SharedArrayBuffers (cross-origin isolated pages only)
+let sharedNormals = null;
+const grabIds = new Map(); // Proxy grab id -> SoftBodyPhysics grab id
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init': {
+            const geometry = new BufferGeometry();
+            geometry.setAttribute('position', new BufferAttribute(message.positions, 3));
+            if (message.index) {
+                geometry.setIndex(new BufferAttribute(message.index, 1));
+            }
+            
+            softBody = new SoftBodyPhysics(new Mesh(geometry));
+            
+            if (message.sharedPositions) {
+                sharedPositions = new Float32Array(message.sharedPositions);
+                sharedNormals = new Float32Array(message.sharedNormals);
+            }
+            break;
+        }
+        
+        case 'impulse':
+            softBody.applyImpulse(
+                new Vector3().fromArray(message.point),
+                new Vector3().fromArray(message.direction),
+                message.force
+            );
+            break;
+        
+        case 'grab':
+            grabIds.set(message.id, softBody.grab(new Vector3().fromArray(message.point)));
+            break;
+        
+        case 'moveGrab':
+            if (grabIds.has(message.id)) {
+                softBody.moveGrab(grabIds.get(message.id), new Vector3().fromArray(message.point));
+            }
+            break;
+        
+        case 'releaseGrab':
+            if (grabIds.has(message.id)) {
+                softBody.releaseGrab(grabIds.get(message.id));
+                grabIds.delete(message.id);
+            }
+            break;
+        
+        case 'frame':
+            stepFrame(message);
+            break;
+        
+        case 'reset':
+            softBody.resetToOriginalImmediate();
+            grabIds.clear();
+            break;
+    }
+};
+
+/**
+ * Run the requested fixed steps, interpolate, and send positions/normals back
+ * @param {Object} message - { generation, steps, stepSize, alpha, settings, positions?, normals? }
+ */
+function stepFrame(message) {
+    Object.assign(softBody, message.settings);
+    
+    for (let i = 0; i < message.steps; i++) {
+        softBody.update(message.stepSize);
+    }
+    
+    const uploaded = softBody.needsUpload;
+    softBody.interpolate(message.alpha);
+    
+    const reply = {
+        type: 'frame',
+        generation: message.generation,
+        uploaded,
+        isActive: softBody.isActive
+    };
+    
+    const positions = softBody.geometry.attributes.position.array;
+    const normals = softBody.geometry.attributes.normal.array;
+    const sendNormals = uploaded && softBody.computeNormals; // Not needed by the GPU deformer
+    
+    if (sharedPositions) {
+        if (uploaded) sharedPositions.set(positions);
+        if (sendNormals) sharedNormals.set(normals);
+        self.postMessage(reply);
+        return;
+    }
+    
+    // Transfer mode: fill the buffers the main thread lent us and hand them back
+    if (uploaded) message.positions.set(positions);
+    if (sendNormals) message.normals.set(normals);
+    reply.positions = message.positions;
+    reply.normals = message.normals;
+    self.postMessage(reply, [message.positions.buffer, message.normals.buffer]);
+}
@@ -0,0 +1,148 @@
+/**
+ * Spatial Hash
+ * Uniform grid over a fixed set of points (flat x, y, z array), built once.
+ * Points are bucketed by cell with a counting sort, so every cell's points sit
+ * contiguously in `entries` and a radius query only visits the cells overlapping
+ * the query sphere's bounding box instead of every point.
+ */
+
+export class SpatialHash {
+    /**
+     * @param {Float32Array} points - Flat point positions (x, y, z interleaved)
+     * @param {number} [cellSize] - Grid cell edge length; defaults to about one cell
+     *   per point over the bounding box
+     * @param {number} maxCellsPerPoint - Cap on grid size relative to the point count; a
+     *   cell size that is too small for the bounds is grown instead of allocating a
+     *   huge, mostly empty grid
+     */
+    constructor(points, cellSize = 0, maxCellsPerPoint = 4) {
+        const count = points.length / 3;
+        this.count = count;
+        
+        // Bounds of the point set
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i3 = 0; i3 < points.length; i3 += 3) {
+            minX = Math.min(minX, points[i3]);
+            minY = Math.min(minY, points[i3 + 1]);
+            minZ = Math.min(minZ, points[i3 + 2]);
+            maxX = Math.max(maxX, points[i3]);
+            maxY = Math.max(maxY, points[i3 + 1]);
+            maxZ = Math.max(maxZ, points[i3 + 2]);
+        }
+        if (count === 0) {
+            minX = minY = minZ = maxX = maxY = maxZ = 0;
+        }
+        
+        if (!(cellSize > 0)) {
+            const volume = Math.max(maxX - minX, 1e-6) * Math.max(maxY - minY, 1e-6) * Math.max(maxZ - minZ, 1e-6);
+            cellSize = Math.max(Math.cbrt(volume / Math.max(count, 1)), 1e-6);
+        }
+        
+        // Grow the cells until the grid fits the budget
+        const maxCells = Math.max(1, count * maxCellsPerPoint);
+        let cells;
+        for (;;) {
+            this.dimX = Math.floor((maxX - minX) / cellSize) + 1;
+            this.dimY = Math.floor((maxY - minY) / cellSize) + 1;
+            this.dimZ = Math.floor((maxZ - minZ) / cellSize) + 1;
+            cells = this.dimX * this.dimY * this.dimZ;
+            if (cells <= maxCells) break;
+            cellSize *= Math.cbrt(cells / maxCells) * 1.01;
+        }
+        
+        this.cellSize = cellSize;
+        this.minX = minX;
+        this.minY = minY;
+        this.minZ = minZ;
+        
+        // Counting sort: points of cell c are entries[cellStarts[c] .. cellStarts[c + 1]]
+        const pointCells = new Uint32Array(count);
+        this.cellStarts = new Uint32Array(cells + 1);
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            const cell = this.cellIndex(
+                this.cellCoord(points[i3], minX, this.dimX),
+                this.cellCoord(points[i3 + 1], minY, this.dimY),
+                this.cellCoord(points[i3 + 2], minZ, this.dimZ)
+            );
+            pointCells[i] = cell;
+            this.cellStarts[cell + 1]++;
+        }
+        for (let c = 0; c < cells; c++) {
+            this.cellStarts[c + 1] += this.cellStarts[c];
+        }
+        
+        this.entries = new Uint32Array(count);
+        const fill = this.cellStarts.slice(0, cells);
+        for (let i = 0; i < count; i++) {
+            this.entries[fill[pointCells[i]]++] = i;
+        }
+        
+        // Query output buffer (reused, so queries never allocate)
+        this.results = new Uint32Array(count);
+    }
+    
+    /**
+     * Grid coordinate along one axis, clamped to the grid
+     * @param {number} value - Position along the axis
+     * @param {number} min - Grid origin along the axis
+     * @param {number} dim - Number of cells along the axis
+     * @returns {number} Cell coordinate (0 .. dim - 1)
+     */
+    cellCoord(value, min, dim) {
+        const coord = Math.floor((value - min) / this.cellSize);
+        return coord < 0 ? 0 : (coord >= dim ? dim - 1 : coord);
+    }
+    
+    cellIndex(cx, cy, cz) {
+        return (cz * this.dimY + cy) * this.dimX + cx;
+    }
+    
+    /**
+     * Collect the points in every cell overlapping a sphere's bounding box.
+     * Results are candidates - callers still do the exact distance test, which
+     * also lets them test against moved positions as long as the radius covers
+     * how far points can have drifted from where they were hashed.
+     * @param {number} x - Sphere center X
+     * @param {number} y - Sphere center Y
+     * @param {number} z - Sphere center Z
+     * @param {number} radius - Sphere radius
+     * @returns {number} Number of candidate point indices written to this.results
+     */
+    query(x, y, z, radius) {
+        // Entirely outside the grid - nothing can be in range
+        const gridMaxX = this.minX + this.dimX * this.cellSize;
+        const gridMaxY = this.minY + this.dimY * this.cellSize;
+        const gridMaxZ = this.minZ + this.dimZ * this.cellSize;
+        if (x + radius < this.minX || y + radius < this.minY || z + radius < this.minZ ||
+            x - radius > gridMaxX || y - radius > gridMaxY || z - radius > gridMaxZ) {
+            return 0;
+        }
+        
+        const x0 = this.cellCoord(x - radius, this.minX, this.dimX);
+        const x1 = this.cellCoord(x + radius, this.minX, this.dimX);
+        const y0 = this.cellCoord(y - radius, this.minY, this.dimY);
+        const y1 = this.cellCoord(y + radius, this.minY, this.dimY);
+        const z0 = this.cellCoord(z - radius, this.minZ, this.dimZ);
+        const z1 = this.cellCoord(z + radius, this.minZ, this.dimZ);
+        
+        const starts = this.cellStarts;
+        const entries = this.entries;
+        const results = this.results;
+        let found = 0;
+        
+        for (let cz = z0; cz <= z1; cz++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                // Cells along X are contiguous, so the whole row is one entry range
+                const rowStart = starts[this.cellIndex(x0, cy, cz)];
+                const rowEnd = starts[this.cellIndex(x1, cy, cz) + 1];
+                for (let e = rowStart; e < rowEnd; e++) {
+                    results[found++] = entries[e];
+                }
+            }
+        }
+        
+        return found;
+    }
+}
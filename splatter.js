@@ -0,0 +1,407 @@
+import { Group, PlaneGeometry, SphereGeometry, MeshBasicMaterial, InstancedMesh, InstancedBufferAttribute, DataTexture, RGBAFormat, DynamicDrawUsage, Vector3, Quaternion, Matrix4, MathUtils } from 'three';
+import { JUICE_CONFIG } from './config.js';
+import { SeededRandom } from './random.js';
+import { patchInstanceOpacity } from './particles.js';
+
+/**
+ * Juice Splatter
+ * Exploding peaches (and heavy smacks) throw juice droplets at the viewer. Droplets
+ * that reach an invisible pane of "glass" just in front of the camera stick to it as
+ * splat decals, which may run and drip down the glass. A peach's splats are wiped off
+ * once it has respawned.
+ *
+ * Driven purely by each peach's smack / explode / respawned events. Droplets fly in
+ * world space; the glass follows the camera, so decals stay put on screen. Both are
+ * InstancedMeshes sized up front (one draw call each).
+ */
+
+export class JuiceSplatter {
+    /**
+     * @param {Array<PeachInteraction>} interactions - The peaches to listen to
+     * @param {THREE.Scene} scene - Scene to add the droplets and glass to
+     * @param {THREE.PerspectiveCamera} camera - Camera the glass sits in front of
+     */
+    constructor(interactions, scene, camera) {
+        if (!interactions || !scene || !camera) {
+            throw new Error('JuiceSplatter: Missing required parameters');
+        }
+        
+        this.interactions = interactions;
+        this.scene = scene;
+        this.camera = camera;
+        this.enabled = JUICE_CONFIG.ENABLED;
+        this.random = new SeededRandom();
+        
+        // Droplets in flight (x, y, z interleaved); only the first `dropletCount` are live
+        const maxDroplets = JUICE_CONFIG.MAX_DROPLETS;
+        this.dropletCount = 0;
+        this.dropletPositions = new Float32Array(maxDroplets * 3);
+        this.dropletVelocities = new Float32Array(maxDroplets * 3);
+        this.dropletSizes = new Float32Array(maxDroplets);
+        this.dropletAges = new Float32Array(maxDroplets);
+        this.dropletOwners = new Uint16Array(maxDroplets); // Index of the peach the juice came from
+        
+        // Splats on the glass, recycled oldest first
+        this.decals = [];
+        for (let i = 0; i < JUICE_CONFIG.MAX_DECALS; i++) {
+            this.decals.push({ active: false, owner: 0, x: 0, y: 0, size: 0, rotation: 0, dripLength: 0, dripSpeed: 0, opacity: 1, wiping: false });
+        }
+        this.nextDecal = 0;
+        
+        this.dropletMaterial = new MeshBasicMaterial({ color: JUICE_CONFIG.COLOR });
+        this.dropletMesh = new InstancedMesh(new SphereGeometry(JUICE_CONFIG.DROPLET_RADIUS, 6, 4), this.dropletMaterial, maxDroplets);
+        this.dropletMesh.instanceMatrix.setUsage(DynamicDrawUsage);
+        this.dropletMesh.count = 0;
+        this.dropletMesh.frustumCulled = false;
+        this.scene.add(this.dropletMesh);
+        
+        // The glass: decals live in its plane, in camera space (a splat and its drip trail each take an instance)
+        this.glass = new Group();
+        this.scene.add(this.glass);
+        
+        this.splatTexture = createSplatTexture(JUICE_CONFIG.TEXTURE_SIZE);
+        this.decalMaterial = new MeshBasicMaterial({
+            color: JUICE_CONFIG.COLOR,
+            alphaMap: this.splatTexture,
+            transparent: true,
+            depthTest: false, // On the glass, in front of everything
+            depthWrite: false
+        });
+        patchInstanceOpacity(this.decalMaterial);
+        
+        const decalGeometry = new PlaneGeometry(1, 1);
+        this.decalOpacities = new InstancedBufferAttribute(new Float32Array(JUICE_CONFIG.MAX_DECALS * 2).fill(1), 1);
+        this.decalOpacities.setUsage(DynamicDrawUsage);
+        decalGeometry.setAttribute('instanceOpacity', this.decalOpacities);
+        
+        this.decalMesh = new InstancedMesh(decalGeometry, this.decalMaterial, JUICE_CONFIG.MAX_DECALS * 2);
+        this.decalMesh.instanceMatrix.setUsage(DynamicDrawUsage);
+        this.decalMesh.count = 0;
+        this.decalMesh.frustumCulled = false;
+        this.decalMesh.renderOrder = 10;
+        this.decalMesh.position.z = -JUICE_CONFIG.GLASS_DISTANCE;
+        this.glass.add(this.decalMesh);
+        
+        // Reusable objects to avoid garbage collection
+        this.tempPosition = new Vector3();
+        this.tempDirection = new Vector3();
+        this.tempScale = new Vector3();
+        this.tempQuaternion = new Quaternion();
+        this.tempMatrix = new Matrix4();
+        this.zAxis = new Vector3(0, 0, 1);
+        
+        this.unsubscribers = [];
+        interactions.forEach((interaction, index) => {
+            const events = interaction.events;
+            this.unsubscribers.push(
+                events.on('smack', (event) => this.onSmack(index, event)),
+                events.on('explode', () => this.onExplode(index)),
+                events.on('respawned', () => this.wipe(index))
+            );
+        });
+    }
+    
+    /**
+     * Restart the droplet randomness from a seed (for replays)
+     * @param {number} seed - 32-bit seed
+     */
+    setRandomSeed(seed) {
+        this.random.setSeed(seed);
+    }
+    
+    /**
+     * @param {boolean} enabled - Whether juice flies at all (turning it off clears the glass)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.clear();
+        }
+    }
+    
+    /**
+     * Heavy smacks spray a few small droplets back at the viewer
+     */
+    onSmack(owner, { point, strength }) {
+        if (!this.enabled || strength < JUICE_CONFIG.SMACK_SPRAY_THRESHOLD) return;
+        
+        for (let i = 0; i < JUICE_CONFIG.SMACK_DROPLETS; i++) {
+            this.spawnDroplet(point, JUICE_CONFIG.SMACK_SPEED, JUICE_CONFIG.SMACK_DROPLET_SIZE, owner);
+        }
+    }
+    
+    /**
+     * An exploding peach bursts into droplets from all over its surface
+     */
+    onExplode(owner) {
+        if (!this.enabled) return;
+        
+        const interaction = this.interactions[owner];
+        const center = interaction.peachGroup.position;
+        const radius = JUICE_CONFIG.BURST_RADIUS * interaction.peachState.defaultScale;
+        const origin = this.tempPosition;
+        
+        for (let i = 0; i < JUICE_CONFIG.EXPLOSION_DROPLETS; i++) {
+            origin.set(this.random.next() - 0.5, this.random.next() - 0.5, this.random.next() - 0.5).normalize();
+            origin.multiplyScalar(radius).add(center);
+            this.spawnDroplet(origin, JUICE_CONFIG.EXPLOSION_SPEED, 1, owner);
+        }
+    }
+    
+    /**
+     * Launch a droplet towards the camera (give or take SPREAD)
+     * @param {THREE.Vector3} origin - Start point (world space)
+     * @param {number} speed - Average launch speed
+     * @param {number} size - Size relative to a full explosion droplet
+     * @param {number} owner - Index of the peach it came from
+     */
+    spawnDroplet(origin, speed, size, owner) {
+        if (this.dropletCount >= JUICE_CONFIG.MAX_DROPLETS) return;
+        
+        const i = this.dropletCount++;
+        const i3 = i * 3;
+        origin.toArray(this.dropletPositions, i3);
+        
+        const direction = this.camera.getWorldPosition(this.tempDirection).sub(origin).normalize();
+        direction.x += (this.random.next() - 0.5) * 2 * JUICE_CONFIG.SPREAD;
+        direction.y += (this.random.next() - 0.5) * 2 * JUICE_CONFIG.SPREAD;
+        direction.z += (this.random.next() - 0.5) * 2 * JUICE_CONFIG.SPREAD;
+        direction.normalize().multiplyScalar(speed * (0.7 + this.random.next() * 0.6));
+        direction.toArray(this.dropletVelocities, i3);
+        
+        this.dropletSizes[i] = size * (0.5 + this.random.next());
+        this.dropletAges[i] = 0;
+        this.dropletOwners[i] = owner;
+    }
+    
+    /**
+     * Drop a droplet (the last live one takes its slot)
+     */
+    removeDroplet(i) {
+        const last = --this.dropletCount;
+        if (i === last) return;
+        
+        this.dropletPositions.copyWithin(i * 3, last * 3, last * 3 + 3);
+        this.dropletVelocities.copyWithin(i * 3, last * 3, last * 3 + 3);
+        this.dropletSizes[i] = this.dropletSizes[last];
+        this.dropletAges[i] = this.dropletAges[last];
+        this.dropletOwners[i] = this.dropletOwners[last];
+    }
+    
+    /**
+     * Stick a splat to the glass
+     * @param {number} x - Position on the glass (camera space, at GLASS_DISTANCE)
+     * @param {number} y - Position on the glass
+     * @param {number} size - Droplet size
+     * @param {number} owner - Index of the peach it came from
+     */
+    addDecal(x, y, size, owner) {
+        const decal = this.decals[this.nextDecal];
+        this.nextDecal = (this.nextDecal + 1) % this.decals.length;
+        
+        decal.active = true;
+        decal.owner = owner;
+        decal.x = x;
+        decal.y = y;
+        decal.size = JUICE_CONFIG.SPLAT_SIZE * size;
+        decal.rotation = this.random.next() * Math.PI * 2;
+        decal.dripLength = 0;
+        decal.dripSpeed = this.random.next() < JUICE_CONFIG.DRIP_CHANCE ? JUICE_CONFIG.DRIP_SPEED * size * (0.5 + this.random.next()) : 0;
+        decal.opacity = 1;
+        decal.wiping = false;
+    }
+    
+    /**
+     * Start fading out a peach's splats
+     * @param {number} owner - Index of the peach
+     */
+    wipe(owner) {
+        this.decals.forEach(decal => {
+            if (decal.active && decal.owner === owner) {
+                decal.wiping = true;
+            }
+        });
+    }
+    
+    /**
+     * Remove every droplet and splat right away
+     */
+    clear() {
+        this.dropletCount = 0;
+        this.decals.forEach(decal => {
+            decal.active = false;
+        });
+        this.dropletMesh.count = 0;
+        this.decalMesh.count = 0;
+    }
+    
+    /**
+     * Move the glass with the camera, fly the droplets and run the drips
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.enabled) return;
+        
+        this.camera.updateMatrixWorld();
+        this.camera.matrixWorld.decompose(this.glass.position, this.glass.quaternion, this.tempScale);
+        
+        this.updateDroplets(delta);
+        this.updateDecals(delta);
+    }
+    
+    updateDroplets(delta) {
+        const positions = this.dropletPositions;
+        const velocities = this.dropletVelocities;
+        const distance = JUICE_CONFIG.GLASS_DISTANCE;
+        const halfHeight = distance * Math.tan(MathUtils.degToRad(this.camera.fov) / 2);
+        const halfWidth = halfHeight * this.camera.aspect;
+        const local = this.tempPosition;
+        
+        let i = 0;
+        while (i < this.dropletCount) {
+            const i3 = i * 3;
+            velocities[i3 + 1] -= JUICE_CONFIG.GRAVITY_STRENGTH * delta;
+            positions[i3] += velocities[i3] * delta;
+            positions[i3 + 1] += velocities[i3 + 1] * delta;
+            positions[i3 + 2] += velocities[i3 + 2] * delta;
+            this.dropletAges[i] += delta;
+            
+            // Reached the glass? (the camera looks down -z)
+            local.fromArray(positions, i3).applyMatrix4(this.camera.matrixWorldInverse);
+            if (local.z >= -distance) {
+                if (local.z < 0) {
+                    const x = local.x * distance / -local.z;
+                    const y = local.y * distance / -local.z;
+                    if (Math.abs(x) <= halfWidth && Math.abs(y) <= halfHeight) {
+                        this.addDecal(x, y, this.dropletSizes[i], this.dropletOwners[i]);
+                    }
+                }
+                this.removeDroplet(i);
+                continue;
+            }
+            
+            // Missed the viewer
+            if (this.dropletAges[i] >= JUICE_CONFIG.DROPLET_LIFETIME) {
+                this.removeDroplet(i);
+                continue;
+            }
+            
+            i++;
+        }
+        
+        const matrix = this.tempMatrix;
+        for (let d = 0; d < this.dropletCount; d++) {
+            matrix.makeScale(this.dropletSizes[d], this.dropletSizes[d], this.dropletSizes[d]);
+            matrix.setPosition(positions[d * 3], positions[d * 3 + 1], positions[d * 3 + 2]);
+            this.dropletMesh.setMatrixAt(d, matrix);
+        }
+        this.dropletMesh.count = this.dropletCount;
+        this.dropletMesh.instanceMatrix.needsUpdate = true;
+    }
+    
+    updateDecals(delta) {
+        const opacities = this.decalOpacities.array;
+        const position = this.tempPosition;
+        const scale = this.tempScale;
+        const dripSlowdown = Math.pow(JUICE_CONFIG.DRIP_SLOWDOWN, delta);
+        let count = 0;
+        
+        this.decals.forEach(decal => {
+            if (!decal.active) return;
+            
+            if (decal.wiping) {
+                decal.opacity -= delta / JUICE_CONFIG.WIPE_DURATION;
+                if (decal.opacity <= 0) {
+                    decal.active = false;
+                    return;
+                }
+            }
+            
+            // Run down the glass, slowing as the juice thins out
+            if (decal.dripSpeed > 0) {
+                decal.dripLength = Math.min(JUICE_CONFIG.MAX_DRIP_LENGTH, decal.dripLength + decal.dripSpeed * delta);
+                decal.dripSpeed *= dripSlowdown;
+            }
+            
+            this.tempQuaternion.setFromAxisAngle(this.zAxis, decal.rotation);
+            this.tempMatrix.compose(position.set(decal.x, decal.y, 0), this.tempQuaternion, scale.set(decal.size, decal.size, 1));
+            this.decalMesh.setMatrixAt(count, this.tempMatrix);
+            opacities[count++] = decal.opacity;
+            
+            // Trail hangs from the splat's center
+            if (decal.dripLength > 0) {
+                this.tempQuaternion.identity();
+                position.set(decal.x, decal.y - decal.dripLength / 2, 0);
+                scale.set(decal.size * JUICE_CONFIG.DRIP_WIDTH, decal.dripLength, 1);
+                this.tempMatrix.compose(position, this.tempQuaternion, scale);
+                this.decalMesh.setMatrixAt(count, this.tempMatrix);
+                opacities[count++] = decal.opacity;
+            }
+        });
+        
+        this.decalMesh.count = count;
+        this.decalMesh.instanceMatrix.needsUpdate = true;
+        this.decalOpacities.needsUpdate = true;
+    }
+    
+    /**
+     * @returns {number} Splats currently on the glass
+     */
+    getDecalCount() {
+        return this.decals.filter(decal => decal.active).length;
+    }
+    
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        
+        this.scene.remove(this.dropletMesh);
+        this.scene.remove(this.glass);
+        this.dropletMesh.geometry.dispose();
+        this.dropletMesh.dispose();
+        this.dropletMaterial.dispose();
+        this.decalMesh.geometry.dispose();
+        this.decalMesh.dispose();
+        this.decalMaterial.dispose();
+        this.splatTexture.dispose();
+        this.interactions = [];
+    }
+}
+
+/**
+ * Alpha map of a juice splat: a blob with a wobbly rim and a few satellite drops
+ * @param {number} size - Texture width and height in pixels
+ * @returns {THREE.DataTexture} Splat texture (same value in every channel)
+ */
+function createSplatTexture(size) {
+    const data = new Uint8Array(size * size * 4);
+    const satellites = [[0.3, 0.25, 0.06], [-0.28, 0.3, 0.045], [0.33, -0.2, 0.05], [-0.1, -0.38, 0.04]];
+    
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // -0.5..0.5 across the texture
+            const u = (x + 0.5) / size - 0.5;
+            const v = (y + 0.5) / size - 0.5;
+            const angle = Math.atan2(v, u);
+            
+            // Main blob with a wobbly rim
+            const rim = 0.26 + 0.03 * Math.sin(angle * 5) + 0.02 * Math.sin(angle * 9 + 1.3);
+            let alpha = MathUtils.smoothstep(rim - Math.hypot(u, v), -0.01, 0.02);
+            
+            satellites.forEach(([sx, sy, radius]) => {
+                alpha = Math.max(alpha, MathUtils.smoothstep(radius - Math.hypot(u - sx, v - sy), -0.01, 0.01));
+            });
+            
+            const value = Math.round(alpha * 255);
+            const idx = (y * size + x) * 4;
+            data[idx] = value;
+            data[idx + 1] = value;
+            data[idx + 2] = value;
+            data[idx + 3] = 255;
+        }
+    }
+    
+    const texture = new DataTexture(data, size, size, RGBAFormat);
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,357 @@
+import { STATS_CONFIG } from './config.js';
+
+/**
+ * Session Statistics & Lifetime Records
+ * Listens to a peach's events and keeps score: smacks, the hardest smack,
+ * smacks per minute, explosions and the fastest time from first smack to
+ * explosion. Lifetime records persist in localStorage under a schema version,
+ * and the whole thing can be exported/imported as JSON for leaderboards.
+ *
+ * Time is the sum of update() deltas, so stats follow the simulation clock
+ * (pausing the loop pauses the stopwatch). Smacks and explosions are saved on
+ * the overlay refresh tick rather than one storage write each, and flushed on
+ * dispose and when the page is hidden. Paused while a replay plays recorded
+ * smacks back, so they don't count as new play.
+ */
+
+// Migrations from older saved data: MIGRATIONS[n] turns version n data into version n + 1
+const MIGRATIONS = {};
+
+function createSessionStats() {
+    return {
+        totalSmacks: 0,
+        hardestSmack: 0,        // Strongest smack (0-2 swipe scale)
+        smacksPerMinute: 0,     // Smacks within the last minute
+        explosions: 0,
+        fastestExplosion: null, // Seconds from the first smack of a rage run to its explosion
+        duration: 0             // Seconds the session has been running
+    };
+}
+
+function createLifetimeRecords() {
+    return {
+        totalSmacks: 0,
+        totalExplosions: 0,
+        hardestSmack: 0,
+        bestSmacksPerMinute: 0,
+        fastestExplosion: null,
+        sessions: 0
+    };
+}
+
+function getDefaultStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null; // No window (Node) or storage blocked by privacy settings
+    }
+}
+
+/**
+ * Keep the better of two "fastest" times (null means no record yet)
+ */
+function fastest(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+    return Math.min(a, b);
+}
+
+export class SessionStats {
+    /**
+     * @param {PeachEventEmitter} events - The peach's event bus
+     * @param {HTMLElement} root - Element holding the .stats-overlay (optional)
+     * @param {Storage} storage - Where lifetime records live (defaults to localStorage, null to keep them in memory)
+     */
+    constructor(events, root = null, storage = getDefaultStorage()) {
+        if (!events) {
+            throw new Error('SessionStats: Missing event bus');
+        }
+        
+        this.events = events;
+        this.storage = storage;
+        this.session = createSessionStats();
+        this.lifetime = this.load();
+        
+        // Counted this session but not written to storage yet (merged on save, so
+        // several peaches or tabs don't overwrite each other's totals)
+        this.pending = { smacks: 0, explosions: 0, sessions: 1 };
+        this.dirty = false; // Something changed since the last save
+        this.paused = false; // Ignoring the peach's events (during a replay)
+        
+        this.elapsed = 0;
+        this.recentSmackTimes = []; // Times of the smacks within the smacks-per-minute window
+        this.runStartTime = null;   // Time of the first smack since the rage was last empty
+        this.displayTimer = 0;
+        
+        this.overlay = root ? root.querySelector('.stats-overlay') : null;
+        
+        // Last chance to save when the tab is closed or backgrounded
+        this.onPageHide = () => this.flush();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', this.onPageHide);
+        }
+        
+        this.unsubscribers = [
+            events.on('smack', (event) => this.onSmack(event)),
+            events.on('explode', () => this.onExplode()),
+            events.on('rageChanged', ({ rageLevel }) => {
+                // Rage drained away without an explosion - the next smack starts a new run
+                if (rageLevel === 0 && !this.paused) this.runStartTime = null;
+            })
+        ];
+        
+        this.save();
+        this.updateOverlay();
+    }
+    
+    /**
+     * Stop (or resume) counting the peach's smacks and explosions
+     * @param {boolean} paused - True to ignore them
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+    
+    onSmack({ strength }) {
+        if (this.paused) return;
+        
+        const session = this.session;
+        
+        session.totalSmacks++;
+        session.hardestSmack = Math.max(session.hardestSmack, strength);
+        this.pending.smacks++;
+        
+        this.recentSmackTimes.push(this.elapsed);
+        this.updateSmacksPerMinute();
+        
+        if (this.runStartTime === null) {
+            this.runStartTime = this.elapsed;
+        }
+        
+        this.dirty = true;
+        this.updateOverlay();
+    }
+    
+    onExplode() {
+        if (this.paused) return;
+        
+        const session = this.session;
+        
+        session.explosions++;
+        this.pending.explosions++;
+        
+        if (this.runStartTime !== null) {
+            session.fastestExplosion = fastest(session.fastestExplosion, this.elapsed - this.runStartTime);
+            this.runStartTime = null;
+        }
+        
+        this.dirty = true;
+        this.updateOverlay();
+    }
+    
+    /**
+     * Advance the stats clock (call once per frame)
+     * @param {number} delta - Time delta since last frame
+     */
+    update(delta) {
+        this.elapsed += delta;
+        this.session.duration = this.elapsed;
+        
+        this.displayTimer += delta;
+        if (this.displayTimer >= STATS_CONFIG.DISPLAY_UPDATE_INTERVAL) {
+            this.displayTimer = 0;
+            this.updateSmacksPerMinute();
+            this.flush();
+            this.updateOverlay();
+        }
+    }
+    
+    updateSmacksPerMinute() {
+        const windowStart = this.elapsed - STATS_CONFIG.SMACKS_PER_MINUTE_WINDOW;
+        while (this.recentSmackTimes.length > 0 && this.recentSmackTimes[0] < windowStart) {
+            this.recentSmackTimes.shift();
+        }
+        
+        // Scaled to a full minute if the window is longer or shorter than 60 seconds
+        this.session.smacksPerMinute = this.recentSmackTimes.length * 60 / STATS_CONFIG.SMACKS_PER_MINUTE_WINDOW;
+    }
+    
+    /**
+     * Read lifetime records from storage, migrating older schema versions
+     * @returns {Object} Lifetime records
+     */
+    load() {
+        if (!this.storage) return createLifetimeRecords();
+        
+        try {
+            const saved = this.storage.getItem(STATS_CONFIG.STORAGE_KEY);
+            if (!saved) return createLifetimeRecords();
+            
+            const data = JSON.parse(saved);
+            if (data && data.version > STATS_CONFIG.SCHEMA_VERSION) {
+                // Saved by a newer build - keep it intact rather than overwrite it with our schema
+                console.warn('⚠️ Saved stats are from a newer version, not saving this session');
+                this.storage = null;
+                return createLifetimeRecords();
+            }
+            
+            return this.parseRecords(data);
+        } catch (error) {
+            console.warn('⚠️ Could not read saved stats, starting fresh:', error);
+            return createLifetimeRecords();
+        }
+    }
+    
+    /**
+     * Validate saved/imported data and bring it up to the current schema
+     * @param {Object} data - { version, lifetime }
+     * @returns {Object} Lifetime records
+     */
+    parseRecords(data) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            throw new Error('SessionStats: Stats data has no schema version');
+        }
+        if (data.version > STATS_CONFIG.SCHEMA_VERSION) {
+            throw new Error(`SessionStats: Stats schema v${data.version} is newer than this app (v${STATS_CONFIG.SCHEMA_VERSION})`);
+        }
+        
+        let migrated = data;
+        for (let version = data.version; version < STATS_CONFIG.SCHEMA_VERSION; version++) {
+            if (!MIGRATIONS[version]) {
+                throw new Error(`SessionStats: No migration from stats schema v${version}`);
+            }
+            migrated = MIGRATIONS[version](migrated);
+        }
+        
+        // Keep only known fields with sane values
+        const records = createLifetimeRecords();
+        const lifetime = migrated.lifetime || {};
+        for (const key of Object.keys(records)) {
+            const value = lifetime[key];
+            if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+                records[key] = value;
+            }
+        }
+        return records;
+    }
+    
+    /**
+     * Merge this session into the stored lifetime records
+     */
+    save() {
+        // Start from what's stored now, in case another peach or tab saved meanwhile
+        const lifetime = this.load();
+        
+        lifetime.totalSmacks += this.pending.smacks;
+        lifetime.totalExplosions += this.pending.explosions;
+        lifetime.sessions += this.pending.sessions;
+        lifetime.hardestSmack = Math.max(lifetime.hardestSmack, this.session.hardestSmack);
+        lifetime.bestSmacksPerMinute = Math.max(lifetime.bestSmacksPerMinute, this.session.smacksPerMinute);
+        lifetime.fastestExplosion = fastest(lifetime.fastestExplosion, this.session.fastestExplosion);
+        
+        this.lifetime = lifetime;
+        this.pending = { smacks: 0, explosions: 0, sessions: 0 };
+        this.dirty = false;
+        this.write();
+    }
+    
+    /**
+     * Save if anything changed since the last save
+     */
+    flush() {
+        if (this.dirty) this.save();
+    }
+    
+    write() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(STATS_CONFIG.STORAGE_KEY, JSON.stringify({
+                version: STATS_CONFIG.SCHEMA_VERSION,
+                lifetime: this.lifetime
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save stats:', error);
+        }
+    }
+    
+    /**
+     * Current session stats and lifetime records
+     * @returns {Object} { session, lifetime } (copies)
+     */
+    getStats() {
+        this.flush(); // Lifetime records include this session's latest smacks
+        
+        return {
+            session: { ...this.session },
+            lifetime: { ...this.lifetime }
+        };
+    }
+    
+    /**
+     * @returns {string} Stats as JSON ({ version, exportedAt, session, lifetime })
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: STATS_CONFIG.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...this.getStats()
+        }, null, 2);
+    }
+    
+    /**
+     * Replace the lifetime records with exported ones (e.g. moving to another device)
+     * @param {string|Object} json - Output of exportJSON()
+     * @returns {boolean} True if the data was valid and imported
+     */
+    importJSON(json) {
+        try {
+            const data = typeof json === 'string' ? JSON.parse(json) : json;
+            this.lifetime = this.parseRecords(data);
+        } catch (error) {
+            console.error('importJSON: Invalid stats data:', error);
+            return false;
+        }
+        
+        this.pending = { smacks: 0, explosions: 0, sessions: 0 };
+        this.dirty = false;
+        this.write();
+        this.updateOverlay();
+        return true;
+    }
+    
+    /**
+     * Refresh the stats overlay next to the rage meter
+     */
+    updateOverlay() {
+        if (!this.overlay) return;
+        
+        const session = this.session;
+        const lifetime = this.lifetime;
+        const formatTime = (seconds) => seconds === null ? '--' : `${seconds.toFixed(1)}s`;
+        
+        this.overlay.innerHTML = `
+            <div class="stats-row">
+                <span title="Smacks">👋 ${session.totalSmacks}</span>
+                <span title="Hardest smack">💪 ${session.hardestSmack.toFixed(2)}</span>
+                <span title="Smacks in the last minute">⚡ ${Math.round(session.smacksPerMinute)}/min</span>
+                <span title="Explosions">💥 ${session.explosions}</span>
+                <span title="Fastest explosion">⏱️ ${formatTime(session.fastestExplosion)}</span>
+            </div>
+            <div class="stats-row stats-records">
+                Best: 💪 ${lifetime.hardestSmack.toFixed(2)} · ⚡ ${Math.round(lifetime.bestSmacksPerMinute)}/min · ⏱️ ${formatTime(lifetime.fastestExplosion)}
+            </div>
+        `;
+        
+        this.overlay.classList.toggle('visible', session.totalSmacks > 0 || lifetime.totalSmacks > 0);
+    }
+    
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', this.onPageHide);
+        }
+        this.flush();
+    }
+}
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, Vector3 } from 'three';
+import { PeachCollisions } from '../collisions.js';
+import { InputRecorder, InputReplayer } from '../recorder.js';
+import { getSpawnLayout } from '../layouts.js';
+import { createHeadlessPeach, smackFront, runFor, maxDistance, HARNESS_SEED, FRAME_DELTA } from './harness.js';
+
+const SPACING = 3.5; // Full-size harness peaches are 3 wide
+
+function createPeachRow(count) {
+    const scene = new Scene();
+    const interactions = getSpawnLayout('row', count, SPACING).map((position, index) => {
+        const { interaction } = createHeadlessPeach({ scene, seed: HARNESS_SEED + index });
+        interaction.setDefaultPosition(position);
+        return interaction;
+    });
+    
+    const collisions = new PeachCollisions(interactions);
+    return {
+        interactions,
+        collisions,
+        update(delta) {
+            interactions.forEach(interaction => interaction.update(delta));
+            collisions.update();
+        }
+    };
+}
+
+test('named layouts space neighbours evenly', () => {
+    for (const layout of ['row', 'grid', 'circle']) {
+        const positions = getSpawnLayout(layout, 4, 2);
+        assert.equal(positions.length, 4);
+        
+        const nearest = positions.map((position, i) => Math.min(...positions
+            .filter((other, j) => j !== i)
+            .map(other => position.distanceTo(other))));
+        nearest.forEach(distance => assert.ok(Math.abs(distance - 2) < 1e-9, `${layout}: neighbour ${distance} away`));
+    }
+    
+    const custom = getSpawnLayout([[1, 2, 3]], 2, 2);
+    assert.deepEqual(custom[0].toArray(), [1, 2, 3]);
+    assert.equal(custom.length, 2);
+});
+
+test('peaches at rest in a layout never touch', () => {
+    const { interactions, update } = createPeachRow(3);
+    
+    runFor({ update }, 1);
+    
+    interactions.forEach(interaction => {
+        assert.equal(interaction.peachState.isWobbling, false);
+        assert.equal(interaction.peachState.softBodies[0].isActive, false);
+    });
+});
+
+test('a smacked peach bumps its neighbour, which jiggles and wobbles away', () => {
+    const { interactions, update } = createPeachRow(2);
+    const [left, right] = interactions;
+    let bumped = false;
+    
+    smackFront(left, 2, { x: 1, y: 0, z: 0 });
+    runFor({ update }, 1, () => {
+        bumped = right.peachState.velocity.x > 0;
+        return bumped;
+    });
+    
+    assert.ok(bumped, 'the neighbour never got hit');
+    assert.equal(right.peachState.isWobbling, true);
+    assert.equal(right.peachState.softBodies[0].isActive, true);
+    assert.ok(left.peachState.velocity.x < right.peachState.velocity.x, 'momentum was not exchanged');
+});
+
+test('colliding peaches are pushed apart and settle back into the layout', () => {
+    const { interactions, collisions, update } = createPeachRow(2);
+    const [left, right] = interactions;
+    const minimumDistance = collisions.getRadius(left) + collisions.getRadius(right);
+    let closest = Infinity;
+    
+    smackFront(left, 2, { x: 1, y: 0, z: 0 });
+    smackFront(right, 2, { x: -1, y: 0, z: 0 });
+    runFor({ update }, 8, () => {
+        closest = Math.min(closest, left.peachGroup.position.distanceTo(right.peachGroup.position));
+    });
+    
+    // One frame of overlap at most before the push-out
+    assert.ok(closest > minimumDistance * 0.8, `peaches sank ${minimumDistance - closest} into each other`);
+    interactions.forEach(interaction => {
+        assert.equal(interaction.peachState.isWobbling, false);
+        assert.equal(interaction.peachState.physicsOffset.length(), 0);
+    });
+});
+
+test('overlaps are pushed out from the stepped pose without a pop', () => {
+    const { interactions, collisions } = createPeachRow(2);
+    const [left, right] = interactions;
+    const minimumDistance = collisions.getRadius(left) + collisions.getRadius(right);
+    
+    // Shove the right peach halfway into the left one, already on its way back out
+    right.peachState.physicsOffset.x = minimumDistance / 2 - SPACING;
+    right.peachState.previousPhysicsOffset.copy(right.peachState.physicsOffset);
+    right.peachState.velocity.x = 0.5;
+    right.peachState.isWobbling = true;
+    interactions.forEach(interaction => interaction.update(FRAME_DELTA));
+    
+    const steppedDistance = () => collisions.getCenter(right, new Vector3()).distanceTo(collisions.getCenter(left, new Vector3()));
+    const renderedDistance = () => left.peachGroup.position.distanceTo(right.peachGroup.position);
+    const overlap = minimumDistance - steppedDistance();
+    const rendered = renderedDistance();
+    const steps = interactions.map(({ peachState }) => peachState.physicsOffset.clone().sub(peachState.previousPhysicsOffset));
+    assert.ok(overlap > 0);
+    
+    collisions.update();
+    
+    assert.ok(Math.abs(steppedDistance() - minimumDistance) < 1e-9, `stepped centers ${steppedDistance()} apart`);
+    assert.ok(Math.abs(renderedDistance() - rendered - overlap) < 1e-9, 'rendered peaches did not move with the push');
+    
+    // Both ends of the interpolation moved together
+    interactions.forEach(({ peachState }, index) => {
+        const step = peachState.physicsOffset.clone().sub(peachState.previousPhysicsOffset);
+        assert.ok(step.distanceTo(steps[index]) < 1e-12);
+    });
+});
+
+test('exploding peaches drop out of the collisions', () => {
+    const { interactions, collisions } = createPeachRow(2);
+    
+    assert.equal(collisions.isCollidable(interactions[0]), true);
+    interactions[0].triggerExplosion();
+    assert.equal(collisions.isCollidable(interactions[0]), false);
+});
+
+test('a recorded peach sits out the collisions, so its replay among neighbours matches', () => {
+    const live = createPeachRow(2);
+    const [left, right] = live.interactions;
+    const minimumDistance = live.collisions.getRadius(left) + live.collisions.getRadius(right);
+    let closest = Infinity;
+    
+    const recorder = new InputRecorder(left);
+    recorder.start();
+    assert.equal(live.collisions.isCollidable(left), false);
+    
+    // Both peaches swing into each other while the left one is recorded
+    smackFront(left, 2, { x: 1, y: 0, z: 0 });
+    smackFront(right, 2, { x: -1, y: 0, z: 0 });
+    runFor(live, 1, () => {
+        closest = Math.min(closest, left.peachGroup.position.distanceTo(right.peachGroup.position));
+    });
+    const recording = recorder.stop();
+    assert.ok(closest < minimumDistance, 'the peaches never overlapped');
+    assert.equal(live.collisions.isCollidable(left), true);
+    
+    // Same on a fresh row, the neighbour smacked live again and the collisions running
+    const replayed = createPeachRow(2);
+    const [replayedLeft, replayedRight] = replayed.interactions;
+    const replayer = new InputReplayer(replayedLeft, recording);
+    replayer.start();
+    assert.equal(replayed.collisions.isCollidable(replayedLeft), false);
+    smackFront(replayedRight, 2, { x: -1, y: 0, z: 0 });
+    while (replayer.step()) {
+        replayedRight.update(FRAME_DELTA);
+        replayed.collisions.update();
+    }
+    
+    const positions = ({ peachState }) => peachState.softBodies[0].geometry.attributes.position.array;
+    assert.equal(maxDistance(positions(replayedLeft), positions(left)), 0);
+    assert.deepEqual(replayedLeft.peachGroup.position.toArray(), left.peachGroup.position.toArray());
+});
@@ -0,0 +1,113 @@
+import { Scene, Group, PerspectiveCamera, SphereGeometry, MeshStandardMaterial, Mesh, BufferAttribute, Vector3 } from 'three';
+import { PeachInteraction } from '../interaction.js';
+import { SoftBodyPhysics } from '../softbody.js';
+
+/**
+ * Headless Simulation Harness
+ * Builds the peach physics against plain Three.js geometry - no renderer, no DOM,
+ * no audio - so the simulation can be stepped and checked from Node:
+ *
+ *   npm test
+ *
+ * Peaches are muted, seeded and keep their soft bodies on the main thread, so every
+ * run rolls the same numbers.
+ */
+
+export const FRAME_DELTA = 1 / 60;
+export const HARNESS_SEED = 12345;
+
+/**
+ * Sphere standing in for the peach model, with the vertex colors impact marks tint
+ * @param {number} segments - Width segments (height is half)
+ * @returns {THREE.Mesh} Mesh with its world matrix up to date
+ */
+export function createPeachMesh(segments = 24) {
+    const geometry = new SphereGeometry(1.5, segments, segments / 2);
+    const colors = new Float32Array(geometry.attributes.position.count * 3).fill(1);
+    geometry.setAttribute('color', new BufferAttribute(colors, 3));
+    
+    const mesh = new Mesh(geometry, new MeshStandardMaterial({ vertexColors: true }));
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+/**
+ * Soft body on its own (no rigid wobble, rage or explosion)
+ * @param {number} segments - Sphere width segments
+ * @returns {SoftBodyPhysics} Soft body
+ */
+export function createSoftBodyPhysics(segments = 24) {
+    return new SoftBodyPhysics(createPeachMesh(segments));
+}
+
+/**
+ * Full peach simulation: interaction, soft body and particle explosion in a bare scene
+ * @param {Object} options - { segments, seed, scene (to share one between peaches) }
+ * @returns {Object} { interaction, scene, group, camera, mesh }
+ */
+export function createHeadlessPeach({ segments = 24, seed = HARNESS_SEED, scene = new Scene() } = {}) {
+    const group = new Group();
+    scene.add(group);
+    
+    const camera = new PerspectiveCamera(75, 1, 0.1, 1000);
+    camera.position.z = 5;
+    camera.updateMatrixWorld(); // No renderer does it here, and pointer raycasts need it
+    
+    const mesh = createPeachMesh(segments);
+    group.add(mesh);
+    
+    const interaction = new PeachInteraction(group, camera, scene);
+    interaction.muted = true;
+    interaction.setPeachMesh([mesh]);
+    interaction.resetSimulation(false);
+    interaction.setRandomSeed(seed);
+    
+    return { interaction, scene, group, camera, mesh };
+}
+
+/**
+ * Smack the front of the peach
+ * @param {PeachInteraction} interaction - The peach
+ * @param {number} strength - Smack strength (0-2 swipe scale)
+ * @param {Object} direction - Smack direction (defaults to into the screen, slightly sideways)
+ * @returns {boolean} True if the smack landed
+ */
+export function smackFront(interaction, strength = 1, direction = { x: 0.3, y: 0, z: -1 }) {
+    return interaction.smackAt(new Vector3(0, 0, 1.5), direction, strength);
+}
+
+/**
+ * Step a simulation frame by frame
+ * @param {Object} target - Anything with update(delta) (a PeachInteraction, SoftBodyPhysics, ...)
+ * @param {number} seconds - Simulated time to run
+ * @param {Function} onFrame - Called after every frame with the frame index (return true to stop early)
+ * @returns {number} Simulated seconds actually run
+ */
+export function runFor(target, seconds, onFrame = null) {
+    const frames = Math.round(seconds / FRAME_DELTA);
+    
+    for (let frame = 0; frame < frames; frame++) {
+        target.update(FRAME_DELTA);
+        if (onFrame && onFrame(frame)) {
+            return (frame + 1) * FRAME_DELTA;
+        }
+    }
+    return frames * FRAME_DELTA;
+}
+
+/**
+ * Largest distance any vertex sits from its rest position
+ * @param {Float32Array} positions - Flat xyz positions
+ * @param {Float32Array} originalPositions - Flat xyz rest positions
+ * @returns {number} Maximum displacement
+ */
+export function maxDistance(positions, originalPositions) {
+    let maxSq = 0;
+    for (let i3 = 0; i3 < positions.length; i3 += 3) {
+        const dx = positions[i3] - originalPositions[i3];
+        const dy = positions[i3 + 1] - originalPositions[i3 + 1];
+        const dz = positions[i3 + 2] - originalPositions[i3 + 2];
+        maxSq = Math.max(maxSq, dx * dx + dy * dy + dz * dz);
+    }
+    return Math.sqrt(maxSq);
+}
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INTERACTION_CONFIG, PARTICLE_CONFIG, PHYSICS_CONFIG } from '../config.js';
+import { createHeadlessPeach, smackFront, runFor, maxDistance, FRAME_DELTA } from './harness.js';
+
+// The rigid wobble outlasts the jiggle; after a single smack both die down within this
+const SETTLE_SECONDS = 5;
+
+test(`peach settles within ${SETTLE_SECONDS}s of a smack`, () => {
+    const { interaction } = createHeadlessPeach();
+    let settled = 0;
+    interaction.events.on('settled', () => settled++);
+    
+    assert.equal(smackFront(interaction, 1.2), true);
+    runFor(interaction, SETTLE_SECONDS, () => settled > 0);
+    
+    const peachState = interaction.peachState;
+    assert.equal(settled, 1, `no 'settled' event within ${SETTLE_SECONDS}s`);
+    assert.equal(peachState.isWobbling, false);
+    assert.equal(peachState.softBodies[0].isActive, false);
+    assert.equal(peachState.physicsOffset.length(), 0);
+});
+
+test('smacked soft body stays within maxDisplacement and comes back to rest exactly', () => {
+    const { interaction, mesh } = createHeadlessPeach();
+    interaction.setExplosionThreshold(1000); // Keep it from exploding mid-flurry
+    const softBody = interaction.peachState.softBodies[0];
+    const geometryPositions = mesh.geometry.attributes.position.array;
+    let largest = 0;
+    
+    runFor(interaction, 2 + SETTLE_SECONDS, (frame) => {
+        if (frame % 15 === 0 && frame < 120) smackFront(interaction, 2);
+        
+        largest = Math.max(largest, maxDistance(geometryPositions, softBody.originalPositions));
+    });
+    
+    assert.ok(largest > 0, 'smacks did not deform the skin');
+    assert.ok(largest <= softBody.maxDisplacement + 1e-6, `displacement ${largest} exceeds ${softBody.maxDisplacement}`);
+    assert.equal(maxDistance(softBody.positions, softBody.originalPositions), 0);
+    assert.equal(maxDistance(geometryPositions, softBody.originalPositions), 0);
+});
+
+test('rage resets after an explosion and the peach respawns', () => {
+    const { interaction, mesh } = createHeadlessPeach();
+    const peachState = interaction.peachState;
+    const explosions = [];
+    let respawned = 0;
+    interaction.events.on('explode', ({ rageLevel }) => explosions.push(rageLevel));
+    interaction.events.on('respawned', () => respawned++);
+    
+    // Smack until the rage meter fills
+    for (let i = 0; i < 100 && explosions.length === 0; i++) {
+        smackFront(interaction, 2);
+        runFor(interaction, 0.1);
+    }
+    
+    assert.equal(explosions.length, 1, 'rage never blew the peach up');
+    assert.equal(explosions[0], peachState.explosionThreshold);
+    assert.equal(peachState.rageLevel, 0);
+    assert.equal(mesh.visible, false);
+    assert.equal(smackFront(interaction, 1), false, 'smacked mid-explosion');
+    
+    runFor(interaction, PARTICLE_CONFIG.FALL_DURATION + INTERACTION_CONFIG.RESPAWN_DURATION + 0.5, () => respawned > 0);
+    
+    assert.equal(respawned, 1);
+    assert.equal(mesh.visible, true);
+    assert.equal(peachState.rageLevel, 0);
+    assert.equal(maxDistance(peachState.softBodies[0].positions, peachState.softBodies[0].originalPositions), 0);
+    assert.equal(smackFront(interaction, 1), true);
+});
+
+for (const style of ['particles', 'fracture']) {
+    test(`reassembly respawn flies the ${style} back together before revealing the peach`, () => {
+        const previousStyle = PARTICLE_CONFIG.STYLE;
+        PARTICLE_CONFIG.STYLE = style;
+        
+        try {
+            const { interaction, mesh } = createHeadlessPeach();
+            const peachState = interaction.peachState;
+            const explosion = peachState.particleExplosion;
+            peachState.respawnStyle = 'reassemble';
+            
+            let respawned = 0;
+            interaction.events.on('respawned', () => respawned++);
+            
+            const gap = () => maxDistance(explosion.positions.subarray(0, explosion.count * 3), explosion.originalPositions.subarray(0, explosion.count * 3));
+            
+            interaction.triggerExplosion();
+            runFor(interaction, PARTICLE_CONFIG.FALL_DURATION + 0.5, () => peachState.isRespawning);
+            
+            assert.equal(peachState.isReassembling, true);
+            assert.equal(mesh.visible, false);
+            assert.ok(explosion.count > 0);
+            const fallenGap = gap();
+            
+            // Pieces close in on the peach, which only shows once they're there
+            let lastGap = fallenGap;
+            const took = runFor(interaction, INTERACTION_CONFIG.RESPAWN_DURATION + 0.5, () => {
+                if (respawned > 0) return true;
+                assert.equal(mesh.visible, false);
+                lastGap = gap();
+                return false;
+            });
+            
+            assert.equal(respawned, 1);
+            assert.ok(Math.abs(took - INTERACTION_CONFIG.RESPAWN_DURATION) < 0.05, `respawned after ${took}s`);
+            assert.ok(lastGap < fallenGap / 100, `pieces ${lastGap} from home (fell ${fallenGap})`);
+            assert.equal(mesh.visible, true);
+            assert.equal(explosion.count, 0);
+            assert.equal(peachState.isReassembling, false);
+            assert.equal(smackFront(interaction, 1), true);
+        } finally {
+            PARTICLE_CONFIG.STYLE = previousStyle;
+        }
+    });
+}
+
+test('same seed, same simulation', () => {
+    const runs = [1, 2].map(() => {
+        const { interaction, group } = createHeadlessPeach();
+        const trace = [];
+        
+        runFor(interaction, 2, (frame) => {
+            if (frame % 20 === 0) smackFront(interaction, 1.5);
+            trace.push(group.position.x, group.position.y, group.rotation.x, group.rotation.z);
+        });
+        return trace;
+    });
+    
+    assert.deepEqual(runs[0], runs[1]);
+});
+
+test('resetting the simulation frees the soft body geometry it replaces', () => {
+    const { interaction, mesh } = createHeadlessPeach();
+    const replaced = mesh.geometry;
+    let disposed = 0;
+    replaced.addEventListener('dispose', () => disposed++);
+    
+    interaction.resetSimulation(false);
+    
+    assert.equal(disposed, 1);
+    assert.notEqual(mesh.geometry, replaced);
+    assert.equal(interaction.peachState.softBodies[0].geometry, mesh.geometry);
+});
+
+test('soft bodies go back to the default mode once the skin is at rest', () => {
+    const { interaction } = createHeadlessPeach(); // Main thread, as during a recording
+    const peachState = interaction.peachState;
+    assert.equal(interaction.softBodyWorker, false);
+    
+    smackFront(interaction, 1.2);
+    const jiggling = peachState.softBodies[0];
+    interaction.restoreSoftBodyMode();
+    interaction.update(FRAME_DELTA);
+    assert.equal(peachState.softBodies[0], jiggling, 'swapped mid-jiggle');
+    
+    runFor(interaction, SETTLE_SECONDS, () => peachState.softBodies[0] !== jiggling);
+    
+    assert.notEqual(peachState.softBodies[0], jiggling);
+    assert.equal(interaction.softBodyWorker, PHYSICS_CONFIG.SOFT_BODY_WORKER);
+    assert.equal(interaction.pendingSoftBodyWorker, null);
+});
+
+test('rage drains quietly and reports only when it runs out', () => {
+    const { interaction } = createHeadlessPeach();
+    const peachState = interaction.peachState;
+    const changes = [];
+    interaction.events.on('rageChanged', (event) => changes.push(event));
+    
+    smackFront(interaction, 1.2);
+    assert.equal(changes.length, 1);
+    const rageAfterSmack = peachState.rageLevel;
+    
+    runFor(interaction, rageAfterSmack / peachState.rageDecayRate + 1, () => peachState.rageLevel === 0);
+    
+    assert.equal(peachState.rageLevel, 0);
+    assert.equal(changes.length, 2);
+    assert.equal(changes[1].rageLevel, 0);
+    assert.ok(changes[1].previousRageLevel > 0 && changes[1].previousRageLevel < rageAfterSmack);
+});
@@ -0,0 +1,236 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene, Texture, Vector3, PerspectiveCamera, MathUtils } from 'three';
+import { ParticleExplosion } from '../particles.js';
+import { SeededRandom } from '../random.js';
+import { PARTICLE_CONFIG } from '../config.js';
+import { createPeachMesh, runFor, HARNESS_SEED } from './harness.js';
+
+function createExplosion(onComplete = null, camera = null) {
+    const scene = new Scene();
+    const mesh = createPeachMesh(48);
+    const random = new SeededRandom(HARNESS_SEED);
+    const explosion = new ParticleExplosion([mesh], scene, onComplete, random.next, camera);
+    return { explosion, mesh, scene };
+}
+
+/**
+ * Run with some PARTICLE_CONFIG values changed, putting them back afterwards
+ */
+function withParticleConfig(overrides, run) {
+    const previous = {};
+    Object.keys(overrides).forEach(key => {
+        previous[key] = PARTICLE_CONFIG[key];
+        PARTICLE_CONFIG[key] = overrides[key];
+    });
+    
+    try {
+        run();
+    } finally {
+        Object.assign(PARTICLE_CONFIG, previous);
+    }
+}
+
+function totalSpread(explosion) {
+    const positions = explosion.positions;
+    let sum = 0;
+    for (let i = 0; i < explosion.count * 3; i += 3) {
+        sum += Math.hypot(positions[i], positions[i + 1], positions[i + 2]);
+    }
+    return sum;
+}
+
+function totalHeight(explosion) {
+    let sum = 0;
+    for (let i = 0; i < explosion.count * 3; i += 3) {
+        sum += explosion.positions[i + 1];
+    }
+    return sum;
+}
+
+test('explosion swaps the peach for particles and respawns after FALL_DURATION', () => {
+    let completed = 0;
+    const { explosion, mesh } = createExplosion(() => completed++);
+    
+    explosion.explode();
+    
+    assert.equal(explosion.isActive(), true);
+    assert.equal(mesh.visible, false);
+    assert.ok(explosion.count > 0);
+    assert.ok(explosion.count <= PARTICLE_CONFIG.MAX_PARTICLES, `${explosion.count} particles`);
+    assert.equal(explosion.instancedMesh.count, explosion.count);
+    assert.equal(explosion.instancedMesh.visible, true);
+    
+    const finishedAfter = runFor(explosion, PARTICLE_CONFIG.FALL_DURATION + 1, () => completed > 0);
+    
+    assert.equal(completed, 1);
+    assert.ok(Math.abs(finishedAfter - PARTICLE_CONFIG.FALL_DURATION) < 0.05, `finished after ${finishedAfter}s`);
+    assert.equal(explosion.isActive(), false);
+    assert.equal(explosion.count, 0);
+    assert.equal(explosion.instancedMesh.count, 0);
+    assert.equal(explosion.instancedMesh.visible, false);
+});
+
+test('particles fly outwards, then fall', () => {
+    const { explosion } = createExplosion();
+    explosion.explode();
+    
+    const startSpread = totalSpread(explosion);
+    const startHeight = totalHeight(explosion);
+    
+    runFor(explosion, PARTICLE_CONFIG.FALL_DURATION * 0.9);
+    
+    const spread = totalSpread(explosion);
+    const height = totalHeight(explosion);
+    assert.ok(spread > startSpread, 'particles did not scatter');
+    assert.ok(height < startHeight, 'particles did not fall');
+});
+
+test('cancel clears the particles without respawning', () => {
+    let completed = 0;
+    const { explosion } = createExplosion(() => completed++);
+    
+    explosion.explode();
+    runFor(explosion, 0.5);
+    explosion.cancel();
+    
+    assert.equal(explosion.isActive(), false);
+    assert.equal(explosion.count, 0);
+    assert.equal(completed, 0);
+});
+
+test('particles are tinted per instance and reuse their buffers between explosions', () => {
+    const { explosion, mesh } = createExplosion();
+    const colors = mesh.geometry.attributes.color;
+    colors.setXYZ(0, 1, 0, 0); // Impact mark on the first vertex
+    
+    const matrices = explosion.instancedMesh.instanceMatrix.array;
+    explosion.explode();
+    
+    const instanceColors = explosion.instancedMesh.instanceColor.array;
+    assert.deepEqual(Array.from(instanceColors.slice(0, 3)), [1, 0, 0]);
+    assert.deepEqual(Array.from(instanceColors.slice(3, 6)), [1, 1, 1]);
+    
+    runFor(explosion, PARTICLE_CONFIG.FADE_START_TIME + PARTICLE_CONFIG.FADE_DURATION / 2);
+    const opacity = explosion.opacities.array[0];
+    assert.ok(opacity > 0 && opacity < 1, `opacity ${opacity}`);
+    
+    explosion.cancel();
+    mesh.visible = true;
+    explosion.explode();
+    
+    assert.equal(explosion.instancedMesh.instanceMatrix.array, matrices);
+    assert.equal(explosion.opacities.array[0], 1);
+});
+
+test('fracture style breaks the skin into chunks that keep its material and impact marks', () => {
+    const style = PARTICLE_CONFIG.STYLE;
+    PARTICLE_CONFIG.STYLE = 'fracture';
+    
+    try {
+        let completed = 0;
+        const { explosion, mesh } = createExplosion(() => completed++);
+        mesh.material.normalMap = new Texture();
+        mesh.geometry.attributes.color.setXYZ(0, 1, 0, 0); // Impact mark on the first vertex
+        mesh.position.set(0.5, -0.25, 0);
+        mesh.updateMatrixWorld(true);
+        
+        // Every triangle lands in exactly one chunk
+        const corners = explosion.chunks.reduce((sum, chunk) => sum + chunk.sourceVertices.length, 0);
+        assert.equal(explosion.chunks.length, PARTICLE_CONFIG.CHUNK_COUNT);
+        assert.equal(corners, mesh.geometry.index.count);
+        
+        explosion.explode();
+        
+        assert.equal(explosion.count, explosion.chunks.length);
+        assert.equal(explosion.chunkGroup.visible, true);
+        assert.equal(explosion.instancedMesh.visible, false);
+        
+        // Chunks start exactly on the skin, in the skin's material and tint
+        const chunkVertex = new Vector3();
+        const skinVertex = new Vector3();
+        let tinted = 0;
+        explosion.chunks.forEach(chunk => {
+            const chunkMesh = chunk.mesh;
+            chunkMesh.updateMatrixWorld(true);
+            assert.equal(chunkMesh.material.normalMap, mesh.material.normalMap);
+            
+            for (let i = 0; i < chunk.sourceVertices.length; i++) {
+                chunkVertex.fromBufferAttribute(chunkMesh.geometry.attributes.position, i).applyMatrix4(chunkMesh.matrixWorld);
+                skinVertex.fromBufferAttribute(mesh.geometry.attributes.position, chunk.sourceVertices[i]).applyMatrix4(mesh.matrixWorld);
+                assert.ok(chunkVertex.distanceTo(skinVertex) < 1e-5);
+                if (chunkMesh.geometry.attributes.color.getY(i) === 0) tinted++;
+            }
+        });
+        assert.ok(tinted > 0, 'impact mark was lost');
+        
+        const startHeight = totalHeight(explosion);
+        runFor(explosion, PARTICLE_CONFIG.FALL_DURATION * 0.9);
+        assert.ok(totalHeight(explosion) < startHeight, 'chunks did not fall');
+        
+        runFor(explosion, PARTICLE_CONFIG.FALL_DURATION, () => completed > 0);
+        assert.equal(completed, 1);
+        assert.equal(explosion.chunkGroup.visible, false);
+        
+        explosion.dispose();
+        assert.equal(explosion.chunks.length, 0);
+    } finally {
+        PARTICLE_CONFIG.STYLE = style;
+    }
+});
+
+test('pieces bounce on the floor, roll to a stop and linger before fading', () => {
+    const floorHeight = -1;
+    withParticleConfig({ FLOOR: 'plane', FLOOR_HEIGHT: floorHeight, DEBRIS_LINGER: 2 }, () => {
+        let completed = 0;
+        const { explosion } = createExplosion(() => completed++);
+        explosion.explode();
+        
+        let lowest = Infinity;
+        const belowFloor = () => {
+            for (let i = 0; i < explosion.count; i++) {
+                lowest = Math.min(lowest, explosion.positions[i * 3 + 1] - explosion.radii[i]);
+            }
+        };
+        
+        runFor(explosion, PARTICLE_CONFIG.FALL_DURATION + 1, () => {
+            belowFloor();
+            return completed > 0;
+        });
+        
+        // The peach respawns on time; its debris stays, still solid
+        assert.equal(completed, 1);
+        assert.equal(explosion.isActive(), false);
+        assert.equal(explosion.isLingering, true);
+        assert.ok(explosion.count > 0);
+        assert.equal(explosion.opacities.array[0], 1);
+        
+        runFor(explosion, 1.5, belowFloor);
+        assert.ok(lowest >= floorHeight - 1e-6, `a piece sank to ${lowest}`);
+        
+        for (let i = 0; i < explosion.count; i++) {
+            const i3 = i * 3;
+            assert.ok(Math.abs(explosion.positions[i3 + 1] - explosion.radii[i] - floorHeight) < 1e-6, `piece ${i} is not on the floor`);
+            assert.equal(explosion.velocities[i3 + 1], 0);
+            assert.ok(Math.hypot(explosion.velocities[i3], explosion.velocities[i3 + 2]) < 0.05, `piece ${i} still sliding`);
+        }
+        
+        runFor(explosion, PARTICLE_CONFIG.DEBRIS_LINGER + PARTICLE_CONFIG.DEBRIS_FADE_DURATION);
+        assert.equal(explosion.isLingering, false);
+        assert.equal(explosion.count, 0);
+        assert.equal(explosion.instancedMesh.visible, false);
+        assert.equal(completed, 1);
+    });
+});
+
+test('the viewport floor is the bottom edge of the view', () => {
+    withParticleConfig({ FLOOR: 'viewport' }, () => {
+        const camera = new PerspectiveCamera(75, 1, 0.1, 1000);
+        camera.position.set(0, 0.5, 5);
+        const { explosion } = createExplosion(null, camera);
+        explosion.explode();
+        
+        const expected = 0.5 - 5 * Math.tan(MathUtils.degToRad(camera.fov) / 2);
+        assert.ok(Math.abs(explosion.floorHeight - expected) < 0.01, `floor at ${explosion.floorHeight}, expected ${expected}`);
+    });
+});
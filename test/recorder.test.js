@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputRecorder, InputReplayer } from '../recorder.js';
+import { SessionStats } from '../stats.js';
+import { GameModeManager } from '../gamemodes.js';
+import { GAME_MODE_CONFIG } from '../config.js';
+import { createHeadlessPeach, smackFront, runFor, maxDistance, FRAME_DELTA } from './harness.js';
+
+const VIEWPORT = 600; // Square viewport in pixels, matching the harness camera's aspect
+
+function createRecordablePeach() {
+    const peach = createHeadlessPeach();
+    peach.interaction.viewport.width = VIEWPORT;
+    peach.interaction.viewport.height = VIEWPORT;
+    peach.interaction.setExplosionThreshold(40); // Explode within a short session
+    
+    // Smack cooldowns follow a simulated clock, so the session doesn't depend on how fast the test runs
+    peach.clock = { time: 0 };
+    peach.interaction.timeSource = () => peach.clock.time;
+    return peach;
+}
+
+/**
+ * Play a short session on a recording peach: mouse swipes across it (logged the way
+ * the pointer listeners log them), scripted smacks and uneven frame deltas
+ * @param {Object} peach - From createRecordablePeach(), its recorder running
+ * @returns {Object} { smacks, explosions } seen live
+ */
+function playSession({ interaction, clock }) {
+    const seen = { smacks: [], explosions: 0 };
+    interaction.events.on('smack', ({ strength }) => seen.smacks.push(strength));
+    interaction.events.on('explode', () => seen.explosions++);
+    
+    let frame = 0;
+    const nextDelta = () => {
+        const delta = FRAME_DELTA + (frame++ % 5) / 1000;
+        clock.time += delta * 1000;
+        return delta;
+    };
+    
+    for (let swipe = 0; swipe < 12; swipe++) {
+        const direction = swipe % 2 ? 1 : -1;
+        for (let step = 0; step < 12; step++) {
+            const x = VIEWPORT / 2 + direction * (VIEWPORT / 2 - step * 50);
+            const y = VIEWPORT / 2 + (swipe % 3) * 20;
+            interaction.recorder.recordPointerMove(1, 'mouse', x, y);
+            interaction.pointerMove(1, 'mouse', x, y);
+            interaction.update(nextDelta());
+        }
+        if (swipe % 4 === 1) smackFront(interaction, 1.6);
+    }
+    
+    // Wait out the explosion and respawn, then stop mid-jiggle
+    for (let i = 0; i < 300; i++) {
+        interaction.update(nextDelta());
+    }
+    smackFront(interaction, 1.2);
+    for (let i = 0; i < 10; i++) {
+        interaction.update(nextDelta());
+    }
+    return seen;
+}
+
+/**
+ * Record playSession() on a fresh peach
+ * @returns {Object} { live (the peach), seen, recording (round-tripped through JSON, as saved to a bug report) }
+ */
+function recordSession() {
+    const live = createRecordablePeach();
+    const recorder = new InputRecorder(live.interaction);
+    recorder.start();
+    const seen = playSession(live);
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+    return { live, seen, recording };
+}
+
+test('a replay lands the same smacks, explosions, rage and shape as the recording', () => {
+    const { live, seen, recording } = recordSession();
+    
+    assert.ok(seen.smacks.length > 4, 'the session barely smacked the peach');
+    assert.ok(seen.explosions > 0, 'the session never blew the peach up');
+    const livePositions = live.mesh.geometry.attributes.position.array;
+    assert.ok(maxDistance(livePositions, live.interaction.peachState.softBodies[0].originalPositions) > 0, 'the session ended at rest');
+    
+    const replayed = createRecordablePeach();
+    const summary = new InputReplayer(replayed.interaction, recording).runToEnd();
+    
+    assert.deepEqual(summary.smacks.map(smack => smack.strength), seen.smacks);
+    assert.equal(summary.explosions, seen.explosions);
+    assert.equal(summary.rageLevel, live.interaction.peachState.rageLevel);
+    assert.equal(maxDistance(replayed.mesh.geometry.attributes.position.array, livePositions), 0);
+    assert.deepEqual(replayed.group.position.toArray(), live.group.position.toArray());
+});
+
+test('a replay adds nothing to the stats or a running game round', () => {
+    const { recording } = recordSession();
+    const peach = createRecordablePeach();
+    const { interaction } = peach;
+    
+    const storage = new Map();
+    const stats = new SessionStats(interaction.events, null, {
+        getItem: (key) => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => storage.set(key, value)
+    });
+    const lifetimeBefore = stats.getStats().lifetime;
+    
+    const gameModes = new GameModeManager(interaction);
+    gameModes.startMode('speedRun');
+    runFor(gameModes, GAME_MODE_CONFIG.COUNTDOWN_SECONDS + FRAME_DELTA);
+    assert.equal(gameModes.phase, 'playing');
+    const scoreBefore = gameModes.getState().score;
+    
+    // What PeachyKeen.replay() does, then its animation loop
+    stats.setPaused(true);
+    gameModes.setPaused(true);
+    const replayer = new InputReplayer(interaction, recording);
+    replayer.start();
+    while (replayer.step()) {
+        stats.update(FRAME_DELTA);
+        gameModes.update(FRAME_DELTA);
+    }
+    assert.ok(replayer.summary.explosions > 0);
+    
+    stats.dispose();
+    assert.deepEqual(stats.getStats().lifetime, lifetimeBefore);
+    assert.equal(stats.getStats().session.totalSmacks, 0);
+    assert.equal(gameModes.phase, 'playing');
+    assert.equal(gameModes.getState().score, scoreBefore);
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3, Mesh } from 'three';
+import { SoftBodyPhysics } from '../softbody.js';
+import { PHYSICS_CONFIG } from '../config.js';
+import { SoftBodyWorkerProxy } from '../softbody-proxy.js';
+import { createSoftBodyPhysics, createPeachMesh, runFor, maxDistance } from './harness.js';
+
+// The jiggle stays awake 1.5 seconds after the last impulse, then eases back to rest
+const SETTLE_SECONDS = 2;
+
+// Configurations worth checking the invariants under (constraints and pressure change the solver)
+const CONFIGURATIONS = [
+    { name: 'springs only', edgeConstraints: false, volumePreservation: false },
+    { name: 'edge constraints', edgeConstraints: true, volumePreservation: false },
+    { name: 'edge constraints + volume preservation', edgeConstraints: true, volumePreservation: true }
+];
+
+function createConfiguredSoftBody({ edgeConstraints, volumePreservation }) {
+    const softBody = createSoftBodyPhysics();
+    softBody.edgeConstraints = edgeConstraints;
+    softBody.volumePreservation = volumePreservation;
+    return softBody;
+}
+
+function hitFront(softBody, force) {
+    softBody.applyImpulse(new Vector3(0, 0, 1.5), new Vector3(0.3, 0, -1).normalize(), force);
+}
+
+for (const configuration of CONFIGURATIONS) {
+    test(`soft body settles within ${SETTLE_SECONDS}s of an impulse (${configuration.name})`, () => {
+        const softBody = createConfiguredSoftBody(configuration);
+        hitFront(softBody, 0.36);
+        
+        const settledAfter = runFor(softBody, SETTLE_SECONDS, () => !softBody.isActive);
+        
+        assert.equal(softBody.isActive, false, `still jiggling after ${SETTLE_SECONDS}s`);
+        assert.ok(settledAfter > 1, 'settled before the jiggle had time to play out');
+    });
+    
+    test(`soft body never moves a vertex past maxDisplacement (${configuration.name})`, () => {
+        const softBody = createConfiguredSoftBody(configuration);
+        const geometryPositions = softBody.geometry.attributes.position.array;
+        let largest = 0;
+        
+        // A flurry of hard hits, well past what a single smack can do
+        runFor(softBody, 3, (frame) => {
+            if (frame % 10 === 0 && frame < 120) hitFront(softBody, 0.72);
+            softBody.interpolate(0.5);
+            
+            largest = Math.max(largest, maxDistance(softBody.positions, softBody.originalPositions));
+            largest = Math.max(largest, maxDistance(geometryPositions, softBody.originalPositions));
+        });
+        
+        assert.ok(largest > softBody.maxDisplacement * 0.5, 'impulses barely moved the skin');
+        assert.ok(largest <= softBody.maxDisplacement + 1e-6, `displacement ${largest} exceeds ${softBody.maxDisplacement}`);
+    });
+    
+    test(`soft body returns exactly to originalPositions (${configuration.name})`, () => {
+        const softBody = createConfiguredSoftBody(configuration);
+        hitFront(softBody, 0.54);
+        
+        runFor(softBody, SETTLE_SECONDS, () => !softBody.isActive);
+        softBody.interpolate(1);
+        
+        assert.equal(maxDistance(softBody.positions, softBody.originalPositions), 0);
+        assert.equal(maxDistance(softBody.geometry.attributes.position.array, softBody.originalPositions), 0);
+        assert.equal(softBody.getMaxVelocity(), 0);
+    });
+}
+
+test('grabbed skin is released back to rest', () => {
+    const softBody = createSoftBodyPhysics();
+    const grabId = softBody.grab(new Vector3(0, 0, 1.5));
+    
+    softBody.moveGrab(grabId, new Vector3(0, 0, 2));
+    runFor(softBody, 0.5);
+    assert.ok(softBody.getMaxDisplacement() > softBody.maxDisplacement, 'grab did not pull the skin out');
+    
+    softBody.releaseGrab(grabId);
+    runFor(softBody, SETTLE_SECONDS, () => !softBody.isActive);
+    
+    assert.equal(softBody.isActive, false);
+    assert.equal(maxDistance(softBody.positions, softBody.originalPositions), 0);
+});
+
+test('worker fallback starts from the rest shape and keeps held grabs', (t) => {
+    // Stand-in worker that never answers; the test plays its frames by hand
+    globalThis.self = {};
+    globalThis.Worker = class { postMessage() {} terminate() {} };
+    t.after(() => {
+        delete globalThis.self;
+        delete globalThis.Worker;
+    });
+    t.mock.method(console, 'warn', () => {});
+    
+    const proxy = new SoftBodyWorkerProxy(createPeachMesh());
+    const grabId = proxy.grab(new Vector3(0, 0, 1.5));
+    proxy.moveGrab(grabId, new Vector3(0, 0, 2));
+    
+    // A deformed frame from the worker lands just before it crashes
+    const deformed = proxy.originalPositions.map(value => value * 1.1);
+    proxy.onMessage({ type: 'frame', generation: 0, uploaded: true, isActive: true, positions: deformed, normals: deformed.slice() });
+    proxy.fallBackToMainThread('test');
+    
+    assert.equal(maxDistance(proxy.fallback.originalPositions, proxy.originalPositions), 0);
+    
+    runFor(proxy, 0.5);
+    assert.ok(proxy.fallback.getMaxDisplacement() > proxy.fallback.maxDisplacement, 'grab was dropped');
+    
+    proxy.releaseGrab(grabId);
+    runFor(proxy, SETTLE_SECONDS, () => !proxy.fallback.isActive);
+    assert.equal(maxDistance(proxy.fallback.positions, proxy.originalPositions), 0);
+});
+
+test('non-indexed meshes get every neighbor within the proximity threshold', () => {
+    const mesh = createPeachMesh(48);
+    const softBody = new SoftBodyPhysics(new Mesh(mesh.geometry.toNonIndexed()));
+    const positions = softBody.originalPositions;
+    const { groupOffsets, groupMembers, neighborOffsets, neighborIndices } = softBody;
+    const thresholdSq = PHYSICS_CONFIG.PROXIMITY_THRESHOLD ** 2;
+    
+    for (let i = 0; i < softBody.vertexCount; i++) {
+        if (groupMembers[groupOffsets[i]] !== i) continue;
+        
+        // Brute force: every other group representative within the threshold
+        const expected = [];
+        for (let j = 0; j < softBody.vertexCount; j++) {
+            if (j === i || groupMembers[groupOffsets[j]] !== j) continue;
+            const dx = positions[j * 3] - positions[i * 3];
+            const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+            const dz = positions[j * 3 + 2] - positions[i * 3 + 2];
+            if (dx * dx + dy * dy + dz * dz < thresholdSq) expected.push(j);
+        }
+        
+        const neighbors = Array.from(neighborIndices.subarray(neighborOffsets[i], neighborOffsets[i + 1]));
+        assert.deepEqual(neighbors.sort((a, b) => a - b), expected, `neighbors of vertex ${i}`);
+    }
+});
+
+test('GPU deformation hands the mesh its material back on dispose', () => {
+    const softBody = createSoftBodyPhysics();
+    const mesh = softBody.mesh;
+    const original = mesh.material;
+    
+    softBody.enableGpuDeformation();
+    const patched = mesh.material;
+    assert.notEqual(patched, original);
+    
+    let disposed = 0;
+    patched.addEventListener('dispose', () => disposed++);
+    patched.roughness = 0.1; // Oiled up meanwhile
+    
+    softBody.dispose();
+    
+    assert.equal(mesh.material, original);
+    assert.equal(original.roughness, 0.1);
+    assert.equal(disposed, 1);
+});
+
+test('normals are left alone when nobody reads them', () => {
+    const softBody = createSoftBodyPhysics();
+    softBody.computeNormals = false;
+    const normals = softBody.geometry.attributes.normal.array;
+    const restNormals = normals.slice();
+    
+    hitFront(softBody, 0.54);
+    runFor(softBody, 0.5, () => {
+        softBody.interpolate(0.5);
+    });
+    
+    assert.ok(maxDistance(softBody.geometry.attributes.position.array, softBody.originalPositions) > 0);
+    assert.equal(maxDistance(normals, restNormals), 0);
+});
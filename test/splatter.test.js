@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MathUtils } from 'three';
+import { JuiceSplatter } from '../splatter.js';
+import { INTERACTION_CONFIG, PARTICLE_CONFIG, JUICE_CONFIG } from '../config.js';
+import { createHeadlessPeach, smackFront, runFor, HARNESS_SEED } from './harness.js';
+
+function createSplatteredPeach() {
+    const { interaction, scene, camera } = createHeadlessPeach();
+    const splatter = new JuiceSplatter([interaction], scene, camera);
+    splatter.setRandomSeed(HARNESS_SEED);
+    
+    return {
+        interaction,
+        splatter,
+        camera,
+        update(delta) {
+            interaction.update(delta);
+            splatter.update(delta);
+        }
+    };
+}
+
+test('an explosion splats juice onto the glass', () => {
+    const { interaction, splatter, camera } = createSplatteredPeach();
+    
+    interaction.triggerExplosion();
+    assert.equal(splatter.dropletCount, JUICE_CONFIG.EXPLOSION_DROPLETS);
+    
+    runFor(splatter, JUICE_CONFIG.DROPLET_LIFETIME + 0.1);
+    
+    assert.equal(splatter.dropletCount, 0);
+    assert.ok(splatter.getDecalCount() > 0, 'no droplet reached the glass');
+    
+    const halfHeight = JUICE_CONFIG.GLASS_DISTANCE * Math.tan(MathUtils.degToRad(camera.fov) / 2);
+    const halfWidth = halfHeight * camera.aspect;
+    splatter.decals.filter(decal => decal.active).forEach(decal => {
+        assert.ok(Math.abs(decal.x) <= halfWidth && Math.abs(decal.y) <= halfHeight, `splat at ${decal.x}, ${decal.y}`);
+    });
+});
+
+test('only heavy smacks spray juice', () => {
+    const { interaction, splatter } = createSplatteredPeach();
+    
+    smackFront(interaction, JUICE_CONFIG.SMACK_SPRAY_THRESHOLD * 0.5);
+    assert.equal(splatter.dropletCount, 0);
+    
+    smackFront(interaction, 2);
+    assert.equal(splatter.dropletCount, JUICE_CONFIG.SMACK_DROPLETS);
+});
+
+test('splats run down the glass and stop', () => {
+    const { interaction, splatter } = createSplatteredPeach();
+    
+    interaction.triggerExplosion();
+    runFor(splatter, JUICE_CONFIG.DROPLET_LIFETIME);
+    
+    const decals = splatter.decals.filter(decal => decal.active);
+    const positions = decals.map(decal => [decal.x, decal.y]);
+    const dripping = decals.filter(decal => decal.dripSpeed > 0);
+    const lengths = dripping.map(decal => decal.dripLength);
+    assert.ok(dripping.length > 0, 'nothing dripped');
+    
+    runFor(splatter, 1);
+    
+    dripping.forEach((decal, index) => {
+        assert.ok(decal.dripLength > lengths[index]);
+        assert.ok(decal.dripLength <= JUICE_CONFIG.MAX_DRIP_LENGTH);
+    });
+    
+    // The splats themselves stay where they landed
+    decals.forEach((decal, index) => {
+        assert.deepEqual([decal.x, decal.y], positions[index]);
+    });
+});
+
+test('respawning wipes only that peach\'s splats', () => {
+    const peach = createSplatteredPeach();
+    const { interaction, splatter } = peach;
+    splatter.addDecal(0, 0, 1, 1); // From some other peach
+    
+    let respawned = 0;
+    interaction.events.on('respawned', () => respawned++);
+    
+    interaction.triggerExplosion();
+    runFor(peach, PARTICLE_CONFIG.FALL_DURATION + INTERACTION_CONFIG.RESPAWN_DURATION + 0.5, () => respawned > 0);
+    assert.equal(respawned, 1);
+    assert.ok(splatter.decals.some(decal => decal.active && decal.owner === 0 && decal.wiping));
+    
+    runFor(peach, JUICE_CONFIG.WIPE_DURATION + 0.1);
+    
+    const remaining = splatter.decals.filter(decal => decal.active);
+    assert.equal(remaining.length, 1);
+    assert.equal(remaining[0].owner, 1);
+    assert.equal(remaining[0].opacity, 1);
+});
+
+test('disposing stops listening', () => {
+    const { interaction, splatter } = createSplatteredPeach();
+    splatter.dispose();
+    
+    interaction.triggerExplosion();
+    assert.equal(splatter.dropletCount, 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionStats } from '../stats.js';
+import { PeachEventEmitter } from '../events.js';
+import { STATS_CONFIG } from '../config.js';
+
+// In-memory stand-in for localStorage that counts writes
+function createStorage() {
+    const items = new Map();
+    return {
+        writes: 0,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem(key, value) {
+            this.writes++;
+            items.set(key, value);
+        }
+    };
+}
+
+test('smacks are saved on the refresh tick, not one write each', () => {
+    const events = new PeachEventEmitter();
+    const storage = createStorage();
+    const stats = new SessionStats(events, null, storage);
+    const writesAtStart = storage.writes;
+    
+    for (let i = 0; i < 10; i++) {
+        events.emit('smack', { strength: 1 });
+    }
+    events.emit('explode', { rageLevel: 100 });
+    assert.equal(storage.writes, writesAtStart);
+    
+    stats.update(STATS_CONFIG.DISPLAY_UPDATE_INTERVAL);
+    assert.equal(storage.writes, writesAtStart + 1);
+    
+    // Nothing new, nothing written
+    stats.update(STATS_CONFIG.DISPLAY_UPDATE_INTERVAL);
+    assert.equal(storage.writes, writesAtStart + 1);
+    
+    const saved = JSON.parse(storage.getItem(STATS_CONFIG.STORAGE_KEY));
+    assert.equal(saved.lifetime.totalSmacks, 10);
+    assert.equal(saved.lifetime.totalExplosions, 1);
+});
+
+test('disposing saves what the tick has not', () => {
+    const events = new PeachEventEmitter();
+    const storage = createStorage();
+    const stats = new SessionStats(events, null, storage);
+    
+    events.emit('smack', { strength: 1.5 });
+    stats.dispose();
+    
+    const saved = JSON.parse(storage.getItem(STATS_CONFIG.STORAGE_KEY));
+    assert.equal(saved.lifetime.totalSmacks, 1);
+    assert.equal(saved.lifetime.hardestSmack, 1.5);
+});
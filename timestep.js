@@ -0,0 +1,53 @@
+import { PHYSICS_CONFIG } from './config.js';
+
+/**
+ * Fixed Timestep Accumulator
+ * Turns variable frame deltas into a whole number of equal simulation steps,
+ * so physics results depend only on elapsed time and not on display refresh rate.
+ * The leftover fraction of a step is exposed as `alpha` for render interpolation.
+ */
+
+export class FixedTimestep {
+    constructor(stepSize = PHYSICS_CONFIG.FIXED_TIMESTEP, maxSteps = PHYSICS_CONFIG.MAX_SUBSTEPS) {
+        if (!(stepSize > 0)) {
+            throw new Error('FixedTimestep: stepSize must be positive');
+        }
+        
+        this.stepSize = stepSize;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+        this.alpha = 0;     // Interpolation factor between previous and current state (0-1)
+        this.totalSteps = 0; // Steps taken since the last reset
+    }
+    
+    /**
+     * Add frame time to the accumulator
+     * @param {number} delta - Frame time in seconds
+     * @returns {number} Number of fixed steps the caller should run this frame
+     */
+    advance(delta) {
+        this.accumulator += delta;
+        
+        let steps = Math.floor(this.accumulator / this.stepSize);
+        if (steps > this.maxSteps) {
+            // Too far behind (tab was hidden, long hitch) - drop the backlog instead of spiraling
+            steps = this.maxSteps;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.stepSize;
+        }
+        
+        this.alpha = this.accumulator / this.stepSize;
+        this.totalSteps += steps;
+        return steps;
+    }
+    
+    /**
+     * Clear accumulated time (e.g. after a respawn teleports the simulated state)
+     */
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.totalSteps = 0;
+    }
+}
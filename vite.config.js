@@ -26,6 +26,19 @@ export default defineConfig({
     // Asset inlining threshold (in bytes) - inline small assets as base64
     assetsInlineLimit: 4096
   },
+  // Cross-origin isolation lets the soft body worker share memory (SharedArrayBuffer) with the page
+  server: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp'
+    }
+  },
+  preview: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp'
+    }
+  },
   // Optimize dependencies
   optimizeDeps: {
     include: ['three']
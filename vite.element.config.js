@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite'
+import appConfig from './vite.config.js'
+
+// Standalone build of the <peachy-keen> custom element for pages without a bundler:
+//   <script type="module" src=".../peachy-keen.js"></script>
+// Models and sounds still load from the app's base path (or the model-src attribute).
+export default defineConfig({
+  base: appConfig.base,
+  publicDir: false,
+  build: {
+    outDir: 'dist-element',
+    lib: {
+      entry: 'peachykeen-element.js',
+      formats: ['es'],
+      fileName: () => 'peachy-keen.js'
+    },
+    minify: 'esbuild',
+    sourcemap: false
+  }
+})